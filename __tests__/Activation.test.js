@@ -0,0 +1,121 @@
+/**
+ * Activation.test.js
+ * Tests for enabling and disabling entities: activation events, propagation through the
+ * hierarchy, interaction with lookups and snapshots, and RenderSystem mesh visibility.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+
+describe('Entity activation', () => {
+  let ecsManager;
+  let activated;
+  let deactivated;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+    activated = [];
+    deactivated = [];
+    ecsManager.eventManager.on('entity:activated', event => activated.push(event.data.id));
+    ecsManager.eventManager.on('entity:deactivated', event => deactivated.push(event.data.id));
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should emit events only when the state changes', () => {
+    const entityId = ecsManager.createEntity();
+
+    ecsManager.setEntityActive(entityId, true);
+    ecsManager.setEntityActive(entityId, false);
+    ecsManager.setEntityActive(entityId, false);
+    ecsManager.setEntityActive(entityId, true);
+
+    expect(deactivated).toEqual([entityId]);
+    expect(activated).toEqual([entityId]);
+    expect(ecsManager.setEntityActive('missing', false)).toBe(false);
+  });
+
+  test('should exclude inactive entities from lookups', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', {});
+    ecsManager.addTag(entityId, 'player');
+
+    ecsManager.setEntityActive(entityId, false);
+
+    expect(ecsManager.isEntityActive(entityId)).toBe(false);
+    expect(ecsManager.getEntitiesWith('transform')).toEqual([]);
+    expect(ecsManager.getEntitiesWithTag('player')).toEqual([]);
+  });
+
+  test('should propagate to descendants and keep their own flags', () => {
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    const grandchild = ecsManager.createEntity();
+    ecsManager.setParent(child, root);
+    ecsManager.setParent(grandchild, child);
+    ecsManager.setEntityActive(grandchild, false);
+    deactivated.length = 0;
+
+    ecsManager.setEntityActive(root, false);
+    expect(deactivated).toEqual([root, child]);
+    expect(ecsManager.isEntityActive(grandchild)).toBe(false);
+
+    ecsManager.setEntityActive(root, true);
+    expect(activated).toEqual([root, child]);
+    expect(ecsManager.isEntityActive(grandchild)).toBe(false);
+  });
+
+  test('should update state when entities move under inactive parents', () => {
+    const inactiveParent = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    ecsManager.setEntityActive(inactiveParent, false);
+
+    ecsManager.setParent(child, inactiveParent);
+    expect(ecsManager.isEntityActive(child)).toBe(false);
+
+    ecsManager.setParent(child, null);
+    expect(ecsManager.isEntityActive(child)).toBe(true);
+    expect(activated).toEqual([child]);
+  });
+
+  test('should restore disabled flags from snapshots', () => {
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    ecsManager.setParent(child, root);
+    ecsManager.setEntityActive(root, false);
+    const doc = ecsManager.serialize();
+
+    const restored = new ECSManager({ debug: false });
+    restored.deserialize(doc);
+
+    expect(doc.entities.map(record => record.active)).toEqual([false, true]);
+    expect(restored.isEntityActive(root)).toBe(false);
+    expect(restored.isEntityActive(child)).toBe(false);
+
+    restored.setEntityActive(root, true);
+    expect(restored.isEntityActive(child)).toBe(true);
+  });
+
+  test('should hide meshes of inactive entities in RenderSystem', () => {
+    const scene = { add: jest.fn(), remove: jest.fn() };
+    ecsManager.registerSystem(new RenderSystem(scene, {}, { render: jest.fn() }));
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    ecsManager.setParent(child, root);
+    const mesh = { add: jest.fn(), remove: jest.fn() };
+    ecsManager.addComponent(child, 'mesh', { mesh });
+    expect(mesh.visible).toBe(true);
+
+    ecsManager.setEntityActive(root, false);
+    expect(mesh.visible).toBe(false);
+
+    const lateMesh = { add: jest.fn(), remove: jest.fn() };
+    ecsManager.addComponent(root, 'mesh', { mesh: lateMesh });
+    expect(lateMesh.visible).toBe(false);
+
+    ecsManager.setEntityActive(root, true);
+    expect(mesh.visible).toBe(true);
+    expect(lateMesh.visible).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * ArchetypeStorage.test.js
+ * Tests for archetype tables, archetype transitions, and ECSManager running in
+ * archetype storage mode (component access, queries iterating archetypes, statistics).
+ */
+import Archetype from '../src/core/Archetype.js';
+import ArchetypeStorage from '../src/core/ArchetypeStorage.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('ArchetypeStorage', () => {
+  describe('Archetype', () => {
+    test('should store components column-wise and swap-remove rows', () => {
+      const archetype = new Archetype(['transform', 'mesh']);
+      archetype.add('a', new Map([['transform', { id: 'ta' }], ['mesh', { id: 'ma' }]]));
+      archetype.add('b', new Map([['transform', { id: 'tb' }], ['mesh', { id: 'mb' }]]));
+      archetype.add('c', new Map([['transform', { id: 'tc' }], ['mesh', { id: 'mc' }]]));
+
+      const removed = archetype.remove('a');
+
+      expect(removed.get('transform')).toEqual({ id: 'ta' });
+      expect(archetype.entities).toEqual(['c', 'b']);
+      expect(archetype.get('c', 'mesh')).toEqual({ id: 'mc' });
+      expect(archetype.getColumn('transform')).toEqual([{ id: 'tc' }, { id: 'tb' }]);
+      expect(archetype.size).toBe(2);
+    });
+
+    test('should return null for unknown entities or types', () => {
+      const archetype = new Archetype(['transform']);
+      archetype.add('a', new Map([['transform', {}]]));
+
+      expect(archetype.get('b', 'transform')).toBeNull();
+      expect(archetype.get('a', 'mesh')).toBeNull();
+      expect(archetype.remove('b')).toBeNull();
+    });
+  });
+
+  describe('ArchetypeStorage', () => {
+    test('should move entities between archetypes and cache edges', () => {
+      const storage = new ArchetypeStorage();
+      const entity = { id: 'a' };
+      storage.attach(entity);
+
+      storage.set(entity, 'transform', { type: 'transform' });
+      storage.set(entity, 'mesh', { type: 'mesh' });
+
+      expect(entity.archetype.key).toBe('mesh|transform');
+      expect(storage.root.size).toBe(0);
+      expect(storage.get(entity, 'transform')).toEqual({ type: 'transform' });
+
+      storage.delete(entity, 'mesh');
+
+      expect(entity.archetype.key).toBe('transform');
+      expect(storage.archetypes.get('transform').edges.add.get('mesh').key).toBe('mesh|transform');
+      expect(storage.get(entity, 'transform')).toEqual({ type: 'transform' });
+    });
+
+    test('should notify listeners when archetypes are created', () => {
+      const storage = new ArchetypeStorage();
+      const listener = jest.fn();
+      storage.onArchetypeCreated(listener);
+
+      storage.getArchetype(['transform']);
+      storage.getArchetype(['transform']);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('ECSManager archetype mode', () => {
+    let ecsManager;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, storage: 'archetype' });
+    });
+
+    afterEach(() => {
+      ecsManager.stop();
+    });
+
+    test('should keep the component API working', () => {
+      const entityId = ecsManager.createEntity('Archetyped');
+      ecsManager.addComponent(entityId, 'transform', { x: 1 });
+      ecsManager.addComponent(entityId, 'transform', { x: 2 });
+
+      expect(ecsManager.getComponent(entityId, 'transform').data.x).toBe(2);
+      expect(ecsManager.removeComponent(entityId, 'mesh')).toBe(false);
+      expect(ecsManager.removeComponent(entityId, 'transform')).toBe(true);
+      expect(ecsManager.getComponent(entityId, 'transform')).toBeNull();
+    });
+
+    test('should iterate matching archetypes in queries', () => {
+      const query = ecsManager.query('transform');
+      const onEnter = jest.fn();
+      query.onEnter(onEnter);
+
+      const a = ecsManager.createEntity();
+      const b = ecsManager.createEntity();
+      ecsManager.addComponent(a, 'transform', {});
+      ecsManager.addComponent(b, 'transform', {});
+      ecsManager.addComponent(b, 'mesh', {});
+
+      expect(query.archetypes.map(archetype => archetype.key).sort()).toEqual(['mesh|transform', 'transform']);
+      expect([...query].sort()).toEqual([a, b]);
+      expect(onEnter).toHaveBeenCalledTimes(2);
+      expect(ecsManager.getEntitiesWith('transform', 'mesh')).toEqual([b]);
+    });
+
+    test('should keep tags and components with the same name on separate edges', () => {
+      const tagged = ecsManager.createEntity();
+      const owner = ecsManager.createEntity();
+      ecsManager.addTag(tagged, 'player');
+
+      expect(ecsManager.addComponent(owner, 'player', { hp: 5 })).toBe(true);
+      expect(ecsManager.getComponent(owner, 'player').data).toEqual({ hp: 5 });
+      expect(ecsManager.getComponent(tagged, 'player')).toBeNull();
+      expect(ecsManager.getEntitiesWithTag('player')).toEqual([tagged]);
+      expect(ecsManager.storage.getStats().archetypes).toEqual({ '(empty)': 0, player: 1, '#player': 1 });
+
+      ecsManager.removeComponent(owner, 'player');
+      ecsManager.removeTag(tagged, 'player');
+      expect(ecsManager.storage.getStats().archetypes).toEqual({ '(empty)': 2, player: 0, '#player': 0 });
+    });
+
+    test('should release archetype rows when entities are destroyed', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+      ecsManager.destroyEntity(entityId);
+
+      expect(ecsManager.hasEntity(entityId)).toBe(false);
+      expect(ecsManager.storage.getStats().archetypes).toEqual({ '(empty)': 0, transform: 0 });
+      expect(ecsManager.getEntitiesWith('transform')).toEqual([]);
+    });
+
+    test('should report map storage by default', () => {
+      const defaultManager = new ECSManager({ debug: false });
+
+      expect(defaultManager.storage.getStats()).toEqual({ mode: 'map' });
+    });
+  });
+});
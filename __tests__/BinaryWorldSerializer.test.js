@@ -0,0 +1,145 @@
+/**
+ * BinaryWorldSerializer.test.js
+ * Tests for binary world snapshots: exact round-trips with the JSON form, browser and
+ * Node input types, header validation and checksums, and restoring through ECSManager.
+ */
+import BinaryWorldSerializer from '../src/core/BinaryWorldSerializer.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+const toJSONForm = doc => JSON.parse(JSON.stringify(doc));
+
+describe('BinaryWorldSerializer', () => {
+  let ecsManager;
+  let binary;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+    binary = new BinaryWorldSerializer();
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  function populate(ecs) {
+    const player = ecs.createEntity('Player ☃ 🚀');
+    const enemy = ecs.createEntity('Enemy');
+    ecs.addComponent(player, 'position', { x: 1.5, y: -2, z: 0 });
+    ecs.addComponent(player, 'inventory', { items: ['sword', 'shield'], gold: 4294967296, slots: [null, true, false] });
+    ecs.addComponent(enemy, 'target', { entity: player });
+    ecs.addComponent(enemy, 'position', { x: 10, y: 20, z: 30 });
+    ecs.setEntityActive(enemy, false);
+    return { player, enemy };
+  }
+
+  test('should decode to exactly the JSON form of the document', () => {
+    populate(ecsManager);
+    const doc = ecsManager.serialize();
+
+    const decoded = binary.decode(binary.encode(doc));
+
+    expect(decoded).toEqual(toJSONForm(doc));
+    expect(JSON.stringify(decoded)).toBe(JSON.stringify(doc));
+  });
+
+  test('should apply JSON conversions to non-JSON values', () => {
+    const doc = toJSONForm(ecsManager.serialize());
+    doc.entities.push({
+      id: 'entity_9',
+      name: 'Odd',
+      active: true,
+      components: {
+        odd: { nan: NaN, missing: undefined, fn: () => {}, list: [undefined, Infinity], date: new Date(0) },
+        numbers: [-2147483648, 2147483647, 2147483648, -0, 0.1, -1e300],
+        dropped: undefined
+      }
+    });
+
+    expect(binary.decode(binary.encode(doc))).toEqual(toJSONForm(doc));
+  });
+
+  test('should preserve fields outside the fixed layout', () => {
+    const doc = toJSONForm(ecsManager.serialize());
+    doc.resources = { score: 3 };
+    doc.entities.push({ id: 'entity_1', name: 'A', active: true, components: {}, tags: ['player'] });
+
+    expect(binary.decode(binary.encode(doc))).toEqual(doc);
+  });
+
+  test('should read ArrayBuffer, Uint8Array and Buffer inputs', () => {
+    populate(ecsManager);
+    const bytes = binary.encode(ecsManager.serialize());
+    const expected = binary.decode(bytes);
+
+    const padded = new Uint8Array(bytes.length + 8);
+    padded.set(bytes, 8);
+
+    expect(binary.decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))).toEqual(expected);
+    expect(binary.decode(padded.subarray(8))).toEqual(expected);
+    expect(binary.decode(Buffer.from(bytes))).toEqual(expected);
+    expect(() => binary.decode('not binary')).toThrow('must be an ArrayBuffer');
+  });
+
+  test('should be smaller than JSON for repetitive worlds', () => {
+    for (let i = 0; i < 200; i++) {
+      const entityId = ecsManager.createEntity(`Cube_${i}`);
+      ecsManager.addComponent(entityId, 'position', { x: i, y: i * 2, z: 0 });
+      ecsManager.addComponent(entityId, 'velocity', { x: 1, y: 0, z: 0 });
+    }
+    const doc = ecsManager.serialize();
+
+    expect(binary.encode(doc).length).toBeLessThan(JSON.stringify(doc).length / 2);
+  });
+
+  test('should reject bad magic, newer versions, corruption and truncation', () => {
+    populate(ecsManager);
+    const bytes = binary.encode(ecsManager.serialize());
+
+    const badMagic = bytes.slice();
+    badMagic[0] = 0;
+    expect(() => binary.decode(badMagic)).toThrow('Not a binary world snapshot');
+
+    const newer = bytes.slice();
+    newer[4] = 99;
+    expect(() => binary.decode(newer)).toThrow('Unsupported binary snapshot version');
+
+    const corrupted = bytes.slice();
+    corrupted[corrupted.length - 1] ^= 0xff;
+    expect(() => binary.decode(corrupted)).toThrow('checksum mismatch');
+
+    expect(() => binary.decode(bytes.slice(0, bytes.length - 4))).toThrow('Unexpected end');
+  });
+
+  test('should record the ID mode in the header', () => {
+    const numeric = new ECSManager({ debug: false, entityIds: 'numeric' });
+    numeric.createEntity();
+
+    const decoded = binary.decode(binary.encode(numeric.serialize()));
+
+    expect(decoded.idMode).toBe('numeric');
+    expect(decoded.entities[0].id).toBe(0);
+  });
+
+  describe('ECSManager integration', () => {
+    test('should restore a world from a binary snapshot', () => {
+      const { player, enemy } = populate(ecsManager);
+      const bytes = ecsManager.serializeBinary();
+
+      const restored = new ECSManager({ debug: false });
+      const result = restored.deserializeBinary(bytes);
+
+      expect(result.entities).toEqual([player, enemy]);
+      expect(restored.getEntity(player).name).toBe('Player ☃ 🚀');
+      expect(restored.getEntity(enemy).active).toBe(false);
+      expect(restored.getComponent(enemy, 'target').data).toEqual({ entity: player });
+      expect(restored.serialize()).toEqual(toJSONForm(ecsManager.serialize()));
+    });
+
+    test('should reject invalid snapshots without changing the world', () => {
+      const entityId = ecsManager.createEntity();
+
+      expect(ecsManager.deserializeBinary(new Uint8Array(4))).toBeNull();
+      expect(ecsManager.hasEntity(entityId)).toBe(true);
+    });
+  });
+});
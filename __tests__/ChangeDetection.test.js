@@ -0,0 +1,127 @@
+/**
+ * ChangeDetection.test.js
+ * Tests for per-component change ticks: markChanged/setComponent stamping, added/changed
+ * query filters evaluated relative to the running system's previous run, and RenderSystem
+ * only syncing changed transforms.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import Query from '../src/core/Query.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+
+describe('Change detection', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  /**
+   * Register a system that records what its query returns on every run
+   */
+  function recordingSystem(descriptor, name = 'Recorder') {
+    const system = {
+      name,
+      runs: [],
+      update: (deltaTime, ecs) => system.runs.push(ecs.getEntitiesWith(descriptor))
+    };
+    ecsManager.registerSystem(system);
+    return system;
+  }
+
+  test('should include added and changed clauses in query keys', () => {
+    expect(Query.createKey({ all: ['mesh'], changed: ['transform'] })).toBe('mesh|transform *(transform)');
+    expect(Query.createKey({ added: ['mesh'] })).toBe('mesh +(mesh)');
+  });
+
+  test('should report changes made since the system last ran', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', { x: 0 });
+    const system = recordingSystem({ changed: ['transform'] });
+
+    ecsManager.updateSystems(16);
+    ecsManager.updateSystems(16);
+    ecsManager.setComponent(entityId, 'transform', { x: 1 });
+    ecsManager.updateSystems(16);
+    ecsManager.getComponent(entityId, 'transform').data.x = 2;
+    ecsManager.updateSystems(16);
+    ecsManager.getComponent(entityId, 'transform').data.x = 3;
+    ecsManager.markChanged(entityId, 'transform');
+    ecsManager.updateSystems(16);
+
+    expect(system.runs).toEqual([[entityId], [], [entityId], [], [entityId]]);
+  });
+
+  test('should report added components separately from changes', () => {
+    const system = recordingSystem({ added: ['mesh'] });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'mesh', {});
+
+    ecsManager.updateSystems(16);
+    ecsManager.setComponent(entityId, 'mesh', { replaced: true });
+    ecsManager.updateSystems(16);
+
+    expect(system.runs).toEqual([[entityId], []]);
+  });
+
+  test('should let later systems see changes made by earlier systems in the same frame', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', { x: 0 });
+    ecsManager.registerSystem({
+      name: 'Mover',
+      update: (deltaTime, ecs) => {
+        ecs.getComponent(entityId, 'transform').data.x++;
+        ecs.markChanged(entityId, 'transform');
+      }
+    }, 10);
+    const reader = recordingSystem({ changed: ['transform'] });
+    const mover = ecsManager.systems.find(wrapper => wrapper.name === 'Mover');
+
+    ecsManager.updateSystems(16);
+    ecsManager.updateSystems(16);
+
+    expect(reader.runs).toEqual([[entityId], [entityId]]);
+    expect(ecsManager.isChanged(entityId, 'transform', mover.lastRunTick)).toBe(false);
+  });
+
+  test('should treat everything as changed outside system updates', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', {});
+    ecsManager.updateSystems(16);
+
+    expect(ecsManager.getChangeBaseline()).toBe(0);
+    expect(ecsManager.getEntitiesWith({ changed: ['transform'] })).toEqual([entityId]);
+    expect(ecsManager.query({ changed: ['transform'] }).size).toBe(1);
+    expect(ecsManager.isChanged(entityId, 'transform', ecsManager.changeTick)).toBe(false);
+    expect(ecsManager.markChanged(entityId, 'missing')).toBe(false);
+  });
+
+  test('should only sync changed transforms in RenderSystem', () => {
+    const scene = { add: jest.fn(), remove: jest.fn() };
+    ecsManager.registerSystem(new RenderSystem(scene, {}, { render: jest.fn() }));
+    const makeMesh = () => ({
+      position: { set: jest.fn() },
+      rotation: { set: jest.fn() },
+      scale: { set: jest.fn() }
+    });
+    const moving = ecsManager.createEntity();
+    const still = ecsManager.createEntity();
+    const movingMesh = makeMesh();
+    const stillMesh = makeMesh();
+    for (const [entityId, mesh] of [[moving, movingMesh], [still, stillMesh]]) {
+      ecsManager.addComponent(entityId, 'transform', { position: { x: 0, y: 0, z: 0 } });
+      ecsManager.addComponent(entityId, 'mesh', { mesh });
+    }
+
+    ecsManager.updateSystems(16);
+    ecsManager.setComponent(moving, 'transform', { position: { x: 1, y: 0, z: 0 } });
+    ecsManager.updateSystems(16);
+
+    expect(movingMesh.position.set).toHaveBeenCalledTimes(2);
+    expect(movingMesh.position.set).toHaveBeenLastCalledWith(1, 0, 0);
+    expect(stillMesh.position.set).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * CommandBuffer.test.js
+ * Tests for deferred structural changes: recording, ordered flushing, reserved entity IDs,
+ * sync points inside ECSManager.updateSystems, and event timing.
+ */
+import CommandBuffer from '../src/core/CommandBuffer.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('CommandBuffer', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  describe('Recording and flushing', () => {
+    test('should expose a command buffer on the ECS Manager', () => {
+      expect(ecsManager.commands).toBeInstanceOf(CommandBuffer);
+    });
+
+    test('should defer changes until flush', () => {
+      const entityId = ecsManager.commands.createEntity('Deferred');
+      ecsManager.commands.addComponent(entityId, 'transform', { x: 1 });
+
+      expect(ecsManager.hasEntity(entityId)).toBe(false);
+      expect(ecsManager.commands.size).toBe(2);
+
+      expect(ecsManager.commands.flush()).toBe(2);
+
+      expect(ecsManager.hasEntity(entityId)).toBe(true);
+      expect(ecsManager.getEntity(entityId).name).toBe('Deferred');
+      expect(ecsManager.getComponent(entityId, 'transform').data).toEqual({ x: 1 });
+      expect(ecsManager.commands.size).toBe(0);
+    });
+
+    test('should apply commands in order', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.commands
+        .addComponent(entityId, 'health', { value: 10 })
+        .setComponent(entityId, 'health', { value: 5 })
+        .removeComponent(entityId, 'health')
+        .addComponent(entityId, 'tag', {});
+
+      ecsManager.commands.flush();
+
+      expect(ecsManager.getComponent(entityId, 'health')).toBeNull();
+      expect(ecsManager.getComponent(entityId, 'tag')).not.toBeNull();
+    });
+
+    test('should emit lifecycle events at flush time', () => {
+      const createdSpy = jest.fn();
+      const flushedSpy = jest.fn();
+      ecsManager.events.on('entity:created', createdSpy);
+      ecsManager.events.on('commands:flushed', flushedSpy);
+
+      ecsManager.commands.createEntity();
+      expect(createdSpy).not.toHaveBeenCalled();
+
+      ecsManager.commands.flush();
+      expect(createdSpy).toHaveBeenCalledTimes(1);
+      expect(flushedSpy).toHaveBeenCalledWith(expect.objectContaining({ data: { count: 1 } }));
+    });
+
+    test('should apply commands queued by listeners during the same flush', () => {
+      ecsManager.events.on('entity:created', (event) => {
+        ecsManager.commands.addComponent(event.data.id, 'spawned', {});
+      });
+
+      const entityId = ecsManager.commands.createEntity();
+      ecsManager.commands.flush();
+
+      expect(ecsManager.getComponent(entityId, 'spawned')).not.toBeNull();
+    });
+
+    test('should release reserved IDs when cleared', () => {
+      const numericManager = new ECSManager({ debug: false, entityIds: 'numeric' });
+      const reserved = numericManager.commands.createEntity();
+
+      expect(numericManager.commands.clear()).toBe(1);
+      expect(numericManager.idAllocator.isAlive(reserved)).toBe(false);
+      expect(numericManager.commands.flush()).toBe(0);
+    });
+
+    test('should skip commands for destroyed entities without throwing', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.commands.destroyEntity(entityId).addComponent(entityId, 'transform', {});
+
+      expect(() => ecsManager.commands.flush()).not.toThrow();
+      expect(ecsManager.hasEntity(entityId)).toBe(false);
+    });
+  });
+
+  describe('setComponent', () => {
+    test('should replace data and emit component:set', () => {
+      const setSpy = jest.fn();
+      const addedSpy = jest.fn();
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'health', { value: 10 });
+      const component = ecsManager.getComponent(entityId, 'health');
+      ecsManager.events.on('component:set', setSpy);
+      ecsManager.events.on('component:added', addedSpy);
+
+      expect(ecsManager.setComponent(entityId, 'health', { value: 3 })).toBe(true);
+
+      expect(ecsManager.getComponent(entityId, 'health')).toBe(component);
+      expect(component.data).toEqual({ value: 3 });
+      expect(setSpy).toHaveBeenCalledTimes(1);
+      expect(addedSpy).not.toHaveBeenCalled();
+    });
+
+    test('should add missing components', () => {
+      const entityId = ecsManager.createEntity();
+
+      expect(ecsManager.setComponent(entityId, 'health', { value: 1 })).toBe(true);
+      expect(ecsManager.getComponent(entityId, 'health').data.value).toBe(1);
+      expect(ecsManager.setComponent('missing', 'health', {})).toBe(false);
+    });
+  });
+
+  describe('Sync points', () => {
+    test('should flush between systems by default', () => {
+      const observed = [];
+      ecsManager.registerSystem({
+        name: 'Spawner',
+        update: (dt, ecs) => {
+          observed.push(ecs.commands.createEntity('Spawned'));
+        }
+      }, 10);
+      ecsManager.registerSystem({
+        name: 'Observer',
+        update: (dt, ecs) => {
+          observed.push(ecs.hasEntity(observed[0]));
+        }
+      }, 0);
+
+      ecsManager.updateSystems(16);
+
+      expect(observed[1]).toBe(true);
+    });
+
+    test('should flush once per frame in frame mode', () => {
+      const frameManager = new ECSManager({ debug: false, commandFlush: 'frame' });
+      const observed = [];
+      frameManager.registerSystem({
+        name: 'Spawner',
+        update: (dt, ecs) => {
+          observed.push(ecs.commands.createEntity('Spawned'));
+        }
+      }, 10);
+      frameManager.registerSystem({
+        name: 'Observer',
+        update: (dt, ecs) => {
+          observed.push(ecs.hasEntity(observed[0]));
+        }
+      }, 0);
+
+      frameManager.updateSystems(16);
+
+      expect(observed[1]).toBe(false);
+      expect(frameManager.hasEntity(observed[0])).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * ComponentHooks.test.js
+ * Tests for per-component-type lifecycle hooks: onAdd veto and transform, onSet after adds
+ * and sets, onRemove on removal and destruction, ordering, removal and RenderSystem usage.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+
+describe('Component hooks', () => {
+  let ecsManager;
+  let entityId;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+    entityId = ecsManager.createEntity();
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should only run hooks for their component type', () => {
+    const onMesh = jest.fn();
+    ecsManager.onSet('mesh', onMesh);
+
+    ecsManager.addComponent(entityId, 'transform', {});
+    ecsManager.addComponent(entityId, 'mesh', { mesh: 1 });
+
+    expect(onMesh).toHaveBeenCalledTimes(1);
+    expect(onMesh).toHaveBeenCalledWith({ mesh: 1 }, expect.objectContaining({ entityId, type: 'mesh', ecs: ecsManager }));
+  });
+
+  test('should let add hooks veto components', () => {
+    const onVetoed = jest.fn();
+    const onSet = jest.fn();
+    ecsManager.eventManager.on('component:vetoed', onVetoed);
+    ecsManager.onAdd('health', data => data.value > 0);
+    ecsManager.onSet('health', onSet);
+
+    expect(ecsManager.addComponent(entityId, 'health', { value: 0 })).toBe(false);
+    expect(ecsManager.getComponent(entityId, 'health')).toBeNull();
+    expect(onVetoed.mock.calls[0][0].data).toEqual({ entityId, type: 'health' });
+    expect(onSet).not.toHaveBeenCalled();
+
+    expect(ecsManager.addComponent(entityId, 'health', { value: 5 })).toBe(true);
+  });
+
+  test('should pass transformed data along the hook chain in priority order', () => {
+    const order = [];
+    ecsManager.onAdd('health', (data) => {
+      order.push('late');
+      return { ...data, clamped: Math.min(data.value, data.max) };
+    });
+    ecsManager.onAdd('health', (data) => {
+      order.push('early');
+      return { ...data, max: 10 };
+    }, 10);
+    ecsManager.onAdd('health', () => {
+      order.push('observer');
+    });
+
+    ecsManager.addComponent(entityId, 'health', { value: 50 });
+
+    expect(order).toEqual(['early', 'late', 'observer']);
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 50, max: 10, clamped: 10 });
+  });
+
+  test('should run set hooks with the previous data on setComponent', () => {
+    const onSet = jest.fn();
+    ecsManager.addComponent(entityId, 'health', { value: 1 });
+    ecsManager.onSet('health', onSet);
+
+    ecsManager.setComponent(entityId, 'health', { value: 2 });
+
+    expect(onSet).toHaveBeenCalledWith({ value: 2 }, expect.objectContaining({ previous: { value: 1 } }));
+  });
+
+  test('should run remove hooks while the component is still readable', () => {
+    const seen = [];
+    ecsManager.onRemove('health', (data, { entityId: id, ecs }) => {
+      seen.push([data.value, ecs.getComponent(id, 'health') !== null]);
+    });
+    ecsManager.addComponent(entityId, 'health', { value: 1 });
+    const other = ecsManager.createEntity();
+    ecsManager.addComponent(other, 'health', { value: 2 });
+
+    ecsManager.removeComponent(entityId, 'health');
+    ecsManager.destroyEntity(other);
+
+    expect(seen).toEqual([[1, true], [2, true]]);
+  });
+
+  test('should remove hooks by ID and survive failing hooks', () => {
+    const hook = jest.fn();
+    const hookId = ecsManager.onSet('health', hook);
+    ecsManager.onSet('health', () => {
+      throw new Error('boom');
+    });
+
+    expect(ecsManager.removeComponentHook(hookId)).toBe(true);
+    expect(ecsManager.removeComponentHook(hookId)).toBe(false);
+    expect(ecsManager.addComponent(entityId, 'health', {})).toBe(true);
+    expect(hook).not.toHaveBeenCalled();
+    expect(ecsManager.onAdd('health', 'not a function')).toBeNull();
+  });
+
+  test('should re-attach replaced meshes immediately in RenderSystem', () => {
+    const scene = { add: jest.fn(), remove: jest.fn() };
+    ecsManager.registerSystem(new RenderSystem(scene, {}, { render: jest.fn() }));
+    const first = {};
+    const second = {};
+
+    ecsManager.addComponent(entityId, 'mesh', { mesh: first });
+    ecsManager.setComponent(entityId, 'mesh', { mesh: second });
+
+    expect(scene.remove).toHaveBeenCalledWith(first);
+    expect(scene.add).toHaveBeenLastCalledWith(second);
+
+    ecsManager.destroyEntity(entityId);
+    expect(scene.remove).toHaveBeenLastCalledWith(second);
+  });
+});
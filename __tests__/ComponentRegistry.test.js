@@ -0,0 +1,143 @@
+/**
+ * ComponentRegistry.test.js
+ * Tests for component type registration: schema normalization, default merging, validation,
+ * and ECSManager integration (component:invalid events, debug reporting, strict mode).
+ */
+import ComponentRegistry from '../src/core/ComponentRegistry.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+const transformDefinition = {
+  schema: {
+    position: {
+      type: 'object',
+      required: true,
+      schema: { x: 'number', y: 'number', z: 'number' }
+    },
+    label: ['string', 'number']
+  },
+  defaults: {
+    position: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 }
+  }
+};
+
+describe('ComponentRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ComponentRegistry();
+  });
+
+  describe('Registration', () => {
+    test('should register and look up definitions', () => {
+      registry.register('transform', transformDefinition);
+
+      expect(registry.has('transform')).toBe(true);
+      expect(registry.get('transform').schema.label.type).toEqual(['string', 'number']);
+      expect(registry.getTypes()).toEqual(['transform']);
+      expect(registry.unregister('transform')).toBe(true);
+      expect(registry.get('transform')).toBeNull();
+    });
+
+    test('should reject unknown schema types', () => {
+      expect(() => registry.register('bad', { schema: { x: 'float' } })).toThrow('Unknown schema type');
+    });
+  });
+
+  describe('Preparation', () => {
+    beforeEach(() => {
+      registry.register('transform', transformDefinition);
+    });
+
+    test('should deep-merge defaults without sharing default objects', () => {
+      const first = registry.prepare('transform', { position: { x: 5 } });
+      const second = registry.prepare('transform', {});
+
+      expect(first.errors).toEqual([]);
+      expect(first.data).toEqual({
+        position: { x: 5, y: 0, z: 0 },
+        scale: { x: 1, y: 1, z: 1 }
+      });
+      expect(second.data.scale).not.toBe(first.data.scale);
+    });
+
+    test('should report type errors with field paths', () => {
+      const { errors } = registry.prepare('transform', { position: { x: 'left' }, label: true });
+
+      expect(errors).toEqual([
+        'transform.position.x must be of type number',
+        'transform.label must be of type string | number'
+      ]);
+    });
+
+    test('should report missing required fields', () => {
+      registry.register('health', { schema: { current: { type: 'number', required: true } } });
+
+      expect(registry.prepare('health', {}).errors).toEqual(['health.current is required']);
+    });
+
+    test('should pass unregistered types through unchanged', () => {
+      const data = { anything: true };
+
+      expect(registry.prepare('custom', data)).toEqual({ data, errors: [] });
+    });
+  });
+
+  describe('ECSManager integration', () => {
+    let ecsManager;
+    let entityId;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false });
+      entityId = ecsManager.createEntity();
+    });
+
+    test('should apply defaults when adding registered components', () => {
+      ecsManager.registerComponent('transform', transformDefinition);
+
+      expect(ecsManager.addComponent(entityId, 'transform', { position: { y: 2 } })).toBe(true);
+      expect(ecsManager.getComponent(entityId, 'transform').data.position).toEqual({ x: 0, y: 2, z: 0 });
+      expect(ecsManager.isComponentRegistered('transform')).toBe(true);
+    });
+
+    test('should reject invalid data and emit component:invalid', () => {
+      const invalidSpy = jest.fn();
+      const logSpy = jest.spyOn(ecsManager.debugManager, 'log');
+      ecsManager.events.on('component:invalid', invalidSpy);
+      ecsManager.registerComponent('transform', transformDefinition);
+
+      const result = ecsManager.addComponent(entityId, 'transform', { position: { x: 'oops' } });
+
+      expect(result).toBe(false);
+      expect(ecsManager.getComponent(entityId, 'transform')).toBeNull();
+      expect(invalidSpy).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          entityId,
+          type: 'transform',
+          errors: ['transform.position.x must be of type number']
+        })
+      }));
+      expect(logSpy).toHaveBeenCalledWith(
+        'error',
+        `Invalid component transform for entity ${entityId}`,
+        ['transform.position.x must be of type number']
+      );
+    });
+
+    test('should reject unregistered types only in strict mode', () => {
+      const strictManager = new ECSManager({ debug: false, strictComponents: true });
+      const strictEntity = strictManager.createEntity();
+
+      expect(ecsManager.addComponent(entityId, 'transfrom', {})).toBe(true);
+      expect(strictManager.addComponent(strictEntity, 'transfrom', {})).toBe(false);
+
+      strictManager.registerComponent('transform');
+      expect(strictManager.addComponent(strictEntity, 'transform', {})).toBe(true);
+    });
+
+    test('should return false for invalid definitions', () => {
+      expect(ecsManager.registerComponent('bad', { schema: { x: 'float' } })).toBe(false);
+      expect(ecsManager.isComponentRegistered('bad')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * DeclarativeSystems.test.js
+ * Tests for systems that declare their queries and component access: cached queries built
+ * at registration, results injected into update(), change filters and access declarations.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+class MovementSystem {
+  static queries = {
+    movers: ['transform', 'velocity'],
+    renderables: { all: ['transform', 'mesh'] }
+  };
+
+  static access = { transform: 'write', velocity: 'read', mesh: 'read' };
+
+  constructor() {
+    this.name = 'MovementSystem';
+    this.calls = [];
+  }
+
+  update(deltaTime, queries, ecs) {
+    this.calls.push({ deltaTime, queries, ecs });
+  }
+}
+
+describe('Declarative systems', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false, driver: 'manual' });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should inject declared query results into update', () => {
+    const system = new MovementSystem();
+    ecsManager.registerSystem(system);
+    const mover = ecsManager.createEntity();
+    ecsManager.addComponent(mover, 'transform', {});
+    ecsManager.addComponent(mover, 'velocity', {});
+    const prop = ecsManager.createEntity();
+    ecsManager.addComponent(prop, 'transform', {});
+    ecsManager.addComponent(prop, 'mesh', {});
+
+    ecsManager.step(16);
+
+    expect(system.calls[0].deltaTime).toBe(16);
+    expect(system.calls[0].queries).toEqual({ movers: [mover], renderables: [prop] });
+    expect(system.calls[0].ecs).toBe(ecsManager);
+  });
+
+  test('should build cached queries at registration and skip inactive entities', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', {});
+    ecsManager.addComponent(entityId, 'velocity', {});
+    const system = new MovementSystem();
+    ecsManager.registerSystem(system);
+
+    const wrapper = ecsManager.systems[0];
+    expect(wrapper.queries.movers).toBe(ecsManager.query('transform', 'velocity'));
+
+    ecsManager.setEntityActive(entityId, false);
+    ecsManager.step(16);
+    expect(system.calls[0].queries.movers).toEqual([]);
+  });
+
+  test('should support plain-object systems, predicates and change filters', () => {
+    const seen = [];
+    ecsManager.registerSystem({
+      name: 'DamageSystem',
+      queries: {
+        hurt: { all: ['health'], changed: ['health'] },
+        dying: { all: ['health'], predicate: (id, ecs) => ecs.getComponent(id, 'health').data.value <= 0 }
+      },
+      update: (deltaTime, { hurt, dying }) => seen.push({ hurt, dying })
+    });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'health', { value: 0 });
+
+    ecsManager.step(16);
+    ecsManager.step(16);
+
+    expect(seen).toEqual([
+      { hurt: [entityId], dying: [entityId] },
+      { hurt: [], dying: [entityId] }
+    ]);
+  });
+
+  test('should keep the classic update signature for systems without queries', () => {
+    const system = { name: 'Classic', update: jest.fn() };
+    ecsManager.registerSystem(system);
+
+    ecsManager.step(16);
+
+    expect(system.update).toHaveBeenCalledWith(16, ecsManager);
+  });
+
+  test('should expose declared component access', () => {
+    ecsManager.registerSystem(new MovementSystem());
+    ecsManager.registerSystem({ name: 'Undeclared', update: () => {} });
+
+    expect(ecsManager.getSystemAccess('MovementSystem')).toEqual({
+      read: ['velocity', 'mesh'],
+      write: ['transform']
+    });
+    expect(ecsManager.getSystemAccess('Undeclared')).toBeNull();
+    expect(ecsManager.getSystemAccess('Missing')).toBeNull();
+  });
+
+  test('should reject invalid access declarations', () => {
+    const registered = ecsManager.registerSystem({
+      name: 'Broken',
+      access: { transform: 'readwrite' },
+      update: () => {}
+    });
+
+    expect(registered).toBe(false);
+    expect(ecsManager.systems).toHaveLength(0);
+  });
+});
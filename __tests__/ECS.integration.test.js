@@ -335,7 +335,7 @@ describe('ECS Integration Tests', () => {
   });
 
   describe('System Update Loop Integration', () => {
-    test('should update all systems in priority order', () => {
+    test('should update all systems in stage order', () => {
       const updateSpy1 = jest.spyOn(renderSystem, 'update');
       const updateSpy2 = jest.spyOn(animationSystem, 'update');
 
@@ -344,8 +344,8 @@ describe('ECS Integration Tests', () => {
       expect(updateSpy1).toHaveBeenCalledWith(16.67, ecsManager);
       expect(updateSpy2).toHaveBeenCalledWith(16.67, ecsManager);
 
-      // Render system should be called first (higher priority)
-      expect(updateSpy1).toHaveBeenCalledBefore(updateSpy2);
+      // The render stage runs after fixedUpdate, despite the render system's higher priority
+      expect(updateSpy2).toHaveBeenCalledBefore(updateSpy1);
     });
 
     test('should track system performance during updates', () => {
@@ -403,7 +403,13 @@ describe('ECS Integration Tests', () => {
           transform: 2,
           mesh: 1
         },
+        tagTypes: 0,
+        tagStats: {},
         running: false,
+        stages: expect.objectContaining({
+          fixedUpdate: expect.objectContaining({ systems: 1 }),
+          render: expect.objectContaining({ systems: 1 })
+        }),
         debug: expect.objectContaining({
           enabled: true,
           entities: 2
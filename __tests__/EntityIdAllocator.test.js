@@ -0,0 +1,138 @@
+/**
+ * EntityIdAllocator.test.js
+ * Tests for generational entity handles: encoding, free-list recycling, stale-handle
+ * detection, and ECSManager's numeric ID mode.
+ */
+import EntityIdAllocator from '../src/core/EntityIdAllocator.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('EntityIdAllocator', () => {
+  let allocator;
+
+  beforeEach(() => {
+    allocator = new EntityIdAllocator();
+  });
+
+  describe('Handle encoding', () => {
+    test('should round-trip index and generation', () => {
+      const handle = EntityIdAllocator.compose(42, 3);
+
+      expect(EntityIdAllocator.indexOf(handle)).toBe(42);
+      expect(EntityIdAllocator.generationOf(handle)).toBe(3);
+      expect(handle).toBeLessThanOrEqual(0x7fffffff);
+    });
+
+    test('should recognize handle-shaped values', () => {
+      expect(EntityIdAllocator.isHandle(0)).toBe(true);
+      expect(EntityIdAllocator.isHandle(-1)).toBe(false);
+      expect(EntityIdAllocator.isHandle(1.5)).toBe(false);
+      expect(EntityIdAllocator.isHandle('1')).toBe(false);
+    });
+  });
+
+  describe('Allocation', () => {
+    test('should allocate sequential slots at generation zero', () => {
+      expect(allocator.allocate()).toBe(0);
+      expect(allocator.allocate()).toBe(1);
+      expect(allocator.getStats()).toEqual({ slots: 2, alive: 2, free: 0 });
+    });
+
+    test('should recycle released slots with a new generation', () => {
+      const first = allocator.allocate();
+      allocator.allocate();
+      allocator.release(first);
+
+      const recycled = allocator.allocate();
+
+      expect(EntityIdAllocator.indexOf(recycled)).toBe(EntityIdAllocator.indexOf(first));
+      expect(EntityIdAllocator.generationOf(recycled)).toBe(1);
+      expect(allocator.isAlive(first)).toBe(false);
+      expect(allocator.isAlive(recycled)).toBe(true);
+    });
+
+    test('should recycle the oldest freed slot first', () => {
+      const a = allocator.allocate();
+      const b = allocator.allocate();
+      allocator.release(b);
+      allocator.release(a);
+
+      expect(EntityIdAllocator.indexOf(allocator.allocate())).toBe(1);
+      expect(EntityIdAllocator.indexOf(allocator.allocate())).toBe(0);
+    });
+
+    test('should ignore releasing stale or unknown handles', () => {
+      const handle = allocator.allocate();
+
+      expect(allocator.release(handle)).toBe(true);
+      expect(allocator.release(handle)).toBe(false);
+      expect(allocator.release(999)).toBe(false);
+      expect(allocator.getStats().free).toBe(1);
+    });
+
+    test('should claim specific handles and skip them when allocating', () => {
+      const handle = EntityIdAllocator.compose(2, 5);
+
+      expect(allocator.claim(handle)).toBe(true);
+      expect(allocator.isAlive(handle)).toBe(true);
+      expect(allocator.canClaim(EntityIdAllocator.compose(2, 6))).toBe(false);
+      expect(allocator.claim(handle)).toBe(false);
+
+      const allocated = [allocator.allocate(), allocator.allocate(), allocator.allocate()];
+      expect(allocated.map(EntityIdAllocator.indexOf)).toEqual([0, 1, 3]);
+      expect(allocator.getStats()).toEqual({ slots: 4, alive: 4, free: 0 });
+    });
+  });
+
+  describe('ECSManager numeric ID mode', () => {
+    let ecsManager;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, entityIds: 'numeric' });
+    });
+
+    test('should create numeric handles and recycle destroyed slots', () => {
+      const first = ecsManager.createEntity('First');
+      ecsManager.destroyEntity(first);
+      const second = ecsManager.createEntity('Second');
+
+      expect(typeof first).toBe('number');
+      expect(EntityIdAllocator.indexOf(second)).toBe(EntityIdAllocator.indexOf(first));
+      expect(second).not.toBe(first);
+    });
+
+    test('should reject stale handles after slot reuse', () => {
+      const stale = ecsManager.createEntity();
+      ecsManager.addComponent(stale, 'transform', {});
+      ecsManager.destroyEntity(stale);
+      const current = ecsManager.createEntity();
+      ecsManager.addComponent(current, 'transform', {});
+
+      expect(ecsManager.isAlive(stale)).toBe(false);
+      expect(ecsManager.hasEntity(stale)).toBe(false);
+      expect(ecsManager.getComponent(stale, 'transform')).toBeNull();
+      expect(ecsManager.destroyEntity(stale)).toBe(false);
+      expect(ecsManager.isAlive(current)).toBe(true);
+    });
+
+    test('should accept decimal string IDs', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(String(entityId), 'transform', { x: 1 });
+
+      expect(ecsManager.hasEntity(String(entityId))).toBe(true);
+      expect(ecsManager.getComponent(String(entityId), 'transform').entityId).toBe(entityId);
+      expect(ecsManager.getEntitiesWith('transform')).toEqual([entityId]);
+      expect(ecsManager.removeComponent(String(entityId), 'transform')).toBe(true);
+    });
+
+    test('should keep string IDs in the default mode', () => {
+      const defaultManager = new ECSManager({ debug: false });
+      const entityId = defaultManager.createEntity();
+
+      expect(entityId).toBe('entity_1');
+      expect(defaultManager.isAlive(entityId)).toBe(true);
+      defaultManager.destroyEntity(entityId);
+      expect(defaultManager.isAlive(entityId)).toBe(false);
+      expect(defaultManager.getEntity(entityId)).toBeNull();
+    });
+  });
+});
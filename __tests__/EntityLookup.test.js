@@ -0,0 +1,131 @@
+/**
+ * EntityLookup.test.js
+ * Tests for finding entities by name (including duplicates and renames), by predicate,
+ * and through component field indexes kept up to date as components change.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('Entity lookup', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  describe('by name', () => {
+    test('should find entities by name and handle duplicates', () => {
+      const first = ecsManager.createEntity('Enemy');
+      const second = ecsManager.createEntity('Enemy');
+      const unnamed = ecsManager.createEntity();
+
+      expect(ecsManager.findByName('Enemy')).toBe(first);
+      expect(ecsManager.findAllByName('Enemy')).toEqual([first, second]);
+      expect(ecsManager.findByName(unnamed)).toBe(unnamed);
+      expect(ecsManager.findByName('Missing')).toBeNull();
+      expect(ecsManager.findAllByName('Missing')).toEqual([]);
+
+      ecsManager.destroyEntity(first);
+      expect(ecsManager.findByName('Enemy')).toBe(second);
+    });
+
+    test('should follow renames', () => {
+      const entityId = ecsManager.createEntity('Old');
+      const onRenamed = jest.fn();
+      ecsManager.eventManager.on('entity:renamed', onRenamed);
+
+      expect(ecsManager.setEntityName(entityId, 'New')).toBe(true);
+
+      expect(ecsManager.findByName('Old')).toBeNull();
+      expect(ecsManager.findByName('New')).toBe(entityId);
+      expect(ecsManager.getEntity(entityId).name).toBe('New');
+      expect(onRenamed.mock.calls[0][0].data).toEqual({ id: entityId, name: 'New', previous: 'Old' });
+      expect(ecsManager.setEntityName('missing', 'Name')).toBe(false);
+    });
+
+    test('should index names restored from snapshots', () => {
+      const entityId = ecsManager.createEntity('Player');
+      const restored = new ECSManager({ debug: false });
+      restored.deserialize(ecsManager.serialize());
+
+      expect(restored.findByName('Player')).toBe(entityId);
+    });
+  });
+
+  test('should find entities by predicate', () => {
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    ecsManager.addComponent(b, 'health', { value: 0 });
+    ecsManager.setEntityActive(b, false);
+
+    const isDead = entityId => ecsManager.getComponent(entityId, 'health')?.data.value === 0;
+
+    expect(ecsManager.find(isDead)).toBe(b);
+    expect(ecsManager.find((entityId, entity) => entity.id === a)).toBe(a);
+    expect(ecsManager.find(() => false)).toBeNull();
+    expect(ecsManager.findAll(() => true)).toEqual([a, b]);
+  });
+
+  describe('component indexes', () => {
+    let red;
+    let blue;
+
+    beforeEach(() => {
+      red = ecsManager.createEntity();
+      blue = ecsManager.createEntity();
+      ecsManager.addComponent(red, 'team', { id: 1 });
+      ecsManager.addComponent(blue, 'team', { id: 2 });
+    });
+
+    test('should index existing and new components', () => {
+      expect(ecsManager.createIndex('team', 'id')).toBe(true);
+      expect(ecsManager.createIndex('team', 'id')).toBe(false);
+      const other = ecsManager.createEntity();
+      ecsManager.addComponent(other, 'team', { id: 1 });
+
+      expect(ecsManager.lookup('team', 'id', 1)).toEqual([red, other]);
+      expect(ecsManager.lookup('team', 'id', 3)).toEqual([]);
+    });
+
+    test('should follow sets, in-place changes and removals', () => {
+      ecsManager.createIndex('team', 'id');
+
+      ecsManager.setComponent(red, 'team', { id: 2 });
+      expect(ecsManager.lookup('team', 'id', 1)).toEqual([]);
+      expect(ecsManager.lookup('team', 'id', 2)).toEqual([blue, red]);
+
+      ecsManager.getComponent(blue, 'team').data.id = 3;
+      ecsManager.markChanged(blue, 'team');
+      expect(ecsManager.lookup('team', 'id', 3)).toEqual([blue]);
+
+      ecsManager.removeComponent(red, 'team');
+      ecsManager.destroyEntity(blue);
+      expect(ecsManager.lookup('team', 'id', 2)).toEqual([]);
+      expect(ecsManager.indexes.get('team').get('id').getStats()).toEqual({ entities: 0, values: 0 });
+    });
+
+    test('should index nested and typed fields', () => {
+      ecsManager.defineTypedComponent('cell', { pos: { x: 'i32', y: 'i32' } });
+      ecsManager.createIndex('cell', 'pos.x');
+      ecsManager.addComponent(red, 'cell', { pos: { x: 4, y: 0 } });
+      ecsManager.addComponent(blue, 'cell', { pos: { x: 5, y: 0 } });
+
+      ecsManager.removeComponent(red, 'cell');
+
+      expect(ecsManager.lookup('cell', 'pos.x', 5)).toEqual([blue]);
+      expect(ecsManager.lookup('cell', 'pos.x', 4)).toEqual([]);
+    });
+
+    test('should scan when no index exists and stop using dropped indexes', () => {
+      expect(ecsManager.lookup('team', 'id', 2)).toEqual([blue]);
+
+      ecsManager.createIndex('team', 'id');
+      expect(ecsManager.dropIndex('team', 'id')).toBe(true);
+      expect(ecsManager.dropIndex('team', 'id')).toBe(false);
+      expect(ecsManager.lookup('team', 'id', 1)).toEqual([red]);
+    });
+  });
+});
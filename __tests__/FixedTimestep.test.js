@@ -0,0 +1,143 @@
+/**
+ * FixedTimestep.test.js
+ * Tests for the fixed-timestep loop mode: stepping from the accumulator, the catch-up clamp,
+ * fixed and variable system sets, the interpolation alpha and RenderSystem interpolation.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+import AnimationSystem from '../src/systems/AnimationSystem.js';
+
+/**
+ * Create a minimal stand-in for a THREE.Mesh
+ */
+function createMesh() {
+  const vector = () => ({ x: 0, y: 0, z: 0, set(x, y, z) { Object.assign(this, { x, y, z }); } });
+  return { position: vector(), rotation: vector(), scale: vector() };
+}
+
+describe('Fixed timestep loop', () => {
+  let ecsManager;
+  let fixedSystem;
+  let variableSystem;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false, loop: 'fixed', fixedStep: 10, maxSubSteps: 3 });
+    fixedSystem = { name: 'Physics', fixed: true, update: jest.fn() };
+    variableSystem = { name: 'Camera', update: jest.fn() };
+    ecsManager.registerSystem(fixedSystem);
+    ecsManager.registerSystem(variableSystem);
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should run fixed systems once per elapsed step and variable systems once per frame', () => {
+    ecsManager.runFrame(25);
+
+    expect(fixedSystem.update).toHaveBeenCalledTimes(2);
+    expect(fixedSystem.update).toHaveBeenCalledWith(10, ecsManager);
+    expect(variableSystem.update).toHaveBeenCalledTimes(1);
+    expect(variableSystem.update).toHaveBeenCalledWith(25, ecsManager);
+    expect(ecsManager.getInterpolationAlpha()).toBeCloseTo(0.5);
+
+    ecsManager.runFrame(6);
+    expect(fixedSystem.update).toHaveBeenCalledTimes(3);
+    expect(ecsManager.getInterpolationAlpha()).toBeCloseTo(0.1);
+  });
+
+  test('should clamp the accumulator after long frames', () => {
+    const onClamped = jest.fn();
+    ecsManager.eventManager.on('loop:clamped', onClamped);
+
+    ecsManager.runFrame(1000);
+
+    expect(fixedSystem.update).toHaveBeenCalledTimes(3);
+    expect(onClamped.mock.calls[0][0].data.dropped).toBe(970);
+    expect(ecsManager.accumulator).toBe(0);
+  });
+
+  test('should let the registration option override the system flag', () => {
+    const system = { name: 'Ai', update: jest.fn() };
+    ecsManager.registerSystem(system, 0, { fixed: true });
+
+    ecsManager.runFrame(5);
+    expect(system.update).not.toHaveBeenCalled();
+
+    ecsManager.runFrame(5);
+    expect(system.update).toHaveBeenCalledWith(10, ecsManager);
+  });
+
+  test('should run every system with the frame delta in the variable mode', () => {
+    ecsManager.configureLoop({ mode: 'variable' });
+
+    ecsManager.runFrame(25);
+
+    expect(fixedSystem.update).toHaveBeenCalledWith(25, ecsManager);
+    expect(variableSystem.update).toHaveBeenCalledTimes(1);
+    expect(ecsManager.getInterpolationAlpha()).toBe(1);
+  });
+
+  test('should ignore invalid loop settings', () => {
+    ecsManager.configureLoop({ mode: 'bogus', fixedStep: -1, maxSubSteps: 0.5 });
+
+    expect(ecsManager.loopMode).toBe('fixed');
+    expect(ecsManager.fixedStep).toBe(10);
+    expect(ecsManager.maxSubSteps).toBe(3);
+  });
+
+  test('should interpolate meshes between fixed steps in RenderSystem', () => {
+    const renderer = { render: jest.fn() };
+    const renderSystem = new RenderSystem({ add: jest.fn(), remove: jest.fn() }, {}, renderer);
+    ecsManager.registerSystem(renderSystem);
+    const entityId = ecsManager.createEntity();
+    const mesh = createMesh();
+    ecsManager.addComponent(entityId, 'transform', { position: { x: 0, y: 0, z: 0 } });
+    ecsManager.addComponent(entityId, 'mesh', { mesh });
+    ecsManager.registerSystem({
+      name: 'Mover',
+      fixed: true,
+      update: (deltaTime, ecs) => {
+        ecs.getComponent(entityId, 'transform').data.position.x += deltaTime;
+        ecs.markChanged(entityId, 'transform');
+      }
+    }, 10);
+
+    // The second frame steps from 10 to 20 and ends halfway to the next step
+    ecsManager.runFrame(10);
+    ecsManager.runFrame(15);
+
+    expect(ecsManager.getComponent(entityId, 'transform').data.position.x).toBe(20);
+    expect(mesh.position.x).toBeCloseTo(15);
+    expect(renderer.render).toHaveBeenCalledTimes(2);
+
+    ecsManager.destroyEntity(entityId);
+    expect(renderSystem.previousTransforms.size).toBe(0);
+  });
+
+  test('should interpolate typed transform components from their previous values', () => {
+    ecsManager.defineTypedComponent('transform', {
+      position: { x: 'f32', y: 'f32', z: 'f32' },
+      scale: { x: 'f32', y: 'f32', z: 'f32' }
+    });
+    ecsManager.registerSystem(new RenderSystem({ add: jest.fn(), remove: jest.fn() }, {}, { render: jest.fn() }));
+    const entityId = ecsManager.createEntity();
+    const mesh = createMesh();
+    ecsManager.addComponent(entityId, 'transform', { position: { x: 10, y: 4, z: 0 }, scale: { x: 2, y: 2, z: 2 } });
+    ecsManager.addComponent(entityId, 'mesh', { mesh });
+
+    // A static entity must stay put whatever the alpha
+    ecsManager.runFrame(15);
+
+    expect(ecsManager.getInterpolationAlpha()).toBeCloseTo(0.5);
+    expect(mesh.position.x).toBeCloseTo(10);
+    expect(mesh.position.y).toBeCloseTo(4);
+    expect(mesh.scale.x).toBeCloseTo(2);
+  });
+
+  test('should run AnimationSystem on the fixed step', () => {
+    ecsManager.registerSystem(new AnimationSystem());
+
+    expect(ecsManager.systems.find(wrapper => wrapper.name === 'AnimationSystem').fixed).toBe(true);
+  });
+});
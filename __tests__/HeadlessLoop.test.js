@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * HeadlessLoop.test.js
+ * Tests for running the ECS without a browser: manual stepping, pluggable loop drivers,
+ * the injectable clock, and debug mode without a DOM.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import LoopDriver from '../src/core/LoopDriver.js';
+
+describe('Headless loop', () => {
+  let ecsManager;
+  let system;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false, driver: 'manual' });
+    system = { name: 'Counter', update: jest.fn() };
+    ecsManager.registerSystem(system);
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should step the world without starting the loop', () => {
+    const onQueued = jest.fn();
+    ecsManager.eventManager.on('game:tick', onQueued);
+    ecsManager.eventManager.queue('game:tick');
+
+    ecsManager.step(20);
+
+    expect(onQueued).toHaveBeenCalledTimes(1);
+    expect(system.update).toHaveBeenCalledWith(20, ecsManager);
+    expect(ecsManager.frameCount).toBe(1);
+  });
+
+  test('should run several frames with the fixed step by default', () => {
+    ecsManager.runFrames(3);
+
+    expect(system.update).toHaveBeenCalledTimes(3);
+    expect(system.update).toHaveBeenCalledWith(1000 / 60, ecsManager);
+
+    ecsManager.runFrames(2, 5);
+    expect(system.update).toHaveBeenLastCalledWith(5, ecsManager);
+    expect(ecsManager.frameCount).toBe(5);
+  });
+
+  test('should drive fixed loops deterministically', () => {
+    ecsManager.configureLoop({ mode: 'fixed', fixedStep: 10 });
+    const physics = { name: 'Physics', fixed: true, update: jest.fn() };
+    ecsManager.registerSystem(physics);
+
+    ecsManager.runFrames(4, 5);
+
+    expect(physics.update).toHaveBeenCalledTimes(2);
+    expect(system.update).toHaveBeenCalledTimes(4);
+  });
+
+  test('should not schedule frames with the manual driver', () => {
+    ecsManager.start();
+
+    expect(ecsManager.running).toBe(true);
+    expect(ecsManager.loopHandle).toBeNull();
+    expect(system.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('should measure frame times with the injected clock', () => {
+    let now = 100;
+    const driver = { schedule: jest.fn(() => 'frame'), cancel: jest.fn() };
+    ecsManager = new ECSManager({ debug: false, driver, clock: () => now });
+    ecsManager.registerSystem(system);
+
+    ecsManager.start();
+    now = 125;
+    driver.schedule.mock.calls[0][0]();
+
+    expect(system.update).toHaveBeenLastCalledWith(25, ecsManager);
+    expect(driver.schedule).toHaveBeenCalledTimes(2);
+
+    ecsManager.stop();
+    expect(driver.cancel).toHaveBeenCalledWith('frame');
+  });
+
+  test('should switch drivers while running', () => {
+    const driver = { schedule: jest.fn(() => 1), cancel: jest.fn() };
+    ecsManager.start();
+
+    expect(ecsManager.setLoopDriver(driver)).toBe(true);
+    expect(driver.schedule).toHaveBeenCalledTimes(1);
+    expect(ecsManager.setLoopDriver({})).toBe(false);
+    expect(ecsManager.setLoopDriver('bogus')).toBe(false);
+    expect(ecsManager.loopDriver).toBe(driver);
+  });
+
+  test('should pick timer drivers when requestAnimationFrame is unavailable', () => {
+    const originalRaf = global.requestAnimationFrame;
+    delete global.requestAnimationFrame;
+    try {
+      expect(LoopDriver.resolve('auto').name).toBe('timeout');
+      expect(LoopDriver.resolve('immediate').name).toBe('immediate');
+      expect(LoopDriver.resolve('manual').schedule(() => {})).toBeNull();
+    } finally {
+      global.requestAnimationFrame = originalRaf;
+    }
+  });
+
+  test('should run with debug enabled and no DOM', () => {
+    const originalRaf = global.requestAnimationFrame;
+    delete global.requestAnimationFrame;
+    try {
+      ecsManager = new ECSManager({ debug: true, driver: 'manual' });
+      ecsManager.createEntity();
+      ecsManager.step(16);
+
+      expect(ecsManager.debugManager.debugPanel).toBeNull();
+    } finally {
+      global.requestAnimationFrame = originalRaf;
+    }
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Hierarchy.test.js
+ * Tests for parent/child entity relationships: ordered children, traversal, cycle
+ * prevention, cascading destroy, hierarchy events, snapshots and the RenderSystem
+ * scene graph mirror.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+
+describe('Entity hierarchy', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should attach children in order and support explicit positions', () => {
+    const parent = ecsManager.createEntity();
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    const c = ecsManager.createEntity();
+
+    ecsManager.setParent(a, parent);
+    ecsManager.setParent(b, parent);
+    ecsManager.setParent(c, parent, { index: 0 });
+
+    expect(ecsManager.getChildren(parent)).toEqual([c, a, b]);
+    expect(ecsManager.getParent(a)).toBe(parent);
+
+    ecsManager.setParent(b, parent, { index: 1 });
+    expect(ecsManager.getChildren(parent)).toEqual([c, b, a]);
+  });
+
+  test('should move entities between parents and detach them', () => {
+    const first = ecsManager.createEntity();
+    const second = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+
+    ecsManager.setParent(child, first);
+    ecsManager.setParent(child, second);
+    expect(ecsManager.getChildren(first)).toEqual([]);
+    expect(ecsManager.getChildren(second)).toEqual([child]);
+
+    ecsManager.setParent(child, null);
+    expect(ecsManager.getParent(child)).toBeNull();
+    expect(ecsManager.getChildren(second)).toEqual([]);
+  });
+
+  test('should traverse ancestors and descendants', () => {
+    const root = ecsManager.createEntity();
+    const a = ecsManager.createEntity();
+    const a1 = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    ecsManager.setParent(a, root);
+    ecsManager.setParent(a1, a);
+    ecsManager.setParent(b, root);
+
+    expect(ecsManager.getAncestors(a1)).toEqual([a, root]);
+    expect(ecsManager.getDescendants(root)).toEqual([a, a1, b]);
+    expect(ecsManager.isAncestorOf(root, a1)).toBe(true);
+    expect(ecsManager.isAncestorOf(b, a1)).toBe(false);
+  });
+
+  test('should reject cycles and unknown entities', () => {
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    ecsManager.setParent(child, root);
+
+    expect(ecsManager.setParent(root, child)).toBe(false);
+    expect(ecsManager.setParent(root, root)).toBe(false);
+    expect(ecsManager.setParent(child, 'missing')).toBe(false);
+    expect(ecsManager.setParent('missing', root)).toBe(false);
+    expect(ecsManager.getParent(child)).toBe(root);
+  });
+
+  test('should emit hierarchy:changed with the previous parent', () => {
+    const first = ecsManager.createEntity();
+    const second = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    const listener = jest.fn();
+    ecsManager.eventManager.on('hierarchy:changed', listener);
+
+    ecsManager.setParent(child, first);
+    ecsManager.setParent(child, second);
+
+    expect(listener.mock.calls.map(call => call[0].data)).toEqual([
+      { entityId: child, parent: first, previousParent: null, index: 0 },
+      { entityId: child, parent: second, previousParent: first, index: 0 }
+    ]);
+  });
+
+  test('should destroy descendants deepest first by default', () => {
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    const grandchild = ecsManager.createEntity();
+    const parent = ecsManager.createEntity();
+    ecsManager.setParent(root, parent);
+    ecsManager.setParent(child, root);
+    ecsManager.setParent(grandchild, child);
+    const destroyed = [];
+    ecsManager.eventManager.on('entity:destroyed', event => destroyed.push(event.data.id));
+
+    ecsManager.destroyEntity(root);
+
+    expect(destroyed).toEqual([grandchild, child, root]);
+    expect(ecsManager.entities.size).toBe(1);
+    expect(ecsManager.getChildren(parent)).toEqual([]);
+  });
+
+  test('should orphan children when cascading is disabled', () => {
+    const root = ecsManager.createEntity();
+    const child = ecsManager.createEntity();
+    ecsManager.setParent(child, root);
+
+    ecsManager.destroyEntity(root, { cascade: false });
+
+    expect(ecsManager.hasEntity(child)).toBe(true);
+    expect(ecsManager.getParent(child)).toBeNull();
+  });
+
+  test('should parent prefab children to the instance', () => {
+    ecsManager.definePrefab('wheel', { components: { wheel: {} } });
+    ecsManager.definePrefab('car', { children: [{ prefab: 'wheel' }, { prefab: 'wheel' }] });
+
+    const car = ecsManager.instantiate('car');
+
+    expect(ecsManager.getChildren(car)).toHaveLength(2);
+    ecsManager.destroyEntity(car);
+    expect(ecsManager.entities.size).toBe(0);
+  });
+
+  test('should keep hierarchy and child order in snapshots', () => {
+    const root = ecsManager.createEntity();
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    ecsManager.setParent(a, root);
+    ecsManager.setParent(b, root, { index: 0 });
+
+    const restored = new ECSManager({ debug: false });
+    restored.deserialize(ecsManager.serialize());
+
+    expect(restored.getChildren(root)).toEqual([b, a]);
+    expect(restored.getParent(a)).toBe(root);
+  });
+
+  describe('RenderSystem scene graph', () => {
+    class Node {
+      constructor() {
+        this.children = [];
+      }
+
+      add(child) {
+        this.children.push(child);
+      }
+
+      remove(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+      }
+    }
+
+    let scene;
+
+    beforeEach(() => {
+      scene = new Node();
+      const renderSystem = new RenderSystem(scene, {}, { render: jest.fn() });
+      ecsManager.registerSystem(renderSystem);
+    });
+
+    test('should attach child meshes to their parent mesh', () => {
+      const parent = ecsManager.createEntity();
+      const child = ecsManager.createEntity();
+      const parentMesh = new Node();
+      const childMesh = new Node();
+      ecsManager.addComponent(parent, 'mesh', { mesh: parentMesh });
+      ecsManager.addComponent(child, 'mesh', { mesh: childMesh });
+      expect(scene.children).toEqual([parentMesh, childMesh]);
+
+      ecsManager.setParent(child, parent);
+      expect(scene.children).toEqual([parentMesh]);
+      expect(parentMesh.children).toEqual([childMesh]);
+
+      ecsManager.setParent(child, null);
+      expect(scene.children).toEqual([parentMesh, childMesh]);
+      expect(parentMesh.children).toEqual([]);
+    });
+
+    test('should attach through ancestors without meshes and re-home orphaned meshes', () => {
+      const root = ecsManager.createEntity();
+      const group = ecsManager.createEntity();
+      const leaf = ecsManager.createEntity();
+      const rootMesh = new Node();
+      const leafMesh = new Node();
+      ecsManager.setParent(group, root);
+      ecsManager.setParent(leaf, group);
+      ecsManager.addComponent(leaf, 'mesh', { mesh: leafMesh });
+      expect(scene.children).toEqual([leafMesh]);
+
+      ecsManager.addComponent(root, 'mesh', { mesh: rootMesh });
+      expect(scene.children).toEqual([rootMesh]);
+      expect(rootMesh.children).toEqual([leafMesh]);
+
+      ecsManager.removeComponent(root, 'mesh');
+      expect(scene.children).toEqual([leafMesh]);
+    });
+  });
+});
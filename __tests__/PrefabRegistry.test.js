@@ -0,0 +1,178 @@
+/**
+ * PrefabRegistry.test.js
+ * Tests for prefabs: inheritance resolution, per-instance component factories, overrides,
+ * child instantiation and recording the source prefab on entities.
+ */
+import PrefabRegistry from '../src/core/PrefabRegistry.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('PrefabRegistry', () => {
+  describe('Resolution', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new PrefabRegistry();
+    });
+
+    test('should deep-merge variant components over their base', () => {
+      registry.register('enemy', {
+        components: {
+          transform: { position: { x: 0, y: 0 }, scale: 1 },
+          health: { value: 10, max: 10 }
+        }
+      });
+      registry.register('boss', {
+        extends: 'enemy',
+        components: { health: { value: 100 }, loot: { gold: 50 } }
+      });
+
+      const resolved = registry.resolve('boss');
+
+      expect(resolved.chain).toEqual(['boss', 'enemy']);
+      expect(resolved.components).toEqual({
+        transform: { position: { x: 0, y: 0 }, scale: 1 },
+        health: { value: 100, max: 10 },
+        loot: { gold: 50 }
+      });
+      expect(registry.get('enemy').components.health.value).toBe(10);
+    });
+
+    test('should let factories replace inherited values', () => {
+      const factory = () => ({ value: 1 });
+      registry.register('base', { components: { health: { value: 10 } } });
+      registry.register('variant', { extends: 'base', components: { health: factory } });
+      registry.register('override', { extends: 'variant', components: { health: { value: 5 } } });
+
+      expect(registry.resolve('variant').components.health).toBe(factory);
+      expect(registry.resolve('override').components.health).toEqual({ value: 5 });
+    });
+
+    test('should replace inherited children only when the variant defines them', () => {
+      registry.register('base', { children: [{ prefab: 'a' }] });
+      registry.register('same', { extends: 'base' });
+      registry.register('other', { extends: 'base', children: [{ prefab: 'b' }] });
+
+      expect(registry.resolve('same').children).toEqual([{ prefab: 'a' }]);
+      expect(registry.resolve('other').children).toEqual([{ prefab: 'b' }]);
+    });
+
+    test('should report unknown prefabs, missing bases and cycles', () => {
+      registry.register('orphan', { extends: 'missing' });
+      registry.register('a', { extends: 'b' });
+      registry.register('b', { extends: 'a' });
+
+      expect(() => registry.resolve('nothing')).toThrow('Unknown prefab: nothing');
+      expect(() => registry.resolve('orphan')).toThrow('extends unknown prefab: missing');
+      expect(() => registry.resolve('a')).toThrow('Prefab inheritance cycle: a -> b -> a');
+    });
+
+    test('should reject malformed definitions', () => {
+      expect(() => registry.register('bad', { extends: 42 })).toThrow('must be a prefab name');
+      expect(() => registry.register('bad', { children: {} })).toThrow('must be an array');
+    });
+  });
+
+  describe('ECSManager prefabs', () => {
+    let ecsManager;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false });
+    });
+
+    afterEach(() => {
+      ecsManager.stop();
+    });
+
+    test('should instantiate components with independent data', () => {
+      ecsManager.definePrefab('cube', { components: { transform: { position: { x: 0, y: 0 } } } });
+
+      const a = ecsManager.instantiate('cube');
+      const b = ecsManager.instantiate('cube');
+      ecsManager.getComponent(a, 'transform').data.position.x = 5;
+
+      expect(ecsManager.getComponent(b, 'transform').data.position).toEqual({ x: 0, y: 0 });
+      expect(ecsManager.getEntity(a).prefab).toBe('cube');
+      expect(ecsManager.getEntity(a).name).toBe('cube');
+    });
+
+    test('should deep-merge overrides and add extra component types', () => {
+      ecsManager.definePrefab('cube', { components: { transform: { position: { x: 0, y: 0 }, scale: 1 } } });
+
+      const entityId = ecsManager.instantiate('cube', {
+        transform: { position: { x: 3 } },
+        velocity: { x: 1 }
+      }, { name: 'Moving cube' });
+
+      expect(ecsManager.getComponent(entityId, 'transform').data).toEqual({ position: { x: 3, y: 0 }, scale: 1 });
+      expect(ecsManager.getComponent(entityId, 'velocity').data).toEqual({ x: 1 });
+      expect(ecsManager.getEntity(entityId).name).toBe('Moving cube');
+    });
+
+    test('should call factories once per instance with context', () => {
+      class Mesh {}
+      const factory = jest.fn(() => ({ mesh: new Mesh() }));
+      ecsManager.definePrefab('cube', { components: { mesh: factory } });
+
+      const a = ecsManager.instantiate('cube');
+      const b = ecsManager.instantiate('cube', { mesh: { visible: false } });
+
+      expect(factory).toHaveBeenCalledTimes(2);
+      expect(factory).toHaveBeenCalledWith(expect.objectContaining({ entityId: a, prefab: 'cube', ecs: ecsManager }));
+      expect(ecsManager.getComponent(a, 'mesh').data.mesh).not.toBe(ecsManager.getComponent(b, 'mesh').data.mesh);
+      expect(ecsManager.getComponent(b, 'mesh').data.mesh).toBeInstanceOf(Mesh);
+      expect(ecsManager.getComponent(b, 'mesh').data.visible).toBe(false);
+    });
+
+    test('should apply registered component defaults to prefab data', () => {
+      ecsManager.registerComponent('health', { defaults: { value: 10, max: 10 } });
+      ecsManager.definePrefab('enemy', { components: { health: { value: 3 } } });
+
+      const entityId = ecsManager.instantiate('enemy');
+
+      expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 3, max: 10 });
+    });
+
+    test('should instantiate prefab and inline children', () => {
+      ecsManager.definePrefab('wheel', { components: { wheel: { radius: 1 } } });
+      ecsManager.definePrefab('car', {
+        components: { body: {} },
+        children: [
+          { prefab: 'wheel', name: 'Front wheel' },
+          { prefab: 'wheel', overrides: { wheel: { radius: 2 } } },
+          { name: 'Seat', components: { seat: { soft: true } } }
+        ]
+      });
+      const onInstantiated = jest.fn();
+      ecsManager.eventManager.on('prefab:instantiated', onInstantiated);
+
+      const car = ecsManager.instantiate('car');
+      const { children } = onInstantiated.mock.calls.pop()[0].data;
+
+      expect(ecsManager.entities.size).toBe(4);
+      expect(children).toHaveLength(3);
+      expect(ecsManager.getEntity(children[0]).name).toBe('Front wheel');
+      expect(ecsManager.getComponent(children[1], 'wheel').data).toEqual({ radius: 2 });
+      expect(ecsManager.getEntity(children[2]).prefab).toBeUndefined();
+      expect(ecsManager.getEntity(car).prefab).toBe('car');
+    });
+
+    test('should return null for unknown prefabs and reject invalid definitions', () => {
+      expect(ecsManager.instantiate('missing')).toBeNull();
+      expect(ecsManager.entities.size).toBe(0);
+      expect(ecsManager.definePrefab('bad', { children: 'nope' })).toBe(false);
+      expect(ecsManager.prefabs.has('bad')).toBe(false);
+    });
+
+    test('should keep the source prefab in world snapshots', () => {
+      ecsManager.definePrefab('cube', { components: { transform: { x: 0 } } });
+      const entityId = ecsManager.instantiate('cube');
+      const doc = ecsManager.serialize();
+
+      const restored = new ECSManager({ debug: false });
+      restored.deserialize(doc);
+
+      expect(doc.entities[0].prefab).toBe('cube');
+      expect(restored.getEntity(entityId).prefab).toBe('cube');
+    });
+  });
+});
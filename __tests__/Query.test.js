@@ -0,0 +1,355 @@
+/**
+ * Query.test.js
+ * Tests for cached entity queries: key generation, incremental maintenance through
+ * ECSManager component/entity lifecycle, onEnter/onExit callbacks, and rich
+ * descriptors (all/none/any/optional clauses and predicates).
+ */
+import Query from '../src/core/Query.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('Query', () => {
+  describe('Query class', () => {
+    test('should create order-independent keys', () => {
+      expect(Query.createKey(['mesh', 'transform'])).toBe(Query.createKey(['transform', 'mesh']));
+      expect(Query.createKey(['a', 'a', 'b'])).toBe('a|b');
+    });
+
+    test('should include non-all clauses in keys', () => {
+      expect(Query.createKey({ all: ['transform'], none: ['hidden'], any: ['enemy', 'boss'] }))
+        .toBe('transform !(hidden) ~(boss|enemy)');
+      expect(Query.createKey({ all: ['transform'], optional: ['velocity'] })).toBe('transform ?(velocity)');
+      expect(Query.createKey({ all: ['transform'] })).toBe(Query.createKey(['transform']));
+    });
+
+    test('should match all, none and any clauses against a signature', () => {
+      const query = new Query({ all: ['transform'], none: ['hidden'], any: ['enemy', 'boss'], optional: ['velocity'] });
+
+      expect(query.matches(new Set(['transform', 'enemy']))).toBe(true);
+      expect(query.matches(new Set(['transform', 'boss', 'velocity']))).toBe(true);
+      expect(query.matches(new Set(['transform']))).toBe(false);
+      expect(query.matches(new Set(['transform', 'enemy', 'hidden']))).toBe(false);
+      expect(query.watchedTypes.sort()).toEqual(['boss', 'enemy', 'hidden', 'transform']);
+    });
+
+    test('should fire enter and exit callbacks only on membership changes', () => {
+      const query = new Query(['transform']);
+      const onEnter = jest.fn();
+      const onExit = jest.fn();
+      query.onEnter(onEnter).onExit(onExit);
+
+      expect(query.add('entity_1')).toBe(true);
+      expect(query.add('entity_1')).toBe(false);
+      expect(query.remove('entity_1')).toBe(true);
+      expect(query.remove('entity_1')).toBe(false);
+
+      expect(onEnter).toHaveBeenCalledTimes(1);
+      expect(onEnter).toHaveBeenCalledWith('entity_1', query);
+      expect(onExit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop notifying removed callbacks', () => {
+      const query = new Query(['transform']);
+      const onEnter = jest.fn();
+      query.onEnter(onEnter);
+      query.offEnter(onEnter);
+
+      query.add('entity_1');
+
+      expect(onEnter).not.toHaveBeenCalled();
+    });
+
+    test('should isolate errors thrown by callbacks', () => {
+      const onError = jest.fn();
+      const query = new Query(['transform'], null, null, onError);
+      const after = jest.fn();
+      query.onEnter(() => {
+        throw new Error('listener failure');
+      });
+      query.onEnter(after);
+
+      expect(() => query.add('entity_1')).not.toThrow();
+      expect(after).toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), query);
+    });
+  });
+
+  describe('ECSManager queries', () => {
+    let ecsManager;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false });
+    });
+
+    afterEach(() => {
+      ecsManager.stop();
+    });
+
+    test('should share identical queries regardless of component order', () => {
+      const a = ecsManager.query('transform', 'mesh');
+      const b = ecsManager.query('mesh', 'transform');
+
+      expect(a).toBe(b);
+      expect(ecsManager.queries.size).toBe(1);
+    });
+
+    test('should populate a new query from existing entities', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+      ecsManager.addComponent(entityId, 'mesh', {});
+      ecsManager.addComponent(ecsManager.createEntity(), 'transform', {});
+
+      const query = ecsManager.query('transform', 'mesh');
+
+      expect(query.toArray()).toEqual([entityId]);
+    });
+
+    test('should maintain results incrementally as components change', () => {
+      const query = ecsManager.query('transform', 'mesh');
+      const onEnter = jest.fn();
+      const onExit = jest.fn();
+      query.onEnter(onEnter).onExit(onExit);
+
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+      expect(query.has(entityId)).toBe(false);
+
+      ecsManager.addComponent(entityId, 'mesh', {});
+      expect(query.has(entityId)).toBe(true);
+      expect(onEnter).toHaveBeenCalledWith(entityId, query);
+
+      ecsManager.removeComponent(entityId, 'transform');
+      expect(query.has(entityId)).toBe(false);
+      expect(onExit).toHaveBeenCalledWith(entityId, query);
+    });
+
+    test('should not re-enter when a component is overwritten', () => {
+      const query = ecsManager.query('transform');
+      const onEnter = jest.fn();
+      query.onEnter(onEnter);
+
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', { x: 1 });
+      ecsManager.addComponent(entityId, 'transform', { x: 2 });
+
+      expect(onEnter).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report callback errors through the debug manager', () => {
+      const logSpy = jest.spyOn(ecsManager.debugManager, 'log');
+      ecsManager.query('transform').onEnter(() => {
+        throw new Error('listener failure');
+      });
+
+      ecsManager.addComponent(ecsManager.createEntity(), 'transform', {});
+
+      expect(logSpy).toHaveBeenCalledWith('error', 'Error in callback for query \'transform\'', expect.any(Error));
+    });
+
+    test('should remove destroyed entities and fire exit callbacks once', () => {
+      const query = ecsManager.query('transform');
+      const onExit = jest.fn();
+      query.onExit(onExit);
+
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+      ecsManager.destroyEntity(entityId);
+
+      expect(query.size).toBe(0);
+      expect(onExit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should include every entity in a query without component types', () => {
+      const query = ecsManager.query();
+      const entityId = ecsManager.createEntity();
+
+      expect(query.has(entityId)).toBe(true);
+
+      ecsManager.destroyEntity(entityId);
+      expect(query.has(entityId)).toBe(false);
+    });
+
+    test('should update none and any clauses as components change', () => {
+      const query = ecsManager.query({ all: ['transform'], none: ['hidden'], any: ['enemy', 'boss'] });
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+      expect(query.has(entityId)).toBe(false);
+
+      ecsManager.addComponent(entityId, 'boss', {});
+      expect(query.has(entityId)).toBe(true);
+
+      ecsManager.addComponent(entityId, 'hidden', {});
+      expect(query.has(entityId)).toBe(false);
+
+      ecsManager.removeComponent(entityId, 'hidden');
+      expect(query.has(entityId)).toBe(true);
+    });
+
+    test('should not let optional clauses affect membership', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', {});
+
+      expect(ecsManager.query({ all: ['transform'], optional: ['velocity'] }).toArray()).toEqual([entityId]);
+    });
+
+    test('should apply predicates when results are read', () => {
+      const query = ecsManager.query({
+        all: ['health'],
+        predicate: (entityId, ecs) => ecs.getComponent(entityId, 'health').data.value > 0
+      });
+      const alive = ecsManager.createEntity();
+      const dead = ecsManager.createEntity();
+      ecsManager.addComponent(alive, 'health', { value: 10 });
+      ecsManager.addComponent(dead, 'health', { value: 0 });
+
+      expect(query.toArray()).toEqual([alive]);
+      expect(query.size).toBe(1);
+      expect(query.has(dead)).toBe(false);
+
+      ecsManager.getComponent(dead, 'health').data.value = 5;
+      expect(query.toArray()).toEqual([alive, dead]);
+    });
+
+    test('should serve predicate queries from the shared structural query', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'health', { value: 1 });
+      const structural = ecsManager.query('health');
+
+      for (let frame = 0; frame < 5; frame++) {
+        const view = ecsManager.query({ all: ['health'], predicate: () => frame % 2 === 0 });
+        expect(view.toArray()).toEqual(frame % 2 === 0 ? [entityId] : []);
+      }
+
+      expect(ecsManager.queries.size).toBe(1);
+      expect(ecsManager.queriesByType.get('health').size).toBe(1);
+      expect(structural.toArray()).toEqual([entityId]);
+    });
+
+    test('should give predicate views their own filtered callbacks', () => {
+      const structural = ecsManager.query('health');
+      const dying = ecsManager.query({
+        all: ['health'],
+        predicate: (entityId, ecs) => ecs.getComponent(entityId, 'health').data.value <= 0
+      });
+      const onStructuralEnter = jest.fn();
+      const onDyingEnter = jest.fn();
+      const onDyingExit = jest.fn();
+      structural.onEnter(onStructuralEnter);
+      dying.onEnter(onDyingEnter).onExit(onDyingExit);
+
+      const healthy = ecsManager.createEntity();
+      const wounded = ecsManager.createEntity();
+      ecsManager.addComponent(healthy, 'health', { value: 10 });
+      ecsManager.addComponent(wounded, 'health', { value: 0 });
+      ecsManager.setComponent(wounded, 'health', { value: -1 });
+      ecsManager.addComponent(wounded, 'armor', {});
+
+      expect(onStructuralEnter.mock.calls.map(([id]) => id)).toEqual([healthy, wounded]);
+      expect(onDyingEnter.mock.calls).toEqual([[wounded, dying]]);
+      expect(structural.enterCallbacks.size).toBe(1);
+
+      expect(ecsManager.removeQuery(dying)).toBe(true);
+      ecsManager.removeComponent(wounded, 'health');
+      ecsManager.addComponent(ecsManager.createEntity(), 'health', { value: 0 });
+      expect(onDyingEnter).toHaveBeenCalledTimes(1);
+      expect(onDyingExit).not.toHaveBeenCalled();
+      expect(structural.views.size).toBe(0);
+      expect(ecsManager.queries.size).toBe(1);
+    });
+
+    test('should fire view exit callbacks for entities the predicate accepts', () => {
+      const entityId = ecsManager.createEntity('Boss');
+      const named = ecsManager.query('health').filter(id => ecsManager.getEntity(id).name === 'Boss');
+      const onExit = jest.fn();
+      named.onExit(onExit);
+
+      ecsManager.addComponent(entityId, 'health', {});
+      const minion = ecsManager.createEntity('Minion');
+      ecsManager.addComponent(minion, 'health', {});
+      ecsManager.removeComponent(entityId, 'health');
+      ecsManager.destroyEntity(minion);
+
+      expect(onExit.mock.calls).toEqual([[entityId, named]]);
+
+      named.offExit(onExit);
+      expect(ecsManager.query('health').views.size).toBe(0);
+    });
+
+    test('should accept descriptors and predicates in getEntitiesWith', () => {
+      const visible = ecsManager.createEntity('Visible');
+      const hidden = ecsManager.createEntity('Hidden');
+      ecsManager.addComponent(visible, 'transform', {});
+      ecsManager.addComponent(hidden, 'transform', {});
+      ecsManager.addComponent(hidden, 'hidden', {});
+
+      expect(ecsManager.getEntitiesWith({ all: ['transform'], none: ['hidden'] })).toEqual([visible]);
+      expect(ecsManager.getEntitiesWith({
+        all: ['transform'],
+        predicate: entityId => ecsManager.entities.get(entityId).name === 'Hidden'
+      })).toEqual([hidden]);
+      expect(ecsManager.getEntitiesWith(['transform'])).toEqual([visible, hidden]);
+    });
+
+    test('should serve getEntitiesWith from a cached query and skip inactive entities', () => {
+      const active = ecsManager.createEntity();
+      const inactive = ecsManager.createEntity();
+      ecsManager.addComponent(active, 'transform', {});
+      ecsManager.addComponent(inactive, 'transform', {});
+      ecsManager.entities.get(inactive).active = false;
+
+      expect(ecsManager.getEntitiesWith('transform')).toEqual([active]);
+      expect(ecsManager.queries.has('transform')).toBe(true);
+    });
+  });
+
+  describe.each(['map', 'archetype'])('iteration with %s storage', (storage) => {
+    let ecsManager;
+    let entities;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, storage });
+      entities = [];
+      for (let i = 0; i < 4; i++) {
+        const entityId = ecsManager.createEntity();
+        ecsManager.addComponent(entityId, 'transform', {});
+        entities.push(entityId);
+      }
+    });
+
+    afterEach(() => {
+      ecsManager.stop();
+    });
+
+    test('should visit every entity when destroying while iterating', () => {
+      const visited = [];
+      for (const entityId of ecsManager.query('transform')) {
+        visited.push(entityId);
+        ecsManager.destroyEntity(entityId);
+      }
+
+      expect(visited).toEqual(entities);
+      expect(ecsManager.query('transform').size).toBe(0);
+    });
+
+    test('should visit every entity once when they change archetype while iterating', () => {
+      const visited = [];
+      for (const entityId of ecsManager.query('transform')) {
+        visited.push(entityId);
+        ecsManager.addComponent(entityId, 'velocity', {});
+      }
+
+      expect(visited).toEqual(entities);
+    });
+
+    test('should skip entities removed earlier in the same iteration', () => {
+      const visited = [];
+      for (const entityId of ecsManager.query('transform')) {
+        visited.push(entityId);
+        if (entityId === entities[0]) {
+          ecsManager.destroyEntity(entities[2]);
+        }
+      }
+
+      expect(visited).toEqual([entities[0], entities[1], entities[3]]);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Relations.test.js
+ * Tests for entity relation pairs: add/remove with events, lookups in both directions,
+ * pair keys in queries, exclusive relations, cleanup policies when targets are destroyed
+ * and snapshots.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('Relations', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should add and remove pairs with events', () => {
+    const enemy = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    const added = jest.fn();
+    const removed = jest.fn();
+    ecsManager.eventManager.on('relation:added', added);
+    ecsManager.eventManager.on('relation:removed', removed);
+
+    expect(ecsManager.addRelation(enemy, 'Targets', player)).toBe(true);
+    expect(ecsManager.addRelation(enemy, 'Targets', player)).toBe(false);
+    expect(ecsManager.hasRelation(enemy, 'Targets', player)).toBe(true);
+    expect(ecsManager.hasRelation(enemy, 'Targets')).toBe(true);
+    expect(ecsManager.hasRelation(player, 'Targets')).toBe(false);
+
+    expect(ecsManager.removeRelation(enemy, 'Targets', player)).toBe(true);
+    expect(ecsManager.removeRelation(enemy, 'Targets', player)).toBe(false);
+    expect(ecsManager.hasRelation(enemy, 'Targets')).toBe(false);
+    expect(added.mock.calls[0][0].data).toEqual({ entityId: enemy, relation: 'Targets', target: player });
+    expect(removed.mock.calls[0][0].data).toEqual({ entityId: enemy, relation: 'Targets', target: player });
+    expect(ecsManager.addRelation(enemy, 'Targets', 'missing')).toBe(false);
+  });
+
+  test('should look up targets and sources', () => {
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    const npc = ecsManager.createEntity();
+    ecsManager.addRelation(a, 'Targets', player);
+    ecsManager.addRelation(a, 'Targets', npc);
+    ecsManager.addRelation(b, 'Targets', player);
+    ecsManager.setEntityActive(b, false);
+
+    expect(ecsManager.getRelationTargets(a, 'Targets')).toEqual([player, npc]);
+    expect(ecsManager.getRelated('Targets', player)).toEqual([a]);
+    expect(ecsManager.getRelated('Targets', a)).toEqual([]);
+    expect(ecsManager.getTags(a)).toEqual([]);
+  });
+
+  test('should replace targets of exclusive relations', () => {
+    ecsManager.defineRelation('OwnedBy', { exclusive: true });
+    const item = ecsManager.createEntity();
+    const first = ecsManager.createEntity();
+    const second = ecsManager.createEntity();
+
+    ecsManager.addRelation(item, 'OwnedBy', first);
+    ecsManager.addRelation(item, 'OwnedBy', second);
+
+    expect(ecsManager.getRelationTargets(item, 'OwnedBy')).toEqual([second]);
+    expect(ecsManager.getRelated('OwnedBy', first)).toEqual([]);
+    expect(ecsManager.defineRelation('Broken', { onTargetDestroyed: 'explode' })).toBe(false);
+  });
+
+  test('should remove pairs when the target is destroyed by default', () => {
+    const enemy = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    ecsManager.addRelation(enemy, 'Targets', player);
+
+    ecsManager.destroyEntity(player);
+
+    expect(ecsManager.hasEntity(enemy)).toBe(true);
+    expect(ecsManager.hasRelation(enemy, 'Targets')).toBe(false);
+    expect(ecsManager.relationIndex.size).toBe(0);
+  });
+
+  test('should destroy sources when the relation asks for it', () => {
+    ecsManager.defineRelation('OwnedBy', { onTargetDestroyed: 'destroy' });
+    const inventory = ecsManager.createEntity();
+    const sword = ecsManager.createEntity();
+    const gem = ecsManager.createEntity();
+    ecsManager.addRelation(sword, 'OwnedBy', inventory);
+    ecsManager.addRelation(gem, 'OwnedBy', sword);
+
+    ecsManager.destroyEntity(inventory);
+
+    expect(ecsManager.entities.size).toBe(0);
+  });
+
+  test('should survive cycles of destroying relations', () => {
+    ecsManager.defineRelation('Linked', { onTargetDestroyed: 'destroy' });
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    ecsManager.addRelation(a, 'Linked', b);
+    ecsManager.addRelation(b, 'Linked', a);
+
+    ecsManager.destroyEntity(a);
+
+    expect(ecsManager.entities.size).toBe(0);
+    expect(ecsManager.relationIndex.size).toBe(0);
+  });
+
+  test('should clean up outgoing pairs when the source is destroyed', () => {
+    const enemy = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    ecsManager.addRelation(enemy, 'Targets', player);
+
+    ecsManager.destroyEntity(enemy);
+
+    expect(ecsManager.getRelated('Targets', player)).toEqual([]);
+  });
+
+  test('should keep relations in snapshots', () => {
+    const enemy = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    ecsManager.addRelation(enemy, 'Targets', player);
+    const doc = ecsManager.serialize();
+
+    const restored = new ECSManager({ debug: false });
+    restored.deserialize(doc);
+
+    expect(doc.entities[0].relations).toEqual({ Targets: [player] });
+    expect(doc.entities[0].tags).toBeUndefined();
+    expect(restored.getRelated('Targets', player)).toEqual([enemy]);
+  });
+
+  test('should keep pair keys out of the tag API', () => {
+    const enemy = ecsManager.createEntity();
+    const player = ecsManager.createEntity();
+    ecsManager.addRelation(enemy, 'Targets', player);
+
+    expect(ecsManager.hasTag(enemy, ECSManager.pair('Targets'))).toBe(false);
+    expect(ecsManager.removeTag(enemy, ECSManager.pair('Targets', player))).toBe(false);
+    expect(ecsManager.addTag(enemy, ECSManager.pair('Targets'))).toBe(false);
+    expect(ecsManager.addTag(player, ECSManager.pair('Follows', enemy))).toBe(false);
+    expect(ecsManager.getTags(player)).toEqual([]);
+    expect(ecsManager.getRelated('Targets', player)).toEqual([enemy]);
+  });
+
+  describe.each(['map', 'archetype'])('queries in %s storage', (storage) => {
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, storage });
+    });
+
+    test('should match specific and wildcard pairs', () => {
+      const player = ecsManager.createEntity();
+      const other = ecsManager.createEntity();
+      const targetsPlayer = ecsManager.query({ all: ['enemy', ECSManager.pair('Targets', player)] });
+      const targetsAnything = ecsManager.query({ all: [ECSManager.pair('Targets')] });
+      const enemy = ecsManager.createEntity();
+      ecsManager.addComponent(enemy, 'enemy', { hp: 1 });
+
+      ecsManager.addRelation(enemy, 'Targets', other);
+      expect(targetsPlayer.toArray()).toEqual([]);
+      expect(targetsAnything.toArray()).toEqual([enemy]);
+
+      ecsManager.addRelation(enemy, 'Targets', player);
+      expect(targetsPlayer.toArray()).toEqual([enemy]);
+      expect(ecsManager.getComponent(enemy, 'enemy').data).toEqual({ hp: 1 });
+
+      ecsManager.destroyEntity(player);
+      expect(targetsPlayer.toArray()).toEqual([]);
+      expect(targetsAnything.toArray()).toEqual([enemy]);
+
+      ecsManager.removeRelation(enemy, 'Targets', other);
+      expect(targetsAnything.toArray()).toEqual([]);
+    });
+
+    test('should exclude entities by pairs with a specific target', () => {
+      const enemy = ecsManager.createEntity();
+      const player = ecsManager.createEntity();
+      ecsManager.addComponent(enemy, 'hp', {});
+      ecsManager.addComponent(player, 'hp', {});
+      const ignoringPlayer = ecsManager.query({ all: ['hp'], none: [ECSManager.pair('Targets', player)] });
+
+      ecsManager.addRelation(enemy, 'Targets', player);
+      expect(ecsManager.getEntitiesWith({ all: ['hp'], none: [ECSManager.pair('Targets', player)] })).toEqual([player]);
+
+      ecsManager.removeRelation(enemy, 'Targets', player);
+      expect(ignoringPlayer.toArray().sort()).toEqual([enemy, player]);
+    });
+  });
+
+  test('should not create archetypes per relation target', () => {
+    ecsManager = new ECSManager({ debug: false, storage: 'archetype' });
+    const hp = ecsManager.query('hp');
+    const hunter = ecsManager.createEntity();
+    ecsManager.addComponent(hunter, 'hp', {});
+
+    for (let i = 0; i < 50; i++) {
+      const prey = ecsManager.createEntity();
+      ecsManager.addRelation(hunter, 'Hunts', prey);
+      ecsManager.destroyEntity(prey);
+    }
+
+    expect(ecsManager.storage.archetypes.size).toBe(3);
+    expect(hp.archetypes).toHaveLength(2);
+    expect(hp.toArray()).toEqual([hunter]);
+  });
+});
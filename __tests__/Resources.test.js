@@ -0,0 +1,137 @@
+/**
+ * Resources.test.js
+ * Tests for world-wide resources: set/get/remove with change events, optional inclusion
+ * in world snapshots, and RenderSystem fetching its scene, camera and renderer from resources.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+import RenderSystem from '../src/systems/RenderSystem.js';
+
+describe('Resources', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should set, get and remove resources with events', () => {
+    const changed = jest.fn();
+    const removed = jest.fn();
+    ecsManager.eventManager.on('resource:changed', changed);
+    ecsManager.eventManager.on('resource:removed', removed);
+
+    expect(ecsManager.setResource('settings', { volume: 1 })).toBe(true);
+    ecsManager.setResource('settings', { volume: 0.5 });
+
+    expect(ecsManager.getResource('settings')).toEqual({ volume: 0.5 });
+    expect(ecsManager.hasResource('settings')).toBe(true);
+    expect(changed.mock.calls.map(call => call[0].data)).toEqual([
+      { key: 'settings', value: { volume: 1 }, previous: undefined, added: true },
+      { key: 'settings', value: { volume: 0.5 }, previous: { volume: 1 }, added: false }
+    ]);
+
+    expect(ecsManager.removeResource('settings')).toBe(true);
+    expect(ecsManager.removeResource('settings')).toBe(false);
+    expect(ecsManager.getResource('settings')).toBeUndefined();
+    expect(removed.mock.calls[0][0].data).toEqual({ key: 'settings', value: { volume: 0.5 } });
+  });
+
+  test('should reject invalid keys', () => {
+    expect(ecsManager.setResource('', 1)).toBe(false);
+    expect(ecsManager.setResource(null, 1)).toBe(false);
+    expect(ecsManager.resources.size).toBe(0);
+  });
+
+  test('should leave resources out of snapshots unless requested', () => {
+    ecsManager.setResource('settings', { volume: 0.5 });
+    ecsManager.setResource('score', 10);
+    ecsManager.setResource('clock', { now: () => 0 });
+    const circular = {};
+    circular.self = circular;
+    ecsManager.setResource('circular', circular);
+
+    expect(ecsManager.serialize().resources).toBeUndefined();
+    expect(ecsManager.serialize({ resources: ['score', 'missing'] }).resources).toEqual({ score: 10 });
+    expect(ecsManager.serialize({ resources: true }).resources).toEqual({
+      settings: { volume: 0.5 },
+      score: 10,
+      clock: {}
+    });
+  });
+
+  test('should restore resources before components and keep unrelated ones', () => {
+    ecsManager.setResource('settings', { volume: 0.5 });
+    ecsManager.addComponent(ecsManager.createEntity(), 'sound', { id: 1 });
+    const doc = ecsManager.serialize({ resources: ['settings'] });
+
+    const restored = new ECSManager({ debug: false });
+    restored.setResource('scene', 'live scene');
+    let seen;
+    restored.registerComponent('sound', {
+      deserialize: (data, context) => {
+        seen = context.ecs.getResource('settings');
+        return data;
+      }
+    });
+    restored.deserialize(doc);
+
+    expect(seen).toEqual({ volume: 0.5 });
+    expect(restored.getResource('scene')).toBe('live scene');
+  });
+
+  test('should keep resources in binary snapshots', () => {
+    ecsManager.setResource('settings', { volume: 0.5, muted: false });
+    const data = ecsManager.serializeBinary({ resources: true });
+
+    const restored = new ECSManager({ debug: false });
+    restored.deserializeBinary(data);
+
+    expect(restored.getResource('settings')).toEqual({ volume: 0.5, muted: false });
+  });
+
+  describe('RenderSystem', () => {
+    const makeNode = () => ({ add: jest.fn(), remove: jest.fn() });
+
+    test('should read the scene, camera and renderer from resources', () => {
+      const scene = makeNode();
+      const camera = {};
+      const renderer = { render: jest.fn() };
+      ecsManager.setResource('scene', scene);
+      ecsManager.setResource('camera', camera);
+      ecsManager.setResource('renderer', renderer);
+
+      ecsManager.registerSystem(new RenderSystem());
+      ecsManager.updateSystems(16);
+
+      expect(renderer.render).toHaveBeenCalledWith(scene, camera);
+    });
+
+    test('should wait for missing resources and follow replacements', () => {
+      const renderSystem = new RenderSystem();
+      ecsManager.registerSystem(renderSystem);
+      const mesh = {};
+      ecsManager.addComponent(ecsManager.createEntity(), 'mesh', { mesh });
+      ecsManager.updateSystems(16);
+
+      const scene = makeNode();
+      const renderer = { render: jest.fn() };
+      ecsManager.setResource('scene', scene);
+      ecsManager.setResource('camera', {});
+      ecsManager.setResource('renderer', renderer);
+      ecsManager.updateSystems(16);
+
+      expect(scene.add).toHaveBeenCalledWith(mesh);
+      expect(renderer.render).toHaveBeenCalledTimes(1);
+
+      const nextScene = makeNode();
+      ecsManager.setResource('scene', nextScene);
+
+      expect(scene.remove).toHaveBeenCalledWith(mesh);
+      expect(nextScene.add).toHaveBeenCalledWith(mesh);
+      expect(renderSystem.scene).toBe(nextScene);
+    });
+  });
+});
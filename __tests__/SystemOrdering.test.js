@@ -0,0 +1,116 @@
+/**
+ * SystemOrdering.test.js
+ * Tests for declarative system ordering: before/after constraints, their interaction with
+ * priorities and stages, cycle and unknown-system errors, and the execution order dump.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('System ordering constraints', () => {
+  let ecsManager;
+  let order;
+  let logSpy;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false, driver: 'manual' });
+    order = [];
+    logSpy = jest.spyOn(ecsManager.debugManager, 'log');
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  /**
+   * Create a system that records when it runs
+   */
+  function recorder(name, extra = {}) {
+    return { name, update: () => order.push(name), ...extra };
+  }
+
+  /**
+   * Messages logged at the error level
+   */
+  function errors() {
+    return logSpy.mock.calls.filter(([level]) => level === 'error').map(([, message]) => message);
+  }
+
+  test('should order systems by constraints before priority', () => {
+    ecsManager.registerSystem(recorder('RenderSystem'), 100);
+    ecsManager.registerSystem(recorder('Physics'), { before: ['RenderSystem'], after: 'InputSystem' });
+    ecsManager.registerSystem(recorder('InputSystem'), { priority: -10 });
+
+    ecsManager.step(16);
+
+    expect(order).toEqual(['InputSystem', 'Physics', 'RenderSystem']);
+  });
+
+  test('should read constraints from the system and keep priorities for free systems', () => {
+    ecsManager.registerSystem(recorder('Audio'), 5);
+    ecsManager.registerSystem(recorder('Camera', { after: ['Movement'] }), 50);
+    ecsManager.registerSystem(recorder('Movement'), 10);
+    ecsManager.registerSystem(recorder('Ai'), 20);
+
+    ecsManager.step(16);
+
+    expect(order).toEqual(['Ai', 'Movement', 'Camera', 'Audio']);
+  });
+
+  test('should reject registrations that close a cycle', () => {
+    ecsManager.registerSystem(recorder('A'), { before: 'B' });
+    ecsManager.registerSystem(recorder('B'), { before: 'C' });
+
+    expect(ecsManager.registerSystem(recorder('C'), { before: 'A' })).toBe(false);
+    expect(ecsManager.systems.map(wrapper => wrapper.name)).toEqual(['A', 'B']);
+    expect(errors()).toContain('System ordering constraints form a cycle between: A, B, C');
+  });
+
+  test('should accept constraints across stages only when the stage order agrees', () => {
+    ecsManager.registerSystem(recorder('Render', { stage: 'render' }));
+
+    expect(ecsManager.registerSystem(recorder('Movement'), { before: 'Render' })).toBe(true);
+    expect(ecsManager.registerSystem(recorder('Late', { stage: 'render' }), { before: 'Input' })).toBe(true);
+    expect(ecsManager.registerSystem(recorder('Input', { stage: 'input' }))).toBe(false);
+    expect(errors()).toContain('System Late (stage: render) cannot run before Input (stage: input)');
+  });
+
+  test('should warn at registration about constraints naming unknown systems', () => {
+    ecsManager.registerSystem(recorder('Physics'), { before: 'Render', after: 'InputSytem' });
+    ecsManager.registerSystem(recorder('Render'));
+    ecsManager.step(16);
+
+    const warnings = logSpy.mock.calls.filter(([level]) => level === 'warn').map(([, message]) => message);
+    expect(warnings).toEqual([
+      'System Physics must run before unknown system Render; the constraint applies once it is registered',
+      'System Physics must run after unknown system InputSytem; the constraint applies once it is registered'
+    ]);
+    expect(order).toEqual(['Physics', 'Render']);
+  });
+
+  test('should report constraints naming unknown systems', () => {
+    ecsManager.registerSystem(recorder('Physics'), { after: 'InputSytem' });
+
+    expect(ecsManager.validateSystemConstraints()).toEqual([
+      { system: 'Physics', constraint: 'after', target: 'InputSytem' }
+    ]);
+
+    logSpy.mockClear();
+    ecsManager.start();
+    expect(errors()).toContain('System Physics must run after unknown system InputSytem');
+  });
+
+  test('should dump the resolved execution order', () => {
+    ecsManager.registerSystem(recorder('RenderSystem', { stage: 'render' }));
+    ecsManager.registerSystem(recorder('Camera'), { after: 'Movement' });
+    ecsManager.registerSystem(recorder('Movement'));
+
+    expect(ecsManager.getExecutionOrder()).toEqual([
+      { stage: 'input', systems: [] },
+      { stage: 'preUpdate', systems: [] },
+      { stage: 'fixedUpdate', systems: [] },
+      { stage: 'update', systems: ['Movement', 'Camera'] },
+      { stage: 'postUpdate', systems: [] },
+      { stage: 'render', systems: ['RenderSystem'] }
+    ]);
+    expect(ecsManager.dumpExecutionOrder()).toContain('update: Movement -> Camera\npostUpdate: (empty)');
+  });
+});
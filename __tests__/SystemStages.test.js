@@ -0,0 +1,120 @@
+/**
+ * SystemStages.test.js
+ * Tests for system stages: default and custom stage order, stage assignment, command flushes
+ * between stages, fixed-step stages and per-stage timings in getStats().
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('System stages', () => {
+  let ecsManager;
+  let order;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false, driver: 'manual' });
+    order = [];
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  /**
+   * Create a system that records when it runs
+   */
+  function recorder(name, extra = {}) {
+    return { name, update: () => order.push(name), ...extra };
+  }
+
+  test('should provide the default stages in order', () => {
+    expect(ecsManager.getStages()).toEqual(['input', 'preUpdate', 'fixedUpdate', 'update', 'postUpdate', 'render']);
+  });
+
+  test('should run stages in order regardless of priority', () => {
+    ecsManager.registerSystem(recorder('Render', { stage: 'render' }), 100);
+    ecsManager.registerSystem(recorder('Movement'), 50);
+    ecsManager.registerSystem(recorder('Input'), 0, { stage: 'input' });
+    ecsManager.registerSystem(recorder('Physics', { fixed: true }));
+    ecsManager.registerSystem(recorder('Ai'), 60);
+
+    ecsManager.step(16);
+
+    expect(order).toEqual(['Input', 'Physics', 'Ai', 'Movement', 'Render']);
+  });
+
+  test('should reject unknown stages', () => {
+    expect(ecsManager.registerSystem(recorder('Lost'), 0, { stage: 'nowhere' })).toBe(false);
+    expect(ecsManager.systems).toHaveLength(0);
+  });
+
+  test('should add custom stages before or after existing ones', () => {
+    const onAdded = jest.fn();
+    ecsManager.eventManager.on('stage:added', onAdded);
+
+    expect(ecsManager.addStage('cleanup')).toBe(true);
+    expect(ecsManager.addStage('ui', { before: 'render' })).toBe(true);
+    expect(ecsManager.addStage('network', { after: 'input' })).toBe(true);
+    expect(ecsManager.addStage('ui')).toBe(false);
+    expect(ecsManager.addStage('late', { after: 'missing' })).toBe(false);
+
+    expect(ecsManager.getStages()).toEqual([
+      'input', 'network', 'preUpdate', 'fixedUpdate', 'update', 'postUpdate', 'ui', 'render', 'cleanup'
+    ]);
+    expect(onAdded.mock.calls[1][0].data).toEqual({ name: 'ui', index: 5 });
+
+    ecsManager.registerSystem(recorder('Hud', { stage: 'ui' }));
+    ecsManager.registerSystem(recorder('Render', { stage: 'render' }));
+    ecsManager.step(16);
+    expect(order).toEqual(['Hud', 'Render']);
+  });
+
+  test('should flush commands between stages', () => {
+    ecsManager = new ECSManager({ debug: false, driver: 'manual', commandFlush: 'stage' });
+    const entityId = ecsManager.createEntity();
+    const seen = [];
+    ecsManager.registerSystem({
+      name: 'Spawner',
+      update: (deltaTime, ecs) => {
+        ecs.commands.addComponent(entityId, 'health', {});
+        seen.push(ecs.getComponent(entityId, 'health') !== null);
+      }
+    });
+    ecsManager.registerSystem({
+      name: 'SameStage',
+      update: (deltaTime, ecs) => seen.push(ecs.getComponent(entityId, 'health') !== null)
+    }, -1);
+    ecsManager.registerSystem({
+      name: 'NextStage',
+      stage: 'postUpdate',
+      update: (deltaTime, ecs) => seen.push(ecs.getComponent(entityId, 'health') !== null)
+    });
+
+    ecsManager.step(16);
+
+    expect(seen).toEqual([false, false, true]);
+  });
+
+  test('should run the fixedUpdate stage on the fixed step between other stages', () => {
+    ecsManager.configureLoop({ mode: 'fixed', fixedStep: 10 });
+    ecsManager.registerSystem(recorder('Input', { stage: 'input' }));
+    ecsManager.registerSystem(recorder('Physics', { stage: 'fixedUpdate' }));
+    ecsManager.registerSystem(recorder('Render', { stage: 'render' }));
+
+    ecsManager.step(25);
+
+    expect(order).toEqual(['Input', 'Physics', 'Physics', 'Render']);
+  });
+
+  test('should report per-stage timings in getStats', () => {
+    let now = 0;
+    ecsManager.setClock(() => now);
+    ecsManager.registerSystem({ name: 'Slow', update: () => { now += 5; } });
+    ecsManager.registerSystem({ name: 'Draw', stage: 'render', update: () => { now += 2; } });
+
+    ecsManager.runFrames(2, 16);
+    const { stages } = ecsManager.getStats();
+
+    expect(stages.update).toEqual({ systems: 1, time: 5, totalTime: 10 });
+    expect(stages.render).toEqual({ systems: 1, time: 2, totalTime: 4 });
+    expect(stages.input).toEqual({ systems: 0, time: 0, totalTime: 0 });
+  });
+});
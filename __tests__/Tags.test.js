@@ -0,0 +1,123 @@
+/**
+ * Tags.test.js
+ * Tests for data-less tag markers: add/remove/lookup, query participation in both
+ * storage modes, namespace conflicts with components, statistics and snapshots.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('Tags', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should add, check and remove tags without creating components', () => {
+    const entityId = ecsManager.createEntity();
+    const added = jest.fn();
+    const removed = jest.fn();
+    ecsManager.eventManager.on('tag:added', added);
+    ecsManager.eventManager.on('tag:removed', removed);
+
+    expect(ecsManager.addTag(entityId, 'player')).toBe(true);
+    expect(ecsManager.addTag(entityId, 'player')).toBe(false);
+    expect(ecsManager.hasTag(entityId, 'player')).toBe(true);
+    expect(ecsManager.getTags(entityId)).toEqual(['player']);
+    expect(ecsManager.getComponent(entityId, 'player')).toBeNull();
+    expect(ecsManager.components.size).toBe(0);
+
+    expect(ecsManager.removeTag(entityId, 'player')).toBe(true);
+    expect(ecsManager.removeTag(entityId, 'player')).toBe(false);
+    expect(ecsManager.hasTag(entityId, 'player')).toBe(false);
+    expect(added).toHaveBeenCalledTimes(1);
+    expect(removed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should look up active entities by tag', () => {
+    const a = ecsManager.createEntity();
+    const b = ecsManager.createEntity();
+    const inactive = ecsManager.createEntity();
+    ecsManager.addTag(a, 'enemy');
+    ecsManager.addTag(b, 'enemy');
+    ecsManager.addTag(inactive, 'enemy');
+    ecsManager.entities.get(inactive).active = false;
+
+    expect(ecsManager.getEntitiesWithTag('enemy')).toEqual([a, b]);
+    expect(ecsManager.getEntitiesWithTag('missing')).toEqual([]);
+
+    ecsManager.destroyEntity(a);
+    expect(ecsManager.getEntitiesWithTag('enemy')).toEqual([b]);
+  });
+
+  test('should keep tags and components in one namespace', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'health', { value: 1 });
+    ecsManager.addTag(entityId, 'player');
+
+    expect(ecsManager.addTag(entityId, 'health')).toBe(false);
+    expect(ecsManager.addComponent(entityId, 'player', {})).toBe(false);
+  });
+
+  test('should report tags in statistics', () => {
+    ecsManager.addTag(ecsManager.createEntity(), 'enemy');
+    ecsManager.addTag(ecsManager.createEntity(), 'enemy');
+    ecsManager.addTag(ecsManager.createEntity(), 'player');
+
+    const stats = ecsManager.getStats();
+
+    expect(stats.tagTypes).toBe(2);
+    expect(stats.tagStats).toEqual({ enemy: 2, player: 1 });
+  });
+
+  test('should include tags in snapshots', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addTag(entityId, 'player');
+    const doc = ecsManager.serialize();
+
+    const restored = new ECSManager({ debug: false });
+    restored.deserialize(doc);
+
+    expect(doc.entities[0].tags).toEqual(['player']);
+    expect(restored.hasTag(entityId, 'player')).toBe(true);
+  });
+
+  describe.each(['map', 'archetype'])('queries in %s storage', (storage) => {
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, storage });
+    });
+
+    test('should match tags alongside components', () => {
+      const query = ecsManager.query({ all: ['transform', 'enemy'], none: ['dead'] });
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', { x: 1 });
+      expect(query.has(entityId)).toBe(false);
+
+      ecsManager.addTag(entityId, 'enemy');
+      expect(query.toArray()).toEqual([entityId]);
+      expect(ecsManager.getComponent(entityId, 'transform').data).toEqual({ x: 1 });
+
+      ecsManager.addTag(entityId, 'dead');
+      expect(query.toArray()).toEqual([]);
+
+      ecsManager.removeTag(entityId, 'dead');
+      expect(ecsManager.getEntitiesWith('transform', 'enemy')).toEqual([entityId]);
+    });
+  });
+
+  test('should give tags their own archetypes', () => {
+    ecsManager = new ECSManager({ debug: false, storage: 'archetype' });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', {});
+    ecsManager.addTag(entityId, 'player');
+
+    const archetype = ecsManager.getEntity(entityId).archetype;
+
+    expect(archetype.key).toBe('transform|#player');
+    expect(archetype.getColumn('player')).toBeNull();
+    expect(ecsManager.storage.types(ecsManager.getEntity(entityId))).toEqual(['transform']);
+  });
+});
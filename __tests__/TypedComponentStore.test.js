@@ -0,0 +1,172 @@
+/**
+ * TypedComponentStore.test.js
+ * Tests for structure-of-arrays numeric component storage: schema compilation, accessor views,
+ * row swapping on removal, capacity growth, snapshots, and ECSManager integration.
+ */
+import TypedComponentStore from '../src/core/TypedComponentStore.js';
+import ECSManager from '../src/core/ECSManager.js';
+
+const transformSchema = {
+  position: { x: 'f32', y: 'f32', z: 'f32' },
+  scale: { x: 'f32', y: 'f32', z: 'f32' },
+  layer: 'i32'
+};
+
+describe('TypedComponentStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new TypedComponentStore('transform', transformSchema, { capacity: 2 });
+  });
+
+  describe('Schema', () => {
+    test('should flatten nested schemas into typed columns', () => {
+      expect(Object.keys(store.columns)).toEqual([
+        'position.x', 'position.y', 'position.z',
+        'scale.x', 'scale.y', 'scale.z',
+        'layer'
+      ]);
+      expect(store.columns['position.x']).toBeInstanceOf(Float32Array);
+      expect(store.columns.layer).toBeInstanceOf(Int32Array);
+    });
+
+    test('should validate schemas', () => {
+      expect(TypedComponentStore.isValidSchema(transformSchema)).toBe(true);
+      expect(TypedComponentStore.isValidSchema({ x: 'float' })).toBe(false);
+      expect(TypedComponentStore.isValidSchema({})).toBe(false);
+      expect(TypedComponentStore.isValidSchema(null)).toBe(false);
+      expect(() => new TypedComponentStore('bad', { x: 'float' })).toThrow('Unknown field type');
+    });
+  });
+
+  describe('Accessor views', () => {
+    test('should read and write columns through nested accessors', () => {
+      const view = store.add('entity_1', { position: { x: 1, y: 2 }, layer: 3 });
+
+      expect(view.position.x).toBe(1);
+      expect(view.position.z).toBe(0);
+      expect(view.layer).toBe(3);
+
+      view.position.z = 5;
+      expect(store.read('entity_1', 'position.z')).toBe(5);
+
+      store.write('entity_1', 'scale.y', 2);
+      expect(view.scale.y).toBe(2);
+    });
+
+    test('should return the same accessor for an entity', () => {
+      const view = store.add('entity_1', {});
+
+      expect(store.get('entity_1')).toBe(view);
+      expect(store.add('entity_1', { layer: 7 })).toBe(view);
+      expect(view.layer).toBe(7);
+    });
+
+    test('should serialize accessors to plain objects', () => {
+      const view = store.add('entity_1', { position: { x: 1, y: 2, z: 3 } });
+
+      expect(JSON.parse(JSON.stringify(view))).toEqual({
+        position: { x: 1, y: 2, z: 3 },
+        scale: { x: 0, y: 0, z: 0 },
+        layer: 0
+      });
+    });
+  });
+
+  describe('Rows', () => {
+    test('should keep accessors valid after swap-removal', () => {
+      store.add('entity_1', { layer: 1 });
+      const second = store.add('entity_2', { layer: 2 });
+      const third = store.add('entity_3', { layer: 3 });
+
+      expect(store.remove('entity_1')).toBe(true);
+
+      expect(store.size).toBe(2);
+      expect(store.rowOf('entity_3')).toBe(0);
+      expect(third.layer).toBe(3);
+      expect(second.layer).toBe(2);
+      expect(store.remove('entity_1')).toBe(false);
+    });
+
+    test('should detach accessors of removed entities', () => {
+      const view = store.add('entity_1', { layer: 1 });
+      store.remove('entity_1');
+
+      expect(view.layer).toBeUndefined();
+      expect(store.get('entity_1')).toBeNull();
+      expect(store.rowOf('entity_1')).toBe(-1);
+    });
+
+    test('should grow capacity and keep existing values', () => {
+      for (let i = 0; i < 5; i++) {
+        store.add(`entity_${i}`, { layer: i });
+      }
+
+      expect(store.capacity).toBe(8);
+      expect(store.get('entity_0').layer).toBe(0);
+      expect(store.get('entity_4').layer).toBe(4);
+    });
+  });
+
+  describe('Snapshots', () => {
+    test('should copy used rows into transferable typed arrays', () => {
+      store.add('entity_1', { layer: 1 });
+      store.add('entity_2', { layer: 2 });
+
+      const snapshot = store.snapshot();
+
+      expect(snapshot.entities).toEqual(['entity_1', 'entity_2']);
+      expect(snapshot.columns.layer).toEqual(new Int32Array([1, 2]));
+      expect(snapshot.columns.layer.buffer).not.toBe(store.columns.layer.buffer);
+    });
+
+    test('should produce JSON with plain arrays', () => {
+      store.add('entity_1', { position: { x: 1.5 } });
+
+      expect(store.toJSON().columns['position.x']).toEqual([1.5]);
+    });
+  });
+
+  describe('ECSManager integration', () => {
+    let ecsManager;
+
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false });
+    });
+
+    test('should store typed component data in columns', () => {
+      const typedStore = ecsManager.defineTypedComponent('transform', transformSchema);
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'transform', { position: { x: 4 } });
+
+      const transform = ecsManager.getComponent(entityId, 'transform').data;
+      transform.position.y = 6;
+
+      expect(typedStore.read(entityId, 'position.x')).toBe(4);
+      expect(typedStore.read(entityId, 'position.y')).toBe(6);
+      expect(ecsManager.getTypedStore('transform')).toBe(typedStore);
+    });
+
+    test('should release rows when components or entities are removed', () => {
+      const typedStore = ecsManager.defineTypedComponent('transform', transformSchema);
+      const a = ecsManager.createEntity();
+      const b = ecsManager.createEntity();
+      ecsManager.addComponent(a, 'transform', {});
+      ecsManager.addComponent(b, 'transform', {});
+
+      ecsManager.removeComponent(a, 'transform');
+      ecsManager.destroyEntity(b);
+
+      expect(typedStore.size).toBe(0);
+    });
+
+    test('should reject invalid or conflicting definitions', () => {
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'velocity', { x: 1 });
+
+      expect(ecsManager.defineTypedComponent('velocity', { x: 'f32' })).toBeNull();
+      expect(ecsManager.defineTypedComponent('health', { value: 'number' })).toBeNull();
+      expect(ecsManager.getTypedStore('health')).toBeNull();
+    });
+  });
+});
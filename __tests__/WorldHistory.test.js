@@ -0,0 +1,239 @@
+/**
+ * WorldHistory.test.js
+ * Tests for undo/redo of world mutations: transactions, exact restoration of entities,
+ * components, tags, relations and hierarchy (including entity IDs), depth limits and events.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('WorldHistory', () => {
+  let ecsManager;
+  let history;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+    history = ecsManager.history;
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  /**
+   * Run changes inside a committed transaction
+   */
+  function transaction(fn, label = null) {
+    history.begin(label);
+    const result = fn();
+    history.commit();
+    return result;
+  }
+
+  test('should undo and redo entity creation with the same IDs', () => {
+    const entityId = transaction(() => {
+      const id = ecsManager.createEntity('Player');
+      ecsManager.addComponent(id, 'health', { value: 10 });
+      return id;
+    });
+
+    expect(history.undo()).toBe(true);
+    expect(ecsManager.hasEntity(entityId)).toBe(false);
+
+    expect(history.redo()).toBe(true);
+    expect(ecsManager.getEntity(entityId).name).toBe('Player');
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 10 });
+    expect(history.redo()).toBe(false);
+  });
+
+  test('should restore component data sets, adds and removals', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'health', { value: 10 });
+    ecsManager.addComponent(entityId, 'armor', { value: 2 });
+    const original = ecsManager.getComponent(entityId, 'health').data;
+
+    transaction(() => {
+      ecsManager.setComponent(entityId, 'health', { value: 5 });
+      ecsManager.removeComponent(entityId, 'armor');
+      ecsManager.addComponent(entityId, 'shield', {});
+    });
+    history.undo();
+
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual(original);
+    expect(ecsManager.getComponent(entityId, 'armor').data).toEqual({ value: 2 });
+    expect(ecsManager.getComponent(entityId, 'shield')).toBeNull();
+
+    history.redo();
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 5 });
+    expect(ecsManager.getComponent(entityId, 'armor')).toBeNull();
+  });
+
+  test('should restore a destroyed subtree with hierarchy, tags, relations and flags', () => {
+    const parent = ecsManager.createEntity();
+    const first = ecsManager.createEntity();
+    const root = ecsManager.createEntity('Root');
+    const child = ecsManager.createEntity();
+    const target = ecsManager.createEntity();
+    ecsManager.setParent(first, parent);
+    ecsManager.setParent(root, parent);
+    ecsManager.setParent(child, root);
+    ecsManager.addTag(child, 'selected');
+    ecsManager.addRelation(child, 'Targets', target);
+    ecsManager.addRelation(target, 'Watches', root);
+    ecsManager.setEntityActive(child, false);
+    ecsManager.addComponent(child, 'health', { value: 3 });
+    ecsManager.setParent(root, parent, { index: 0 });
+
+    transaction(() => ecsManager.destroyEntity(root));
+    history.undo();
+
+    expect(ecsManager.getChildren(parent)).toEqual([root, first]);
+    expect(ecsManager.getChildren(root)).toEqual([child]);
+    expect(ecsManager.getEntity(root).name).toBe('Root');
+    expect(ecsManager.hasTag(child, 'selected')).toBe(true);
+    expect(ecsManager.getRelationTargets(child, 'Targets')).toEqual([target]);
+    expect(ecsManager.getRelated('Watches', root)).toEqual([target]);
+    expect(ecsManager.isEntityActive(child)).toBe(false);
+    expect(ecsManager.getComponent(child, 'health').data).toEqual({ value: 3 });
+
+    history.redo();
+    expect(ecsManager.hasEntity(root)).toBe(false);
+    expect(ecsManager.hasEntity(child)).toBe(false);
+    expect(ecsManager.getChildren(parent)).toEqual([first]);
+  });
+
+  test('should restore numeric handles and typed component values', () => {
+    ecsManager = new ECSManager({ debug: false, entityIds: 'numeric' });
+    history = ecsManager.history;
+    ecsManager.defineTypedComponent('position', { x: 'f32', y: 'f32' });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'position', { x: 1, y: 2 });
+
+    transaction(() => {
+      ecsManager.setComponent(entityId, 'position', { x: 5, y: 6 });
+      ecsManager.destroyEntity(entityId);
+    });
+    history.undo();
+
+    expect(ecsManager.isAlive(entityId)).toBe(true);
+    expect(ecsManager.getComponent(entityId, 'position').data.x).toBe(1);
+    expect(ecsManager.getComponent(entityId, 'position').data.y).toBe(2);
+  });
+
+  test('should restore removed components exactly despite add hooks and defaults', () => {
+    ecsManager.registerComponent('health', { defaults: { value: 100, max: 100 } });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'health', { value: 30, max: 50 });
+    ecsManager.onAdd('health', data => ({ ...data, value: data.max }));
+    ecsManager.onAdd('health', data => data.value < 100);
+
+    transaction(() => ecsManager.removeComponent(entityId, 'health'));
+    history.undo();
+
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 30, max: 50 });
+
+    history.redo();
+    history.undo();
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 30, max: 50 });
+  });
+
+  test('should redo adds with the data that was stored, without re-running add hooks', () => {
+    const entityId = ecsManager.createEntity();
+    const onAdd = jest.fn(data => ({ ...data, boosted: true }));
+    ecsManager.onAdd('health', onAdd);
+
+    transaction(() => ecsManager.addComponent(entityId, 'health', { value: 1 }));
+    history.undo();
+    history.redo();
+
+    expect(onAdd).toHaveBeenCalledTimes(1);
+    expect(ecsManager.getComponent(entityId, 'health').data).toEqual({ value: 1, boosted: true });
+  });
+
+  test('should keep recorded data apart from live component data', () => {
+    const entityId = ecsManager.createEntity();
+    transaction(() => ecsManager.addComponent(entityId, 'position', { x: 1, path: [{ x: 1 }] }));
+    const position = ecsManager.getComponent(entityId, 'position').data;
+    position.x = 5;
+    position.path[0].x = 5;
+
+    history.undo();
+    history.redo();
+    const restored = ecsManager.getComponent(entityId, 'position').data;
+    expect(restored).toEqual({ x: 1, path: [{ x: 1 }] });
+
+    restored.x = 7;
+    history.undo();
+    history.redo();
+    expect(ecsManager.getComponent(entityId, 'position').data.x).toBe(1);
+  });
+
+  test('should merge nested transactions and drop empty ones', () => {
+    history.begin('outer');
+    history.begin('inner');
+    ecsManager.createEntity();
+    expect(history.commit()).toBe(false);
+    ecsManager.createEntity();
+    expect(history.commit()).toBe(true);
+
+    history.begin();
+    expect(history.commit()).toBe(false);
+
+    history.undo();
+    expect(ecsManager.entities.size).toBe(0);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should not record changes outside transactions', () => {
+    ecsManager.createEntity();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toBe(false);
+    expect(ecsManager.entities.size).toBe(1);
+  });
+
+  test('should revert cancelled transactions and refuse undo while recording', () => {
+    const entityId = ecsManager.createEntity();
+
+    history.begin();
+    ecsManager.addComponent(entityId, 'health', {});
+    expect(history.undo()).toBe(false);
+    expect(history.cancel()).toBe(true);
+
+    expect(ecsManager.getComponent(entityId, 'health')).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should clear the redo stack on commit and respect the depth limit', () => {
+    ecsManager = new ECSManager({ debug: false, historyLimit: 2 });
+    history = ecsManager.history;
+    for (let i = 0; i < 3; i++) {
+      transaction(() => ecsManager.createEntity());
+    }
+
+    expect(history.undoStack).toHaveLength(2);
+    history.undo();
+    transaction(() => ecsManager.createEntity());
+    expect(history.canRedo()).toBe(false);
+
+    history.setLimit(1);
+    expect(history.undoStack).toHaveLength(1);
+  });
+
+  test('should emit events for editor UIs', () => {
+    const events = [];
+    for (const type of ['history:committed', 'history:undone', 'history:redone', 'history:cleared']) {
+      ecsManager.eventManager.on(type, event => events.push([type, event.data]));
+    }
+
+    transaction(() => ecsManager.createEntity(), 'Create entity');
+    history.undo();
+    history.redo();
+    history.clear();
+
+    expect(events).toEqual([
+      ['history:committed', { label: 'Create entity', canUndo: true, canRedo: false }],
+      ['history:undone', { label: 'Create entity', canUndo: false, canRedo: true }],
+      ['history:redone', { label: 'Create entity', canUndo: true, canRedo: false }],
+      ['history:cleared', { label: null, canUndo: false, canRedo: false }]
+    ]);
+  });
+});
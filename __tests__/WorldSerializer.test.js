@@ -0,0 +1,210 @@
+/**
+ * WorldSerializer.test.js
+ * Tests for world snapshots: round-tripping entities and components, custom component
+ * serializers, replace/merge restore modes, ID preservation and remapping, and
+ * rejection of unsupported documents.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('WorldSerializer', () => {
+  let ecsManager;
+
+  beforeEach(() => {
+    ecsManager = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    ecsManager.stop();
+  });
+
+  test('should produce a versioned JSON-compatible document', () => {
+    const entityId = ecsManager.createEntity('Player');
+    ecsManager.addComponent(entityId, 'health', { value: 10, tags: ['hero'] });
+    ecsManager.setEntityActive(entityId, false);
+
+    const doc = ecsManager.serialize();
+
+    expect(doc).toMatchObject({ format: 'ecs-world', version: 1, idMode: 'string', entityIdCounter: 1 });
+    expect(doc.entities).toEqual([{
+      id: entityId,
+      name: 'Player',
+      active: false,
+      components: { health: { value: 10, tags: ['hero'] } }
+    }]);
+    expect(JSON.parse(JSON.stringify(doc))).toEqual(doc);
+  });
+
+  test('should restore a snapshot with the same IDs and data', () => {
+    const a = ecsManager.createEntity('A');
+    const b = ecsManager.createEntity('B');
+    ecsManager.addComponent(a, 'position', { x: 1, y: 2 });
+    ecsManager.addComponent(b, 'target', { entity: a });
+    const doc = ecsManager.serialize();
+
+    const restored = new ECSManager({ debug: false });
+    const result = restored.deserialize(JSON.parse(JSON.stringify(doc)));
+
+    expect(result.entities).toEqual([a, b]);
+    expect(restored.getComponent(a, 'position').data).toEqual({ x: 1, y: 2 });
+    expect(restored.getComponent(b, 'target').data).toEqual({ entity: a });
+    expect(restored.serialize()).toEqual(doc);
+
+    // New entities continue after the restored IDs
+    expect(restored.createEntity()).toBe('entity_3');
+  });
+
+  test('should fire lifecycle events and update queries on restore', () => {
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'position', { x: 0 });
+    const doc = ecsManager.serialize();
+
+    const restored = new ECSManager({ debug: false });
+    const query = restored.query('position');
+    const onEntity = jest.fn();
+    const onComponent = jest.fn();
+    const onWorld = jest.fn();
+    restored.eventManager.on('entity:created', onEntity);
+    restored.eventManager.on('component:added', onComponent);
+    restored.eventManager.on('world:deserialized', onWorld);
+
+    restored.deserialize(doc);
+
+    expect(onEntity).toHaveBeenCalledTimes(1);
+    expect(onComponent).toHaveBeenCalledTimes(1);
+    expect(onWorld.mock.calls[0][0].data).toMatchObject({ mode: 'replace', entities: [entityId] });
+    expect(query.toArray()).toEqual([entityId]);
+  });
+
+  test('should replace existing entities by default', () => {
+    const kept = ecsManager.createEntity();
+    const doc = ecsManager.serialize();
+    const extra = ecsManager.createEntity();
+    ecsManager.addComponent(kept, 'position', { x: 5 });
+
+    ecsManager.deserialize(doc);
+
+    expect(ecsManager.hasEntity(extra)).toBe(false);
+    expect(ecsManager.hasEntity(kept)).toBe(true);
+    expect(ecsManager.getComponent(kept, 'position')).toBeNull();
+  });
+
+  test('should update existing entities and keep the rest in merge mode', () => {
+    const entityId = ecsManager.createEntity('Before');
+    ecsManager.addComponent(entityId, 'position', { x: 1 });
+    const doc = ecsManager.serialize();
+    doc.entities[0].name = 'After';
+    doc.entities[0].components.position.x = 9;
+
+    const other = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'velocity', { x: 3 });
+
+    ecsManager.deserialize(doc, { mode: 'merge' });
+
+    expect(ecsManager.hasEntity(other)).toBe(true);
+    expect(ecsManager.getEntity(entityId).name).toBe('After');
+    expect(ecsManager.getComponent(entityId, 'position').data).toEqual({ x: 9 });
+    expect(ecsManager.getComponent(entityId, 'velocity').data).toEqual({ x: 3 });
+  });
+
+  test('should use registered serialize and deserialize functions', () => {
+    class Handle {
+      constructor(size) {
+        this.size = size;
+      }
+    }
+    const register = ecs => ecs.registerComponent('mesh', {
+      serialize: data => ({ size: data.handle.size }),
+      deserialize: data => ({ handle: new Handle(data.size) })
+    });
+    register(ecsManager);
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'mesh', { handle: new Handle(2) });
+
+    const doc = ecsManager.serialize();
+    expect(doc.entities[0].components.mesh).toEqual({ size: 2 });
+
+    const restored = new ECSManager({ debug: false });
+    register(restored);
+    restored.deserialize(doc);
+
+    const handle = restored.getComponent(entityId, 'mesh').data.handle;
+    expect(handle).toBeInstanceOf(Handle);
+    expect(handle.size).toBe(2);
+  });
+
+  test('should skip components whose serializer fails', () => {
+    ecsManager.registerComponent('broken', {
+      serialize: () => {
+        throw new Error('cannot serialize');
+      }
+    });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'broken', {});
+    ecsManager.addComponent(entityId, 'position', { x: 1 });
+
+    expect(ecsManager.serialize().entities[0].components).toEqual({ position: { x: 1 } });
+  });
+
+  test('should reject unsupported documents without changing the world', () => {
+    const entityId = ecsManager.createEntity();
+
+    expect(ecsManager.deserialize(null)).toBeNull();
+    expect(ecsManager.deserialize({ format: 'other', version: 1, entities: [] })).toBeNull();
+    expect(ecsManager.deserialize({ format: 'ecs-world', version: 99, entities: [] })).toBeNull();
+    expect(ecsManager.deserialize({ format: 'ecs-world', version: 1 })).toBeNull();
+    expect(ecsManager.hasEntity(entityId)).toBe(true);
+  });
+
+  test('should serialize typed components as plain data', () => {
+    ecsManager.defineTypedComponent('transform', { position: { x: 'f32', y: 'f32' } });
+    const entityId = ecsManager.createEntity();
+    ecsManager.addComponent(entityId, 'transform', { position: { x: 1.5, y: 2 } });
+
+    const doc = ecsManager.serialize();
+    expect(doc.entities[0].components.transform).toEqual({ position: { x: 1.5, y: 2 } });
+
+    const restored = new ECSManager({ debug: false });
+    restored.defineTypedComponent('transform', { position: { x: 'f32', y: 'f32' } });
+    restored.deserialize(doc);
+
+    expect(restored.getComponent(entityId, 'transform').data.position.x).toBe(1.5);
+  });
+
+  describe('numeric entity IDs', () => {
+    beforeEach(() => {
+      ecsManager = new ECSManager({ debug: false, entityIds: 'numeric' });
+    });
+
+    test('should restore handles including their generation', () => {
+      ecsManager.destroyEntity(ecsManager.createEntity());
+      const entityId = ecsManager.createEntity();
+      ecsManager.addComponent(entityId, 'position', { x: 1 });
+      const doc = ecsManager.serialize();
+
+      const restored = new ECSManager({ debug: false, entityIds: 'numeric' });
+      restored.deserialize(doc);
+
+      expect(doc.idMode).toBe('numeric');
+      expect(restored.isAlive(entityId)).toBe(true);
+      expect(restored.getComponent(entityId, 'position').data).toEqual({ x: 1 });
+      expect(restored.createEntity()).not.toBe(entityId);
+    });
+
+    test('should remap IDs that cannot be claimed', () => {
+      const source = new ECSManager({ debug: false });
+      const a = source.createEntity();
+      const b = source.createEntity();
+      source.addComponent(b, 'target', { entity: a });
+      source.registerComponent('target', {
+        serialize: data => ({ entity: data.entity }),
+        deserialize: (data, { idMap }) => ({ entity: idMap.get(data.entity) })
+      });
+      ecsManager.registerComponent('target', source.componentRegistry.get('target'));
+
+      const { idMap } = ecsManager.deserialize(source.serialize());
+
+      expect(typeof idMap.get(a)).toBe('number');
+      expect(ecsManager.getComponent(idMap.get(b), 'target').data).toEqual({ entity: idMap.get(a) });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Worlds.test.js
+ * Tests for running several ECSManager instances side by side: isolated IDs, events,
+ * debug registrations and debug panels, and moving entities between worlds.
+ */
+import ECSManager from '../src/core/ECSManager.js';
+
+describe('Multiple worlds', () => {
+  let game;
+  let ui;
+
+  beforeEach(() => {
+    game = new ECSManager({ debug: false });
+    ui = new ECSManager({ debug: false });
+  });
+
+  afterEach(() => {
+    game.stop();
+    ui.stop();
+  });
+
+  test('should keep entity IDs, events and queries separate', () => {
+    const onCreated = jest.fn();
+    ui.eventManager.on('entity:created', onCreated);
+    const gameEntity = game.createEntity();
+    game.addComponent(gameEntity, 'transform', {});
+
+    const uiEntity = ui.createEntity();
+
+    expect(uiEntity).toBe(gameEntity);
+    expect(onCreated).toHaveBeenCalledTimes(1);
+    expect(ui.getEntitiesWith('transform')).toEqual([]);
+    expect(ui.debugManager.entities.size).toBe(1);
+  });
+
+  test('should drop debug registrations of destroyed entities and removed components', () => {
+    const entityId = game.createEntity();
+    game.addComponent(entityId, 'transform', {});
+    game.addComponent(entityId, 'health', {});
+
+    game.removeComponent(entityId, 'health');
+    expect(game.debugManager.components.has('health')).toBe(false);
+    expect(game.debugManager.entities.get(entityId).components.has('health')).toBe(false);
+
+    game.destroyEntity(entityId);
+    expect(game.debugManager.entities.size).toBe(0);
+    expect(game.debugManager.components.size).toBe(0);
+  });
+
+  test('should give each world its own debug panel', () => {
+    game.debugManager.enabled = true;
+    ui.debugManager.enabled = true;
+    game.debugManager.createDebugPanel();
+    ui.debugManager.createDebugPanel();
+
+    game.debugManager.updateDebugPanel();
+    ui.debugManager.addLogToPanel('info', '00:00:00.000', 'ui only');
+
+    expect(game.debugManager.getPanelElement('debug-stats').innerHTML).toContain('Performance Stats');
+    expect(ui.debugManager.getPanelElement('debug-stats').innerHTML).toBe('');
+    expect(ui.debugManager.getPanelElement('debug-logs').textContent).toContain('ui only');
+    expect(game.debugManager.getPanelElement('debug-logs').textContent).not.toContain('ui only');
+
+    game.debugManager.removeDebugPanel();
+    ui.debugManager.removeDebugPanel();
+    expect(game.debugManager.getPanelElement('debug-stats')).toBeNull();
+  });
+
+  describe('transferEntity', () => {
+    test('should move an entity with its components and remapped ID', () => {
+      ui.createEntity();
+      const mesh = { id: 'mesh' };
+      const entityId = game.createEntity('Preview');
+      game.addComponent(entityId, 'mesh', { mesh });
+      game.addTag(entityId, 'selected');
+      const destroyed = jest.fn();
+      const created = jest.fn();
+      game.eventManager.on('entity:destroyed', destroyed);
+      ui.eventManager.on('entity:created', created);
+
+      const newId = game.transferEntity(entityId, ui);
+
+      expect(newId).toBe('entity_2');
+      expect(game.hasEntity(entityId)).toBe(false);
+      expect(ui.getEntity(newId).name).toBe('Preview');
+      expect(ui.getComponent(newId, 'mesh').data.mesh).toBe(mesh);
+      expect(ui.hasTag(newId, 'selected')).toBe(true);
+      expect(destroyed.mock.calls[0][0].data.id).toBe(entityId);
+      expect(created.mock.calls[0][0].data.id).toBe(newId);
+    });
+
+    test('should move descendants, relations between them and activation flags', () => {
+      const root = game.createEntity();
+      const child = game.createEntity();
+      const outsider = game.createEntity();
+      game.setParent(child, root);
+      game.setEntityActive(child, false);
+      game.addRelation(child, 'Follows', root);
+      game.addRelation(root, 'Targets', outsider);
+      const onTransferred = jest.fn();
+      game.eventManager.on('entity:transferred', onTransferred);
+
+      const newRoot = game.transferEntity(root, ui);
+      const { idMap } = onTransferred.mock.calls[0][0].data;
+      const newChild = idMap.get(child);
+
+      expect(game.entities.size).toBe(1);
+      expect(ui.getChildren(newRoot)).toEqual([newChild]);
+      expect(ui.isEntityActive(newChild)).toBe(false);
+      expect(ui.getRelationTargets(newChild, 'Follows')).toEqual([newRoot]);
+      expect(ui.hasRelation(newRoot, 'Targets')).toBe(false);
+    });
+
+    test('should copy typed components out of their columns', () => {
+      const schema = { position: { x: 'f32', y: 'f32' } };
+      game.defineTypedComponent('transform', schema);
+      ui.defineTypedComponent('transform', schema);
+      const entityId = game.createEntity();
+      game.addComponent(entityId, 'transform', { position: { x: 1, y: 2 } });
+      game.addComponent(game.createEntity(), 'transform', { position: { x: 9, y: 9 } });
+
+      const newId = game.transferEntity(entityId, ui);
+
+      expect(ui.getComponent(newId, 'transform').data.position.x).toBe(1);
+      expect(ui.getComponent(newId, 'transform').data.position.y).toBe(2);
+    });
+
+    test('should reject unknown entities and invalid worlds', () => {
+      const entityId = game.createEntity();
+
+      expect(game.transferEntity('missing', ui)).toBeNull();
+      expect(game.transferEntity(entityId, game)).toBeNull();
+      expect(game.transferEntity(entityId, {})).toBeNull();
+      expect(game.hasEntity(entityId)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Archetype
+ * Table of entities that share exactly the same set of component types (and tags).
+ * Tags are part of the signature but have no column.
+ * Components are stored column-wise (one dense array per component type) with a parallel
+ * array of entity IDs, so iterating an archetype walks contiguous arrays instead of per-entity Maps.
+ * Used by ArchetypeStorage; entities move between archetypes when components are added or removed.
+ */
+
+/**
+ * Component table for a single component signature
+ */
+class Archetype {
+  /**
+   * @param {Array<string>} componentTypes - Component types stored in this archetype
+   * @param {Array<string>} tags - Tags shared by every entity in this archetype
+   */
+  constructor(componentTypes = [], tags = []) {
+    this.types = [...new Set(componentTypes)].sort();
+    this.tags = [...new Set(tags)].sort();
+    this.key = Archetype.createKey(this.types, this.tags);
+    this.typeSet = new Set(this.types);
+    this.tagSet = new Set(this.tags);
+    this.entities = []; // row -> entityId
+    this.rows = new Map(); // entityId -> row
+    this.columns = new Map(); // componentType -> Array of components (indexed by row)
+    this.edges = {
+      add: new Map(), // componentType or #tag -> Archetype
+      remove: new Map() // componentType or #tag -> Archetype
+    };
+
+    for (const type of this.types) {
+      this.columns.set(type, []);
+    }
+  }
+
+  /**
+   * Build the lookup key for a component signature
+   * @param {Array<string>} componentTypes - Component types
+   * @param {Array<string>} tags - Tags (written as '#tag' after the component types)
+   * @returns {string} Order-independent archetype key
+   */
+  static createKey(componentTypes, tags = []) {
+    const tagKeys = [...new Set(tags)].sort().map(tag => `#${tag}`);
+    return [...[...new Set(componentTypes)].sort(), ...tagKeys].join('|');
+  }
+
+  /**
+   * Check whether this archetype's signature includes a component type or tag
+   * @param {string} componentType - The component type or tag
+   * @returns {boolean}
+   */
+  has(componentType) {
+    return this.typeSet.has(componentType) || this.tagSet.has(componentType);
+  }
+
+  /**
+   * Check whether this archetype stores a component type (tags excluded)
+   * @param {string} componentType - The component type
+   * @returns {boolean}
+   */
+  hasComponent(componentType) {
+    return this.typeSet.has(componentType);
+  }
+
+  /**
+   * Check whether this archetype's entities carry a tag
+   * @param {string} tag - The tag
+   * @returns {boolean}
+   */
+  hasTag(tag) {
+    return this.tagSet.has(tag);
+  }
+
+  /**
+   * Append an entity row
+   * @param {string} entityId - The entity ID
+   * @param {Map<string, Object>} components - Components keyed by type (must cover every type)
+   * @returns {number} The row the entity was stored at
+   */
+  add(entityId, components = new Map()) {
+    const row = this.entities.length;
+    this.entities.push(entityId);
+    this.rows.set(entityId, row);
+
+    for (const [type, column] of this.columns) {
+      column.push(components.get(type));
+    }
+
+    return row;
+  }
+
+  /**
+   * Remove an entity row by swapping the last row into its place
+   * @param {string} entityId - The entity ID
+   * @returns {Map<string, Object>|null} The removed components keyed by type
+   */
+  remove(entityId) {
+    const row = this.rows.get(entityId);
+    if (row === undefined) return null;
+
+    const lastRow = this.entities.length - 1;
+    const removed = new Map();
+
+    for (const [type, column] of this.columns) {
+      removed.set(type, column[row]);
+      column[row] = column[lastRow];
+      column.pop();
+    }
+
+    const movedEntityId = this.entities[lastRow];
+    this.entities[row] = movedEntityId;
+    this.entities.pop();
+    this.rows.delete(entityId);
+    if (movedEntityId !== entityId) {
+      this.rows.set(movedEntityId, row);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get a component for an entity stored in this archetype
+   * @param {string} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @returns {Object|null} The component or null if not found
+   */
+  get(entityId, componentType) {
+    const column = this.columns.get(componentType);
+    const row = this.rows.get(entityId);
+    if (!column || row === undefined) return null;
+
+    return column[row];
+  }
+
+  /**
+   * Replace a component in place (the type must belong to this archetype)
+   * @param {string} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} component - The component record
+   */
+  set(entityId, componentType, component) {
+    this.columns.get(componentType)[this.rows.get(entityId)] = component;
+  }
+
+  /**
+   * Get the dense column for a component type
+   * @param {string} componentType - The component type
+   * @returns {Array<Object>|null} Components indexed by row
+   */
+  getColumn(componentType) {
+    return this.columns.get(componentType) || null;
+  }
+
+  /**
+   * Number of entities stored in this archetype
+   * @returns {number}
+   */
+  get size() {
+    return this.entities.length;
+  }
+}
+
+export default Archetype;
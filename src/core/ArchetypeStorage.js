@@ -0,0 +1,263 @@
+/**
+ * ArchetypeStorage
+ * Archetype-based component storage for ECSManager. Entities with the same component set
+ * (and tags) live together in an Archetype table; adding or removing a component or tag
+ * moves the entity to the archetype for its new signature. Transitions are cached as archetype graph edges.
+ * Shares its interface with MapStorage so ECSManager can switch storage modes.
+ */
+
+import Archetype from './Archetype.js';
+
+/**
+ * Key a graph edge so a tag and a component type with the same name never share an edge
+ * @param {string} name - The component type or tag
+ * @param {boolean} isTag - Whether the edge adds or removes a tag
+ * @returns {string} The edge key
+ */
+function edgeKey(name, isTag) {
+  return isTag ? `#${name}` : name;
+}
+
+/**
+ * Archetype table component storage
+ */
+class ArchetypeStorage {
+  constructor() {
+    this.mode = 'archetype';
+    this.archetypes = new Map(); // archetype key -> Archetype
+    this.archetypeListeners = new Set();
+    this.root = this.getArchetype([]);
+  }
+
+  /**
+   * Subscribe to archetype creation (used by ECSManager to keep queries in sync)
+   * @param {Function} callback - (archetype) => void
+   */
+  onArchetypeCreated(callback) {
+    this.archetypeListeners.add(callback);
+  }
+
+  /**
+   * Get or create the archetype for a component signature
+   * @param {Array<string>} componentTypes - Component types
+   * @param {Array<string>} tags - Tags
+   * @returns {Archetype} The archetype
+   */
+  getArchetype(componentTypes, tags = []) {
+    const key = Archetype.createKey(componentTypes, tags);
+    let archetype = this.archetypes.get(key);
+
+    if (!archetype) {
+      archetype = new Archetype(componentTypes, tags);
+      this.archetypes.set(key, archetype);
+      for (const callback of this.archetypeListeners) {
+        callback(archetype);
+      }
+    }
+
+    return archetype;
+  }
+
+  /**
+   * Resolve the archetype reached by adding a component type or tag
+   * @param {Archetype} archetype - The source archetype
+   * @param {string} componentType - The added component type or tag
+   * @param {boolean} isTag - Whether a tag is being added
+   * @returns {Archetype} The target archetype
+   */
+  getAddEdge(archetype, componentType, isTag = false) {
+    const key = edgeKey(componentType, isTag);
+    let target = archetype.edges.add.get(key);
+    if (!target) {
+      target = isTag
+        ? this.getArchetype(archetype.types, [...archetype.tags, componentType])
+        : this.getArchetype([...archetype.types, componentType], archetype.tags);
+      archetype.edges.add.set(key, target);
+      target.edges.remove.set(key, archetype);
+    }
+    return target;
+  }
+
+  /**
+   * Resolve the archetype reached by removing a component type or tag
+   * @param {Archetype} archetype - The source archetype
+   * @param {string} componentType - The removed component type or tag
+   * @param {boolean} isTag - Whether a tag is being removed
+   * @returns {Archetype} The target archetype
+   */
+  getRemoveEdge(archetype, componentType, isTag = false) {
+    const key = edgeKey(componentType, isTag);
+    let target = archetype.edges.remove.get(key);
+    if (!target) {
+      target = isTag
+        ? this.getArchetype(archetype.types, archetype.tags.filter(tag => tag !== componentType))
+        : this.getArchetype(archetype.types.filter(type => type !== componentType), archetype.tags);
+      archetype.edges.remove.set(key, target);
+      target.edges.add.set(key, archetype);
+    }
+    return target;
+  }
+
+  /**
+   * Move an entity's row from its current archetype to another
+   * @param {Object} entity - The entity record
+   * @param {Archetype} target - The destination archetype
+   * @returns {Map<string, Object>} The entity's components keyed by type
+   */
+  move(entity, target) {
+    const components = entity.archetype.remove(entity.id);
+    entity.archetype = target;
+    return components;
+  }
+
+  /**
+   * Place a newly created entity in the empty archetype
+   * @param {Object} entity - The entity record
+   */
+  attach(entity) {
+    entity.archetype = this.root;
+    this.root.add(entity.id);
+  }
+
+  /**
+   * Remove a destroyed entity's row
+   * @param {Object} entity - The entity record
+   */
+  detach(entity) {
+    entity.archetype.remove(entity.id);
+    entity.archetype = null;
+  }
+
+  /**
+   * Check whether an entity has a component type
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @returns {boolean}
+   */
+  has(entity, componentType) {
+    return entity.archetype.hasComponent(componentType);
+  }
+
+  /**
+   * Get a component from an entity
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @returns {Object|null} The component or null if not found
+   */
+  get(entity, componentType) {
+    return entity.archetype.get(entity.id, componentType);
+  }
+
+  /**
+   * Store a component, moving the entity to a new archetype if the type is new to it
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @param {Object} component - The component record
+   */
+  set(entity, componentType, component) {
+    if (entity.archetype.hasComponent(componentType)) {
+      entity.archetype.set(entity.id, componentType, component);
+      return;
+    }
+
+    const target = this.getAddEdge(entity.archetype, componentType);
+    const components = this.move(entity, target);
+    components.set(componentType, component);
+    target.add(entity.id, components);
+  }
+
+  /**
+   * Remove a component, moving the entity to the archetype without that type
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   */
+  delete(entity, componentType) {
+    if (!entity.archetype.hasComponent(componentType)) return;
+
+    const target = this.getRemoveEdge(entity.archetype, componentType);
+    const components = this.move(entity, target);
+    target.add(entity.id, components);
+  }
+
+  /**
+   * Get the component types an entity currently has
+   * @param {Object} entity - The entity record
+   * @returns {Array<string>} Component types
+   */
+  types(entity) {
+    return [...entity.archetype.types];
+  }
+
+  /**
+   * Add a tag, moving the entity to the archetype that includes it
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   */
+  addTag(entity, tag) {
+    if (entity.archetype.hasTag(tag)) return;
+
+    const target = this.getAddEdge(entity.archetype, tag, true);
+    const components = this.move(entity, target);
+    target.add(entity.id, components);
+  }
+
+  /**
+   * Remove a tag, moving the entity to the archetype without it
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   */
+  removeTag(entity, tag) {
+    if (!entity.archetype.hasTag(tag)) return;
+
+    const target = this.getRemoveEdge(entity.archetype, tag, true);
+    const components = this.move(entity, target);
+    target.add(entity.id, components);
+  }
+
+  /**
+   * Check whether an entity has a tag
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   * @returns {boolean}
+   */
+  hasTag(entity, tag) {
+    return entity.archetype.hasTag(tag);
+  }
+
+  /**
+   * Get the tags an entity currently has
+   * @param {Object} entity - The entity record
+   * @returns {Array<string>} Tags
+   */
+  tags(entity) {
+    return [...entity.archetype.tags];
+  }
+
+  /**
+   * Get an object with a `has(type)` method describing the entity's component set
+   * @param {Object} entity - The entity record
+   * @returns {Archetype} The entity's archetype
+   */
+  signature(entity) {
+    return entity.archetype;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} Storage statistics
+   */
+  getStats() {
+    const archetypes = {};
+    for (const [key, archetype] of this.archetypes) {
+      archetypes[key || '(empty)'] = archetype.size;
+    }
+
+    return {
+      mode: this.mode,
+      archetypeCount: this.archetypes.size,
+      archetypes
+    };
+  }
+}
+
+export default ArchetypeStorage;
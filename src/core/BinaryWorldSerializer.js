@@ -0,0 +1,568 @@
+/**
+ * BinaryWorldSerializer
+ * Compact binary encoding of the world documents produced by WorldSerializer.
+ * Decoding yields exactly the document that JSON.parse(JSON.stringify(doc)) would, so binary
+ * and JSON snapshots can be compared directly and restored through the same code path.
+ *
+ * Layout (little-endian):
+ *   header  magic 'ECSW' | u16 format version | u16 flags | u32 body checksum | u32 body length
+ *   body    u16 document version | counter value | string table | entity table |
+ *           component columns | extra document fields
+ * Counts, lengths, indexes and integers in the body are LEB128 variable-length integers.
+ * Strings (names, component types, object keys, string values) are stored once in the string
+ * table and referenced by index. Each entity lists the columns it has values in, and each
+ * column stores its values in entity order, so component order is preserved.
+ */
+
+const MAGIC = [0x45, 0x43, 0x53, 0x57]; // 'ECSW'
+const BINARY_VERSION = 1;
+const HEADER_SIZE = 16;
+const FLAG_NUMERIC_IDS = 1;
+
+const WORLD_FORMAT = 'ecs-world';
+const DOCUMENT_FIELDS = new Set(['format', 'version', 'idMode', 'entityIdCounter', 'entities']);
+const ENTITY_FIELDS = new Set(['id', 'name', 'active', 'components']);
+
+// Tagged value encoding
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_INT = 3; // zigzag varint
+const TAG_FLOAT64 = 4;
+const TAG_STRING = 5;
+const TAG_ARRAY = 6;
+const TAG_OBJECT = 7;
+
+/**
+ * Encode a string as UTF-8, without relying on TextEncoder being available
+ * @param {string} text - The string to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function encodeUtf8(text) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(text);
+  }
+
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    let code = text.codePointAt(i);
+    if (code > 0xffff) i++;
+    if (code >= 0xd800 && code <= 0xdfff) code = 0xfffd; // lone surrogate
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Decode UTF-8 bytes, without relying on TextDecoder being available
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} Decoded string
+ */
+function decodeUtf8(bytes) {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder().decode(bytes);
+  }
+
+  let text = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i++];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    }
+    text += String.fromCodePoint(code);
+  }
+  return text;
+}
+
+/**
+ * FNV-1a 32-bit checksum
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function checksum(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Growable little-endian byte writer
+ */
+class ByteWriter {
+  constructor(capacity = 256) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value, true);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value, true);
+    this.length += 8;
+  }
+
+  varuint(value) {
+    while (value >= 0x80) {
+      this.u8((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.u8(value);
+  }
+
+  varint(value) {
+    this.varuint(((value << 1) ^ (value >> 31)) >>> 0);
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Bounds-checked little-endian byte reader
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Unexpected end of binary snapshot');
+    }
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  u8() {
+    return this.view.getUint8(this.take(1));
+  }
+
+  u16() {
+    return this.view.getUint16(this.take(2), true);
+  }
+
+  u32() {
+    return this.view.getUint32(this.take(4), true);
+  }
+
+  f64() {
+    return this.view.getFloat64(this.take(8), true);
+  }
+
+  varuint() {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+    throw new Error('Invalid variable-length integer');
+  }
+
+  varint() {
+    const zigzag = this.varuint();
+    return (zigzag >>> 1) ^ -(zigzag & 1);
+  }
+
+  raw(size) {
+    const offset = this.take(size);
+    return this.bytes.subarray(offset, offset + size);
+  }
+}
+
+/**
+ * Binary world snapshot encoder/decoder
+ */
+class BinaryWorldSerializer {
+  /**
+   * Encode a world document
+   * @param {Object} doc - World document produced by WorldSerializer.serialize()
+   * @returns {Uint8Array} Binary snapshot
+   */
+  encode(doc) {
+    if (!doc || doc.format !== WORLD_FORMAT || !Array.isArray(doc.entities)) {
+      throw new Error('Cannot encode: not a world document');
+    }
+
+    const strings = new Map();
+    const data = new ByteWriter();
+    const columns = new Map(); // component type -> { index, count, writer } with values in entity order
+
+    this.writeValue(data, strings, doc.entityIdCounter);
+
+    data.varuint(doc.entities.length);
+    for (const entity of doc.entities) {
+      this.writeValue(data, strings, entity.id);
+      this.writeValue(data, strings, entity.name);
+      data.u8(entity.active === false ? 0 : 1);
+
+      const types = Object.keys(entity.components || {})
+        .filter(type => this.toJSONValue(entity.components[type], false) !== undefined);
+      data.varuint(types.length);
+      for (const type of types) {
+        if (!columns.has(type)) {
+          columns.set(type, { index: columns.size, count: 0, writer: new ByteWriter() });
+        }
+        const column = columns.get(type);
+        data.varuint(column.index);
+        this.writeValue(column.writer, strings, entity.components[type]);
+        column.count++;
+      }
+
+      this.writeValue(data, strings, this.pickExtraFields(entity, ENTITY_FIELDS));
+    }
+
+    data.varuint(columns.size);
+    for (const [type, column] of columns) {
+      data.varuint(this.intern(strings, type));
+      data.varuint(column.count);
+      data.raw(column.writer.toBytes());
+    }
+
+    this.writeValue(data, strings, this.pickExtraFields(doc, DOCUMENT_FIELDS));
+
+    // The string table is only complete once everything else has been written
+    const body = new ByteWriter(data.length + 64);
+    body.u16(doc.version);
+    body.varuint(strings.size);
+    for (const text of strings.keys()) {
+      const bytes = encodeUtf8(text);
+      body.varuint(bytes.length);
+      body.raw(bytes);
+    }
+    body.raw(data.toBytes());
+    const bodyBytes = body.toBytes();
+
+    const out = new ByteWriter(HEADER_SIZE + bodyBytes.length);
+    out.raw(MAGIC);
+    out.u16(BINARY_VERSION);
+    out.u16(doc.idMode === 'numeric' ? FLAG_NUMERIC_IDS : 0);
+    out.u32(checksum(bodyBytes));
+    out.u32(bodyBytes.length);
+    out.raw(bodyBytes);
+    return out.toBytes();
+  }
+
+  /**
+   * Decode a binary snapshot back into a world document
+   * @param {ArrayBuffer|Uint8Array|Buffer} input - Binary snapshot
+   * @returns {Object} World document
+   * @throws {Error} If the data is not a valid snapshot
+   */
+  decode(input) {
+    const bytes = this.toUint8Array(input);
+    const header = new ByteReader(bytes);
+
+    if (bytes.length < HEADER_SIZE || MAGIC.some((byte, i) => bytes[i] !== byte)) {
+      throw new Error('Not a binary world snapshot');
+    }
+    header.take(MAGIC.length);
+
+    const binaryVersion = header.u16();
+    if (binaryVersion > BINARY_VERSION) {
+      throw new Error(`Unsupported binary snapshot version: ${binaryVersion}`);
+    }
+    const flags = header.u16();
+    const expectedChecksum = header.u32();
+    const bodyBytes = header.raw(header.u32());
+    if (checksum(bodyBytes) !== expectedChecksum) {
+      throw new Error('Binary snapshot checksum mismatch');
+    }
+
+    const reader = new ByteReader(bodyBytes);
+    const version = reader.u16();
+    const strings = [];
+    const stringCount = reader.varuint();
+    for (let i = 0; i < stringCount; i++) {
+      strings.push(decodeUtf8(reader.raw(reader.varuint())));
+    }
+
+    const entityIdCounter = this.readValue(reader, strings);
+
+    const entities = [];
+    const entityColumns = [];
+    const entityCount = reader.varuint();
+    for (let i = 0; i < entityCount; i++) {
+      const entity = {
+        id: this.readValue(reader, strings),
+        name: this.readValue(reader, strings),
+        active: reader.u8() === 1,
+        components: {}
+      };
+      const columnIndexes = [];
+      const columnCount = reader.varuint();
+      for (let j = 0; j < columnCount; j++) {
+        columnIndexes.push(reader.varuint());
+      }
+      Object.assign(entity, this.readValue(reader, strings));
+      entities.push(entity);
+      entityColumns.push(columnIndexes);
+    }
+
+    const columns = [];
+    const columnCount = reader.varuint();
+    for (let i = 0; i < columnCount; i++) {
+      const type = this.readString(reader, strings);
+      const values = [];
+      const valueCount = reader.varuint();
+      for (let j = 0; j < valueCount; j++) {
+        values.push(this.readValue(reader, strings));
+      }
+      columns.push({ type, values, next: 0 });
+    }
+
+    entities.forEach((entity, i) => {
+      for (const index of entityColumns[i]) {
+        const column = columns[index];
+        if (!column || column.next >= column.values.length) {
+          throw new Error('Binary snapshot column data is inconsistent');
+        }
+        entity.components[column.type] = column.values[column.next++];
+      }
+    });
+
+    const doc = {
+      format: WORLD_FORMAT,
+      version,
+      idMode: flags & FLAG_NUMERIC_IDS ? 'numeric' : 'string'
+    };
+    if (entityIdCounter !== undefined) {
+      doc.entityIdCounter = entityIdCounter;
+    }
+    doc.entities = entities;
+    return Object.assign(doc, this.readValue(reader, strings));
+  }
+
+  /**
+   * Normalize browser and Node binary inputs to a Uint8Array view
+   * @param {ArrayBuffer|Uint8Array|Buffer} input - Binary data
+   * @returns {Uint8Array}
+   */
+  toUint8Array(input) {
+    if (input instanceof ArrayBuffer) {
+      return new Uint8Array(input);
+    }
+    if (ArrayBuffer.isView(input)) {
+      return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    throw new Error('Binary snapshot must be an ArrayBuffer, typed array or Buffer');
+  }
+
+  /**
+   * Collect fields outside the fixed layout so they survive the round-trip
+   * @param {Object} source - Document or entity record
+   * @param {Set<string>} known - Fields with a dedicated encoding
+   * @returns {Object} Remaining fields
+   */
+  pickExtraFields(source, known) {
+    const extra = {};
+    for (const [key, value] of Object.entries(source)) {
+      if (!known.has(key)) {
+        extra[key] = value;
+      }
+    }
+    return extra;
+  }
+
+  /**
+   * Get the string table index for a string, adding it if needed
+   * @param {Map<string, number>} strings - String table
+   * @param {string} text - The string
+   * @returns {number} Index
+   */
+  intern(strings, text) {
+    let index = strings.get(text);
+    if (index === undefined) {
+      index = strings.size;
+      strings.set(text, index);
+    }
+    return index;
+  }
+
+  /**
+   * Apply JSON.stringify's value conversions
+   * @param {*} value - Value to convert
+   * @param {boolean} inArray - Whether the value is an array element
+   * @returns {*} The JSON value, or undefined if JSON would omit it
+   */
+  toJSONValue(value, inArray) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+      return inArray ? null : undefined;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return null;
+    }
+    if (typeof value === 'bigint') {
+      throw new Error('BigInt values cannot be serialized');
+    }
+    if (value instanceof Number || value instanceof String || value instanceof Boolean) {
+      return value.valueOf();
+    }
+    return value;
+  }
+
+  /**
+   * Write a tagged value
+   * @param {ByteWriter} writer - Destination
+   * @param {Map<string, number>} strings - String table
+   * @param {*} value - JSON-compatible value
+   */
+  writeValue(writer, strings, value) {
+    value = this.toJSONValue(value, true);
+
+    if (value === null) {
+      writer.u8(TAG_NULL);
+    } else if (value === true || value === false) {
+      writer.u8(value ? TAG_TRUE : TAG_FALSE);
+    } else if (typeof value === 'number') {
+      if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff) {
+        writer.u8(TAG_INT);
+        writer.varint(value);
+      } else {
+        writer.u8(TAG_FLOAT64);
+        writer.f64(value);
+      }
+    } else if (typeof value === 'string') {
+      writer.u8(TAG_STRING);
+      writer.varuint(this.intern(strings, value));
+    } else if (Array.isArray(value)) {
+      writer.u8(TAG_ARRAY);
+      writer.varuint(value.length);
+      for (const item of value) {
+        this.writeValue(writer, strings, item);
+      }
+    } else {
+      const entries = Object.keys(value)
+        .map(key => [key, this.toJSONValue(value[key], false)])
+        .filter(([, item]) => item !== undefined);
+      writer.u8(TAG_OBJECT);
+      writer.varuint(entries.length);
+      for (const [key, item] of entries) {
+        writer.varuint(this.intern(strings, key));
+        this.writeValue(writer, strings, item);
+      }
+    }
+  }
+
+  /**
+   * Read a string table reference
+   * @param {ByteReader} reader - Source
+   * @param {Array<string>} strings - String table
+   * @returns {string}
+   */
+  readString(reader, strings) {
+    const index = reader.varuint();
+    if (index >= strings.length) {
+      throw new Error(`Invalid string table index: ${index}`);
+    }
+    return strings[index];
+  }
+
+  /**
+   * Read a tagged value
+   * @param {ByteReader} reader - Source
+   * @param {Array<string>} strings - String table
+   * @returns {*} Decoded value
+   */
+  readValue(reader, strings) {
+    const tag = reader.u8();
+
+    switch (tag) {
+    case TAG_NULL:
+      return null;
+    case TAG_FALSE:
+      return false;
+    case TAG_TRUE:
+      return true;
+    case TAG_INT:
+      return reader.varint();
+    case TAG_FLOAT64:
+      return reader.f64();
+    case TAG_STRING:
+      return this.readString(reader, strings);
+    case TAG_ARRAY: {
+      const length = reader.varuint();
+      const array = [];
+      for (let i = 0; i < length; i++) {
+        array.push(this.readValue(reader, strings));
+      }
+      return array;
+    }
+    case TAG_OBJECT: {
+      const count = reader.varuint();
+      const object = {};
+      for (let i = 0; i < count; i++) {
+        const key = this.readString(reader, strings);
+        object[key] = this.readValue(reader, strings);
+      }
+      return object;
+    }
+    default:
+      throw new Error(`Invalid value tag: ${tag}`);
+    }
+  }
+}
+
+export default BinaryWorldSerializer;
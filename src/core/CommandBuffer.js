@@ -0,0 +1,170 @@
+/**
+ * CommandBuffer
+ * Records structural changes (create/destroy entities, add/remove/set components) so systems
+ * can request them while iterating without mutating the world mid-update.
+ * ECSManager flushes the buffer at sync points between systems or at the end of a frame;
+ * the usual entity/component events fire when the commands are applied.
+ */
+
+/**
+ * Deferred structural change buffer
+ */
+class CommandBuffer {
+  /**
+   * @param {ECSManager} ecsManager - The ECS Manager the commands are applied to
+   */
+  constructor(ecsManager) {
+    this.ecsManager = ecsManager;
+    this.commands = [];
+    this.isFlushing = false;
+    this.maxFlushPasses = 16;
+  }
+
+  /**
+   * Queue entity creation; the ID is reserved immediately so later commands can target it
+   * @param {string} name - Optional name for the entity
+   * @returns {string|number} The reserved entity ID
+   */
+  createEntity(name = null) {
+    const id = this.ecsManager.reserveEntityId();
+    this.commands.push({ op: 'create', entityId: id, name });
+    return id;
+  }
+
+  /**
+   * Queue entity destruction
+   * @param {string|number} entityId - The entity ID
+   * @param {Object} options - Passed to ECSManager.destroyEntity (e.g. { cascade: false })
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  destroyEntity(entityId, options = {}) {
+    this.commands.push({ op: 'destroy', entityId, options });
+    return this;
+  }
+
+  /**
+   * Queue adding a component
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} componentData - The component data
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  addComponent(entityId, componentType, componentData = {}) {
+    this.commands.push({ op: 'add', entityId, componentType, componentData });
+    return this;
+  }
+
+  /**
+   * Queue removing a component
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  removeComponent(entityId, componentType) {
+    this.commands.push({ op: 'remove', entityId, componentType });
+    return this;
+  }
+
+  /**
+   * Queue replacing component data (adds the component if missing)
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} componentData - The component data
+   * @returns {CommandBuffer} This buffer for chaining
+   */
+  setComponent(entityId, componentType, componentData = {}) {
+    this.commands.push({ op: 'set', entityId, componentType, componentData });
+    return this;
+  }
+
+  /**
+   * Number of pending commands
+   * @returns {number}
+   */
+  get size() {
+    return this.commands.length;
+  }
+
+  /**
+   * Apply all pending commands in order
+   * Commands queued by event listeners during the flush are applied in the same flush.
+   * @returns {number} Number of commands applied
+   */
+  flush() {
+    if (this.isFlushing || this.commands.length === 0) {
+      return 0;
+    }
+
+    this.isFlushing = true;
+    let applied = 0;
+    let passes = 0;
+
+    try {
+      while (this.commands.length > 0 && passes++ < this.maxFlushPasses) {
+        const batch = this.commands;
+        this.commands = [];
+
+        for (const command of batch) {
+          this.apply(command);
+          applied++;
+        }
+      }
+
+      if (this.commands.length > 0) {
+        this.ecsManager.debugManager.log('warn', `Command buffer still has ${this.commands.length} commands after ${this.maxFlushPasses} passes`);
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    this.ecsManager.eventManager.emit('commands:flushed', { count: applied });
+    return applied;
+  }
+
+  /**
+   * Apply a single command to the ECS Manager
+   * @param {Object} command - The recorded command
+   */
+  apply(command) {
+    const ecs = this.ecsManager;
+
+    try {
+      switch (command.op) {
+      case 'create':
+        ecs.createEntityWithId(command.entityId, command.name);
+        break;
+      case 'destroy':
+        ecs.destroyEntity(command.entityId, command.options);
+        break;
+      case 'add':
+        ecs.addComponent(command.entityId, command.componentType, command.componentData);
+        break;
+      case 'remove':
+        ecs.removeComponent(command.entityId, command.componentType);
+        break;
+      case 'set':
+        ecs.setComponent(command.entityId, command.componentType, command.componentData);
+        break;
+      }
+    } catch (error) {
+      ecs.debugManager.log('error', `Command '${command.op}' failed for entity ${command.entityId}`, error);
+    }
+  }
+
+  /**
+   * Drop all pending commands, releasing IDs reserved for entities never created
+   * @returns {number} Number of commands dropped
+   */
+  clear() {
+    const dropped = this.commands.length;
+    for (const command of this.commands) {
+      if (command.op === 'create') {
+        this.ecsManager.releaseEntityId(command.entityId);
+      }
+    }
+    this.commands = [];
+    return dropped;
+  }
+}
+
+export default CommandBuffer;
@@ -0,0 +1,82 @@
+/**
+ * ComponentHooks
+ * Lifecycle callbacks registered per component type, dispatched directly by ECSManager
+ * instead of through global component events:
+ * - add: before a component is stored; may veto it (return false) or replace its data
+ * - set: after a component's data is stored, by addComponent or setComponent
+ * - remove: before a component is removed (also when its entity is destroyed)
+ * Hooks run by priority (higher first), then in registration order.
+ */
+
+const PHASES = ['add', 'set', 'remove'];
+
+/**
+ * Per-type component lifecycle hook registry
+ */
+class ComponentHooks {
+  constructor() {
+    this.hooks = new Map(); // phase:type -> Array<{ id, hook, priority }>
+    this.hookIdCounter = 0;
+  }
+
+  /**
+   * Register a hook
+   * @param {string} phase - 'add', 'set' or 'remove'
+   * @param {string} type - The component type
+   * @param {Function} hook - (data, context) => void, or for 'add': false | new data | undefined
+   * @param {number} priority - Hook priority (higher = runs first)
+   * @returns {string} Hook ID for removal
+   */
+  register(phase, type, hook, priority = 0) {
+    if (!PHASES.includes(phase)) {
+      throw new Error(`Unknown component hook phase: ${phase}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error(`Component hook for ${type} must be a function`);
+    }
+
+    const key = `${phase}:${type}`;
+    if (!this.hooks.has(key)) {
+      this.hooks.set(key, []);
+    }
+
+    const id = `hook_${++this.hookIdCounter}`;
+    const hooks = this.hooks.get(key);
+    hooks.push({ id, hook, priority });
+    // Array.prototype.sort is stable, so equal priorities keep registration order
+    hooks.sort((a, b) => b.priority - a.priority);
+    return id;
+  }
+
+  /**
+   * Remove a hook by ID
+   * @param {string} id - Hook ID returned by register()
+   * @returns {boolean} True if the hook was removed
+   */
+  unregister(id) {
+    for (const [key, hooks] of this.hooks) {
+      const index = hooks.findIndex(entry => entry.id === id);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+        if (hooks.length === 0) {
+          this.hooks.delete(key);
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the hooks for a phase and component type in execution order
+   * @param {string} phase - 'add', 'set' or 'remove'
+   * @param {string} type - The component type
+   * @returns {Array<Function>} Hooks (a copy, so hooks may unregister while running)
+   */
+  get(phase, type) {
+    const hooks = this.hooks.get(`${phase}:${type}`);
+    return hooks ? hooks.map(entry => entry.hook) : [];
+  }
+}
+
+export default ComponentHooks;
@@ -0,0 +1,82 @@
+/**
+ * ComponentIndex
+ * Secondary index from the value of one component field to the entities holding it, e.g.
+ * `team.id` -> entities on each team. ECSManager keeps it up to date as components are
+ * added, set, marked changed and removed, so lookups do not scan every entity.
+ */
+
+import { readPath } from './utilities.js';
+
+/**
+ * Value index over a component field
+ */
+class ComponentIndex {
+  /**
+   * @param {string} componentType - The indexed component type
+   * @param {string} path - Dotted field path within the component data (e.g. 'id', 'cell.x')
+   */
+  constructor(componentType, path) {
+    this.componentType = componentType;
+    this.path = path;
+    this.entitiesByValue = new Map(); // field value -> Set<entityId>
+    this.valueByEntity = new Map(); // entityId -> indexed field value
+  }
+
+  /**
+   * Index (or re-index) an entity's component data
+   * @param {string|number} entityId - The entity ID
+   * @param {Object} data - Component data
+   */
+  update(entityId, data) {
+    const value = readPath(data, this.path);
+    if (this.valueByEntity.has(entityId)) {
+      if (this.valueByEntity.get(entityId) === value) return;
+      this.remove(entityId);
+    }
+
+    if (!this.entitiesByValue.has(value)) {
+      this.entitiesByValue.set(value, new Set());
+    }
+    this.entitiesByValue.get(value).add(entityId);
+    this.valueByEntity.set(entityId, value);
+  }
+
+  /**
+   * Remove an entity from the index
+   * @param {string|number} entityId - The entity ID
+   */
+  remove(entityId) {
+    if (!this.valueByEntity.has(entityId)) return;
+
+    const value = this.valueByEntity.get(entityId);
+    const entities = this.entitiesByValue.get(value);
+    entities.delete(entityId);
+    if (entities.size === 0) {
+      this.entitiesByValue.delete(value);
+    }
+    this.valueByEntity.delete(entityId);
+  }
+
+  /**
+   * Get the entities whose field equals a value
+   * @param {*} value - The field value (compared like Map keys)
+   * @returns {Array} Entity IDs
+   */
+  lookup(value) {
+    const entities = this.entitiesByValue.get(value);
+    return entities ? Array.from(entities) : [];
+  }
+
+  /**
+   * Get statistics about the index
+   * @returns {Object} { entities, values }
+   */
+  getStats() {
+    return {
+      entities: this.valueByEntity.size,
+      values: this.entitiesByValue.size
+    };
+  }
+}
+
+export default ComponentIndex;
@@ -0,0 +1,175 @@
+/**
+ * ComponentRegistry
+ * Registry of known component types with optional field schemas and default values.
+ * ECSManager uses it to merge defaults into component data on add and to validate
+ * field types and required fields, so typos and incomplete components are caught early.
+ */
+
+import { deepClone, deepMerge, isPlainObject } from './utilities.js';
+
+/**
+ * Field type checks by schema type name
+ */
+const TYPE_CHECKS = {
+  any: () => true,
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  function: value => typeof value === 'function',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Component type registry
+ */
+class ComponentRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  /**
+   * Register (or replace) a component type definition
+   * Schema fields are either a type name ('number', 'string', 'boolean', 'object', 'array',
+   * 'function', 'any') or a descriptor `{ type, required, schema }` where `type` may be an
+   * array of type names and `schema` validates nested object fields.
+   * @param {string} name - The component type
+   * @param {Object} definition - { schema, defaults }
+   * @returns {Object} The normalized definition
+   */
+  register(name, definition = {}) {
+    const { schema = null, defaults = {}, ...rest } = definition;
+    const normalized = {
+      ...rest,
+      name,
+      schema: schema ? this.normalizeSchema(schema, name) : null,
+      defaults: deepClone(defaults)
+    };
+
+    this.definitions.set(name, normalized);
+    return normalized;
+  }
+
+  /**
+   * Remove a component type definition
+   * @param {string} name - The component type
+   * @returns {boolean} True if the type was registered
+   */
+  unregister(name) {
+    return this.definitions.delete(name);
+  }
+
+  /**
+   * Check whether a component type is registered
+   * @param {string} name - The component type
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get a component type definition
+   * @param {string} name - The component type
+   * @returns {Object|null} The definition or null if not registered
+   */
+  get(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered component types
+   * @returns {Array<string>}
+   */
+  getTypes() {
+    return Array.from(this.definitions.keys());
+  }
+
+  /**
+   * Convert shorthand schema fields into descriptors
+   * @param {Object} schema - Raw schema
+   * @param {string} path - Path used in error messages
+   * @returns {Object} Normalized schema
+   */
+  normalizeSchema(schema, path) {
+    const normalized = {};
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const descriptor = typeof spec === 'string' || Array.isArray(spec) ? { type: spec } : { ...spec };
+      const types = [].concat(descriptor.type || 'any');
+
+      for (const type of types) {
+        if (!TYPE_CHECKS[type]) {
+          throw new Error(`Unknown schema type '${type}' for ${path}.${field}`);
+        }
+      }
+
+      descriptor.type = types;
+      descriptor.required = descriptor.required === true;
+      if (descriptor.schema) {
+        descriptor.schema = this.normalizeSchema(descriptor.schema, `${path}.${field}`);
+      }
+      normalized[field] = descriptor;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Merge defaults into component data and validate it against the schema
+   * Unregistered types pass through unchanged.
+   * @param {string} name - The component type
+   * @param {Object} data - Component data supplied by the caller
+   * @returns {{data: Object, errors: Array<string>}} Prepared data and validation errors
+   */
+  prepare(name, data = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      return { data, errors: [] };
+    }
+
+    const merged = isPlainObject(data) ? deepMerge(definition.defaults, data) : data;
+    const errors = definition.schema ? this.validate(definition.schema, merged, name) : [];
+
+    return { data: merged, errors };
+  }
+
+  /**
+   * Validate data against a normalized schema
+   * @param {Object} schema - Normalized schema
+   * @param {Object} data - Data to validate
+   * @param {string} path - Path prefix used in error messages
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(schema, data, path) {
+    if (!TYPE_CHECKS.object(data)) {
+      return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    for (const [field, descriptor] of Object.entries(schema)) {
+      const value = data[field];
+      const fieldPath = `${path}.${field}`;
+
+      if (value === undefined) {
+        if (descriptor.required) {
+          errors.push(`${fieldPath} is required`);
+        }
+        continue;
+      }
+
+      if (!descriptor.type.some(type => TYPE_CHECKS[type](value))) {
+        errors.push(`${fieldPath} must be of type ${descriptor.type.join(' | ')}`);
+        continue;
+      }
+
+      if (descriptor.schema) {
+        errors.push(...this.validate(descriptor.schema, value, fieldPath));
+      }
+    }
+
+    return errors;
+  }
+}
+
+export default ComponentRegistry;
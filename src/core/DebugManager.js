@@ -115,6 +115,8 @@ class DebugManager {
    * Start performance monitoring
    */
   startPerformanceMonitoring() {
+    if (typeof requestAnimationFrame !== 'function') return;
+
     this.stats.lastFrameTime = performance.now();
     
     const updateStats = () => {
@@ -254,6 +256,14 @@ class DebugManager {
     this.log('debug', `Registered entity: ${id}`);
   }
 
+  /**
+   * Forget a destroyed entity
+   * @param {string} id - Entity ID
+   */
+  unregisterEntity(id) {
+    this.entities.delete(id);
+  }
+
   /**
    * Register a component for debugging
    * @param {string} type - Component type
@@ -278,6 +288,29 @@ class DebugManager {
     this.log('debug', `Registered component: ${type} for entity: ${entityId}`);
   }
 
+  /**
+   * Forget a component removed from an entity
+   * @param {string} type - Component type
+   * @param {string} entityId - Entity ID that owned the component
+   */
+  unregisterComponent(type, entityId) {
+    const components = this.components.get(type);
+    if (components) {
+      for (const record of components) {
+        if (record.entityId === entityId) {
+          components.delete(record);
+        }
+      }
+      if (components.size === 0) {
+        this.components.delete(type);
+      }
+    }
+
+    if (this.entities.has(entityId)) {
+      this.entities.get(entityId).components.delete(type);
+    }
+  }
+
   /**
    * Export debug information as a JSON string
    * @returns {string} JSON string of debug info
@@ -361,7 +394,8 @@ class DebugManager {
    * Create the debug panel UI
    */
   createDebugPanel() {
-    if (this.debugPanel || !this.enabled) return;
+    // Headless environments (Node servers) have no DOM to attach the panel to
+    if (this.debugPanel || !this.enabled || typeof document === 'undefined') return;
 
     this.debugPanel = document.createElement('div');
     this.debugPanel.id = 'debug-panel';
@@ -404,36 +438,36 @@ class DebugManager {
     document.body.appendChild(this.debugPanel);
 
     // Add toggle functionality
-    const toggleBtn = document.getElementById('debug-toggle');
+    const toggleBtn = this.getPanelElement('debug-toggle');
     toggleBtn.addEventListener('click', () => {
-      const content = document.getElementById('debug-content');
+      const content = this.getPanelElement('debug-content');
       const isHidden = content.style.display === 'none';
       content.style.display = isHidden ? 'block' : 'none';
       toggleBtn.textContent = isHidden ? 'Hide' : 'Show';
     });
 
     // Add export/download/send/ws button functionality
-    const exportBtn = document.getElementById('debug-export');
+    const exportBtn = this.getPanelElement('debug-export');
     if (exportBtn) {
       exportBtn.addEventListener('click', () => {
         const json = this.exportDebugInfo();
         window.prompt('Copy debug info JSON:', json);
       });
     }
-    const downloadBtn = document.getElementById('debug-download');
+    const downloadBtn = this.getPanelElement('debug-download');
     if (downloadBtn) {
       downloadBtn.addEventListener('click', () => {
         this.downloadDebugInfo();
       });
     }
-    const sendBtn = document.getElementById('debug-send');
+    const sendBtn = this.getPanelElement('debug-send');
     if (sendBtn) {
       sendBtn.addEventListener('click', () => {
         const url = window.prompt('Enter endpoint URL to send debug info:');
         if (url) this.sendDebugInfo(url);
       });
     }
-    const wsBtn = document.getElementById('debug-ws');
+    const wsBtn = this.getPanelElement('debug-ws');
     if (wsBtn) {
       wsBtn.addEventListener('click', () => {
         const wsUrl = window.prompt('Enter WebSocket URL to send debug info:');
@@ -444,6 +478,16 @@ class DebugManager {
     this.log('info', 'Debug panel created');
   }
 
+  /**
+   * Find an element inside this manager's debug panel
+   * Lookups are scoped to the panel so several ECS worlds can each show their own.
+   * @param {string} id - Element ID within the panel
+   * @returns {HTMLElement|null} The element, or null without a panel
+   */
+  getPanelElement(id) {
+    return this.debugPanel ? this.debugPanel.querySelector(`#${id}`) : null;
+  }
+
   /**
    * Remove the debug panel
    */
@@ -460,10 +504,10 @@ class DebugManager {
   updateDebugPanel() {
     if (!this.debugPanel || !this.enabled) return;
 
-    const statsDiv = document.getElementById('debug-stats');
-    const systemsDiv = document.getElementById('debug-systems');
-    const entitiesDiv = document.getElementById('debug-entities');
-    const performanceDiv = document.getElementById('debug-performance');
+    const statsDiv = this.getPanelElement('debug-stats');
+    const systemsDiv = this.getPanelElement('debug-systems');
+    const entitiesDiv = this.getPanelElement('debug-entities');
+    const performanceDiv = this.getPanelElement('debug-performance');
 
     // Update stats
     if (statsDiv) {
@@ -518,7 +562,7 @@ class DebugManager {
    * @param {*} data - Additional data
    */
   addLogToPanel(level, timestamp, message, data) {
-    const logsDiv = document.getElementById('debug-logs');
+    const logsDiv = this.getPanelElement('debug-logs');
     if (!logsDiv) return;
 
     const logEntry = document.createElement('div');
@@ -569,7 +613,7 @@ class DebugManager {
     this.components.clear();
     
     if (this.debugPanel) {
-      const logsDiv = document.getElementById('debug-logs');
+      const logsDiv = this.getPanelElement('debug-logs');
       if (logsDiv) {
         logsDiv.innerHTML = '';
       }
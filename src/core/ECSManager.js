@@ -7,12 +7,83 @@
 
 import EventManager from './EventManager.js';
 import DebugManager from './DebugManager.js';
+import Query from './Query.js';
+import MapStorage from './MapStorage.js';
+import ArchetypeStorage from './ArchetypeStorage.js';
+import TypedComponentStore from './TypedComponentStore.js';
+import ComponentRegistry from './ComponentRegistry.js';
+import ComponentHooks from './ComponentHooks.js';
+import EntityIdAllocator from './EntityIdAllocator.js';
+import CommandBuffer from './CommandBuffer.js';
+import WorldSerializer from './WorldSerializer.js';
+import BinaryWorldSerializer from './BinaryWorldSerializer.js';
+import PrefabRegistry from './PrefabRegistry.js';
+import ComponentIndex from './ComponentIndex.js';
+import WorldHistory from './WorldHistory.js';
+import LoopDriver from './LoopDriver.js';
+import { deepMerge, readPath } from './utilities.js';
+
+// Stages every frame runs through, in order; systems register into one of them
+const DEFAULT_STAGES = ['input', 'preUpdate', 'fixedUpdate', 'update', 'postUpdate', 'render'];
+
+// Stage driven by the fixed-timestep accumulator in the fixed loop mode
+const FIXED_STAGE = 'fixedUpdate';
+
+/**
+ * Create the record of a system stage
+ * @param {string} name - Stage name
+ * @returns {Object} { name, time: ms spent in the last frame, totalTime: ms since creation }
+ */
+function createStage(name) {
+  return { name, time: 0, totalTime: 0 };
+}
+
+/**
+ * Normalize a system ordering constraint to a list of system names
+ * @param {string|Array<string>|undefined} names - One name, several, or none
+ * @returns {Array<string>} System names
+ */
+function toNameList(names) {
+  return names === undefined || names === null ? [] : [].concat(names);
+}
+
+// Shape of the keys built by ECSManager.pair(), which are reserved for relation pairs
+const PAIR_KEY = /^.+\(.+\)$/;
+
+/**
+ * Check whether a query key names a relation pair with a specific target
+ * @param {string} key - Component type, tag or pair key
+ * @returns {boolean} True for `Rel(target)`, false for wildcard pairs and other keys
+ */
+function isTargetPair(key) {
+  return PAIR_KEY.test(key) && !key.endsWith('(*)');
+}
+
+/**
+ * Default frame clock: the high-resolution timer where available (browsers, Node), else Date
+ * @returns {number} Current time in milliseconds
+ */
+function defaultClock() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
 
 /**
  * Main ECS Manager that coordinates all systems
  * Integrates Event Management and Debug Management
  */
 class ECSManager {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.debug - Enable debug management (default: true)
+   * @param {string} options.debugLevel - Debug log level (default: 'info')
+   * @param {string} options.storage - Component storage mode: 'map' (default) or 'archetype'
+   * @param {boolean} options.strictComponents - Reject component types that were not registered
+   * @param {string} options.entityIds - Entity ID mode: 'string' (default, 'entity_N') or
+   *   'numeric' (recycled generational handles)
+   * @param {string} options.commandFlush - When deferred commands are applied during updates:
+   *   'system' (default, after every system), 'stage' (after every stage) or 'frame' (once
+   *   after all stages)
+   */
   constructor(options = {}) {
     // Initialize core managers
     this.eventManager = new EventManager();
@@ -20,13 +91,66 @@ class ECSManager {
     
     // ECS core data structures
     this.entities = new Map();
+    this.entitiesByName = new Map(); // name -> Set<entityId>, in creation/rename order
     this.components = new Map();
-    this.systems = [];
+    this.tags = new Map(); // tag -> Set<entityId>
+    this.relationDefinitions = new Map(); // relation -> { onTargetDestroyed, exclusive }
+    this.relationIndex = new Map(); // target entityId -> Map<relation, Set<source entityId>>
+    this.systems = []; // wrappers in execution order (stage, then constraints and priority)
+    this.systemSequence = 0; // registration counter, the final ordering tie-breaker
+    this.stages = DEFAULT_STAGES.map(createStage); // ordered stage records with timings
+    this.queries = new Map(); // query key -> Query
+    this.queriesByType = new Map(); // component type -> Set<Query>
+    this.typedStores = new Map(); // component type -> TypedComponentStore
+    this.indexes = new Map(); // component type -> Map<field path, ComponentIndex>
+    this.componentRegistry = new ComponentRegistry();
+    this.componentHooks = new ComponentHooks();
+    this.strictComponents = options.strictComponents === true;
+    this.prefabs = new PrefabRegistry();
+    this.resources = new Map(); // key -> world-wide singleton value
+
+    // Component storage ('map' keeps a Map per entity, 'archetype' groups entities into tables)
+    this.storage = options.storage === 'archetype' ? new ArchetypeStorage() : new MapStorage();
+    if (this.storage.mode === 'archetype') {
+      this.storage.onArchetypeCreated((archetype) => {
+        for (const query of this.queries.values()) {
+          query.addArchetype(archetype);
+        }
+      });
+    }
     
     // Configuration
     this.running = false;
     this.lastUpdateTime = 0;
+    this.loopHandle = null; // pending frame scheduled by the loop driver
+    this.frameCount = 0;
     this.entityIdCounter = 0;
+    this.changeTick = 1; // advanced after every system run
+
+    // Loop timing: 'variable' passes the frame delta to every system, 'fixed' runs fixed
+    // systems in constant steps from an accumulator and the rest once per frame
+    this.loopMode = 'variable';
+    this.fixedStep = 1000 / 60;
+    this.maxSubSteps = 5;
+    this.accumulator = 0;
+    this.interpolationAlpha = 1;
+    this.configureLoop({ mode: options.loop, fixedStep: options.fixedStep, maxSubSteps: options.maxSubSteps });
+
+    // Time source (milliseconds) and frame scheduler, injectable for Node and deterministic tests
+    this.clock = typeof options.clock === 'function' ? options.clock : defaultClock;
+    this.loopDriver = LoopDriver.resolve(options.driver) || LoopDriver.resolve('auto');
+    this.currentSystem = null; // system wrapper being updated
+    this.idAllocator = options.entityIds === 'numeric' ? new EntityIdAllocator() : null;
+
+    // Deferred structural changes recorded during system updates
+    this.commands = new CommandBuffer(this);
+    this.commandFlush = ['stage', 'frame'].includes(options.commandFlush) ? options.commandFlush : 'system';
+
+    // Undo/redo log, recorded while a transaction is open
+    this.history = new WorldHistory(this, { limit: options.historyLimit });
+
+    this.serializer = new WorldSerializer(this);
+    this.binarySerializer = new BinaryWorldSerializer();
     
     // Initialize with options
     this.init(options);
@@ -51,7 +175,8 @@ class ECSManager {
 
     this.debugManager.log('info', 'ECS Manager initialized', {
       debug: options.debug,
-      debugLevel: options.debugLevel
+      debugLevel: options.debugLevel,
+      storage: this.storage.mode
     });
 
     // Emit initialization event
@@ -77,6 +202,7 @@ class ECSManager {
     });
 
     this.eventManager.on('entity:destroyed', (event) => {
+      this.debugManager.unregisterEntity(event.data.id);
       this.debugManager.log('debug', `Entity destroyed: ${event.data.id}`);
     });
 
@@ -90,6 +216,7 @@ class ECSManager {
     });
 
     this.eventManager.on('component:removed', (event) => {
+      this.debugManager.unregisterComponent(event.data.type, event.data.entityId);
       this.debugManager.log('debug', `Component removed: ${event.data.type} from ${event.data.entityId}`);
     });
   }
@@ -97,19 +224,74 @@ class ECSManager {
   /**
    * Create a new entity
    * @param {string} name - Optional name for the entity
-   * @returns {string} Entity ID
+   * @returns {string|number} Entity ID (a generational handle in numeric ID mode)
    */
   createEntity(name = null) {
-    const id = `entity_${++this.entityIdCounter}`;
+    return this.createEntityWithId(this.reserveEntityId(), name);
+  }
+
+  /**
+   * Reserve a new entity ID without creating the entity yet
+   * Used by deferred creation (see CommandBuffer); pass the ID to createEntityWithId later,
+   * or give it back with releaseEntityId if the entity is never created.
+   * @returns {string|number} The reserved entity ID
+   */
+  reserveEntityId() {
+    return this.idAllocator ? this.idAllocator.allocate() : `entity_${++this.entityIdCounter}`;
+  }
+
+  /**
+   * Give back a reserved ID that was never used to create an entity
+   * @param {string|number} entityId - The reserved entity ID
+   */
+  releaseEntityId(entityId) {
+    if (this.idAllocator && !this.entities.has(entityId)) {
+      this.idAllocator.release(entityId);
+    }
+  }
+
+  /**
+   * Create an entity with a previously reserved (or restored) ID
+   * @param {string|number} id - The entity ID
+   * @param {string} name - Optional name for the entity
+   * @returns {string|number|null} Entity ID, or null if the ID is already in use
+   */
+  createEntityWithId(id, name = null) {
+    if (this.entities.has(id)) {
+      this.debugManager.log('error', `Cannot create entity: ID already in use: ${id}`);
+      return null;
+    }
+
+    // Make sure IDs restored from snapshots are never handed out again
+    if (this.idAllocator) {
+      if (!this.idAllocator.isAlive(id) && !this.idAllocator.claim(id)) {
+        this.debugManager.log('error', `Cannot create entity: invalid or occupied handle: ${id}`);
+        return null;
+      }
+    } else {
+      const match = /^entity_(\d+)$/.exec(id);
+      if (match) {
+        this.entityIdCounter = Math.max(this.entityIdCounter, Number(match[1]));
+      }
+    }
+
     const entity = {
       id,
       name: name || id,
-      components: new Map(),
-      active: true,
+      active: true, // effective state: own flag and every ancestor active
+      activeSelf: true,
+      parent: null,
+      children: [],
+      relations: new Map(), // relation -> Set<target entityId>
+      pairs: new Set(), // pair keys for specific targets, kept outside storage
       created: Date.now()
     };
 
+    this.history.record({ op: 'create', entityId: id, name });
+    this.storage.attach(entity);
     this.entities.set(id, entity);
+    this.indexName(entity);
+    this.updateQueries(entity);
     this.eventManager.emit('entity:created', { id, entity });
 
     this.debugManager.log('debug', `Created entity: ${id} (${entity.name})`);
@@ -118,28 +300,349 @@ class ECSManager {
 
   /**
    * Destroy an entity and all its components
+   * Children are destroyed with it (deepest first) unless `cascade` is false, in which case
+   * they are detached and become root entities.
+   * Relations targeting the entity are cleaned up according to their `onTargetDestroyed` policy.
    * @param {string} entityId - The entity ID to destroy
+   * @param {Object} options - { cascade: true }
    */
-  destroyEntity(entityId) {
-    const entity = this.entities.get(entityId);
+  destroyEntity(entityId, options = {}) {
+    const entity = this.getEntity(entityId);
     if (!entity) {
       this.debugManager.log('warn', `Attempted to destroy non-existent entity: ${entityId}`);
       return false;
     }
+    if (entity.destroying) {
+      // Already being destroyed further up the stack (e.g. a cycle of 'destroy' relations)
+      return false;
+    }
+    entity.destroying = true;
+    entityId = entity.id;
+
+    for (const childId of entity.children.slice()) {
+      if (options.cascade === false) {
+        this.setParent(childId, null);
+      } else {
+        this.destroyEntity(childId, options);
+      }
+    }
+    if (entity.parent !== null) {
+      this.history.record({
+        op: 'parent',
+        entityId,
+        parent: null,
+        index: null,
+        previousParent: entity.parent,
+        previousIndex: this.entities.get(entity.parent).children.indexOf(entityId)
+      });
+    }
+    this.unlinkFromParent(entity);
+
+    // Clean up relations pointing at this entity, then its own relations
+    const incoming = this.relationIndex.get(entityId);
+    if (incoming) {
+      for (const [relation, sources] of Array.from(incoming)) {
+        const policy = this.getRelationDefinition(relation).onTargetDestroyed;
+        for (const sourceId of Array.from(sources)) {
+          if (policy === 'destroy') {
+            this.destroyEntity(sourceId, options);
+          }
+          this.removeRelation(sourceId, relation, entityId);
+        }
+      }
+    }
+    for (const [relation, targets] of Array.from(entity.relations)) {
+      for (const targetId of Array.from(targets)) {
+        this.removeRelation(entityId, relation, targetId);
+      }
+    }
 
-    // Remove all components
-    for (const [componentType] of entity.components) {
+    // Remove all components and tags
+    for (const componentType of this.storage.types(entity)) {
       this.removeComponent(entityId, componentType);
     }
+    for (const tag of this.storage.tags(entity)) {
+      this.removeTag(entityId, tag);
+    }
 
     // Remove entity
+    this.history.record({
+      op: 'destroy',
+      entityId,
+      name: entity.name === entityId ? null : entity.name,
+      prefab: entity.prefab,
+      activeSelf: entity.activeSelf
+    });
+    this.storage.detach(entity);
     this.entities.delete(entityId);
+    this.unindexName(entity);
+    for (const query of this.queries.values()) {
+      query.remove(entityId);
+    }
+    if (this.idAllocator) {
+      this.idAllocator.release(entityId);
+    }
     this.eventManager.emit('entity:destroyed', { id: entityId, entity });
 
     this.debugManager.log('debug', `Destroyed entity: ${entityId}`);
     return true;
   }
 
+  /**
+   * Move an entity, its descendants and their components into another world
+   * The entities are destroyed here (firing the usual destroyed events and relation cleanup)
+   * and recreated in the other world with IDs allocated there. Component data is moved by
+   * reference, except typed components, which are copied out of their columns. Relations
+   * survive only between transferred entities.
+   * @param {string|number} entityId - The entity ID in this world
+   * @param {ECSManager} world - The destination world
+   * @returns {string|number|null} The entity's ID in the destination world, or null on failure
+   */
+  transferEntity(entityId, world) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot transfer non-existent entity: ${entityId}`);
+      return null;
+    }
+    if (!(world instanceof ECSManager) || world === this) {
+      this.debugManager.log('error', `Cannot transfer entity ${entityId}: invalid destination world`);
+      return null;
+    }
+    entityId = entity.id;
+
+    // Capture the subtree before anything is destroyed (typed views are invalid afterwards)
+    const records = [entityId, ...this.getDescendants(entityId)].map((id) => {
+      const source = this.entities.get(id);
+      const components = [];
+      for (const type of this.storage.types(source)) {
+        const data = this.storage.get(source, type).data;
+        components.push([type, this.typedStores.has(type) ? JSON.parse(JSON.stringify(data)) : data]);
+      }
+      return {
+        id,
+        name: source.name === id ? null : source.name,
+        prefab: source.prefab,
+        activeSelf: source.activeSelf,
+        parent: id === entityId ? null : source.parent,
+        tags: this.getTags(id),
+        relations: Array.from(source.relations, ([relation, targets]) => [relation, Array.from(targets)]),
+        components
+      };
+    });
+
+    this.destroyEntity(entityId);
+
+    const idMap = new Map();
+    for (const record of records) {
+      const newId = world.createEntity(record.name);
+      idMap.set(record.id, newId);
+      if (record.prefab) {
+        world.getEntity(newId).prefab = record.prefab;
+      }
+      if (record.parent !== null) {
+        world.setParent(newId, idMap.get(record.parent));
+      }
+      world.setEntityActive(newId, record.activeSelf);
+    }
+    for (const record of records) {
+      const newId = idMap.get(record.id);
+      for (const tag of record.tags) {
+        world.addTag(newId, tag);
+      }
+      for (const [relation, targets] of record.relations) {
+        for (const targetId of targets) {
+          if (idMap.has(targetId)) {
+            world.addRelation(newId, relation, idMap.get(targetId));
+          }
+        }
+      }
+      for (const [type, data] of record.components) {
+        world.addComponent(newId, type, data);
+      }
+    }
+
+    this.eventManager.emit('entity:transferred', { entityId, newId: idMap.get(entityId), world, idMap });
+    this.debugManager.log('debug', `Transferred entity ${entityId} (${records.length} entities) to another world`);
+    return idMap.get(entityId);
+  }
+
+  /**
+   * Enable or disable an entity
+   * An entity is only active while it and all of its ancestors are enabled, so disabling
+   * an entity also deactivates its descendants (their own flags are kept). Emits
+   * `entity:activated` / `entity:deactivated` for every entity whose state changes.
+   * @param {string|number} entityId - The entity ID
+   * @param {boolean} active - Whether the entity itself is enabled
+   * @returns {boolean} True if the entity exists
+   */
+  setEntityActive(entityId, active) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot set active state of non-existent entity: ${entityId}`);
+      return false;
+    }
+
+    if (entity.activeSelf !== Boolean(active)) {
+      this.history.record({ op: 'active', entityId: entity.id, active: Boolean(active), previous: entity.activeSelf });
+    }
+    entity.activeSelf = Boolean(active);
+    this.refreshActive(entity);
+    return true;
+  }
+
+  /**
+   * Check whether an entity is active (enabled, with every ancestor enabled)
+   * @param {string|number} entityId - The entity ID
+   * @returns {boolean}
+   */
+  isEntityActive(entityId) {
+    const entity = this.getEntity(entityId);
+    return entity ? entity.active : false;
+  }
+
+  /**
+   * Recompute an entity's effective active state and propagate changes to its subtree
+   * @param {Object} entity - The entity record
+   */
+  refreshActive(entity) {
+    const parent = entity.parent === null ? null : this.entities.get(entity.parent);
+    const active = entity.activeSelf && (!parent || parent.active);
+    if (active === entity.active) return;
+
+    entity.active = active;
+    this.eventManager.emit(active ? 'entity:activated' : 'entity:deactivated', { id: entity.id, entity });
+    this.debugManager.log('debug', `${active ? 'Activated' : 'Deactivated'} entity: ${entity.id}`);
+
+    for (const childId of entity.children) {
+      this.refreshActive(this.entities.get(childId));
+    }
+  }
+
+  /**
+   * Attach an entity to a parent, or detach it when `parentId` is null
+   * Also reorders an entity within its current parent when `options.index` is given.
+   * @param {string|number} entityId - The child entity ID
+   * @param {string|number|null} parentId - The new parent ID, or null for a root entity
+   * @param {Object} options - { index } position among the parent's children (default: last)
+   * @returns {boolean} True if the hierarchy was updated
+   */
+  setParent(entityId, parentId = null, options = {}) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot set parent of non-existent entity: ${entityId}`);
+      return false;
+    }
+
+    const parent = parentId === null ? null : this.getEntity(parentId);
+    if (parentId !== null && !parent) {
+      this.debugManager.log('error', `Cannot set parent of ${entity.id}: parent does not exist: ${parentId}`);
+      return false;
+    }
+    if (parent && (parent === entity || this.isAncestorOf(entity.id, parent.id))) {
+      this.debugManager.log('error', `Cannot set parent of ${entity.id} to ${parent.id}: would create a cycle`);
+      return false;
+    }
+
+    const previousParent = entity.parent;
+    const previousIndex = previousParent === null ? null : this.entities.get(previousParent).children.indexOf(entity.id);
+    this.unlinkFromParent(entity);
+
+    let index = null;
+    if (parent) {
+      index = Number.isInteger(options.index)
+        ? Math.max(0, Math.min(options.index, parent.children.length))
+        : parent.children.length;
+      parent.children.splice(index, 0, entity.id);
+      entity.parent = parent.id;
+    }
+    this.history.record({ op: 'parent', entityId: entity.id, parent: entity.parent, index, previousParent, previousIndex });
+    this.refreshActive(entity);
+
+    this.eventManager.emit('hierarchy:changed', {
+      entityId: entity.id,
+      parent: entity.parent,
+      previousParent,
+      index
+    });
+    this.debugManager.log('debug', `Set parent of ${entity.id} to ${entity.parent}`);
+    return true;
+  }
+
+  /**
+   * Remove an entity from its parent's children without emitting events
+   * @param {Object} entity - The entity record
+   */
+  unlinkFromParent(entity) {
+    const parent = entity.parent === null ? null : this.entities.get(entity.parent);
+    if (parent) {
+      const index = parent.children.indexOf(entity.id);
+      if (index !== -1) {
+        parent.children.splice(index, 1);
+      }
+    }
+    entity.parent = null;
+  }
+
+  /**
+   * Get an entity's parent
+   * @param {string|number} entityId - The entity ID
+   * @returns {string|number|null} The parent ID, or null for root (or unknown) entities
+   */
+  getParent(entityId) {
+    const entity = this.getEntity(entityId);
+    return entity ? entity.parent : null;
+  }
+
+  /**
+   * Get an entity's children in order
+   * @param {string|number} entityId - The entity ID
+   * @returns {Array} Child entity IDs (a copy)
+   */
+  getChildren(entityId) {
+    const entity = this.getEntity(entityId);
+    return entity ? entity.children.slice() : [];
+  }
+
+  /**
+   * Get an entity's ancestors, nearest first
+   * @param {string|number} entityId - The entity ID
+   * @returns {Array} Ancestor entity IDs from the parent up to the root
+   */
+  getAncestors(entityId) {
+    const ancestors = [];
+    for (let id = this.getParent(entityId); id !== null; id = this.getParent(id)) {
+      ancestors.push(id);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Get an entity's descendants in depth-first order (each entity before its children)
+   * @param {string|number} entityId - The entity ID
+   * @returns {Array} Descendant entity IDs
+   */
+  getDescendants(entityId) {
+    const descendants = [];
+    const stack = this.getChildren(entityId).reverse();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      descendants.push(id);
+      stack.push(...this.getChildren(id).reverse());
+    }
+    return descendants;
+  }
+
+  /**
+   * Check whether one entity is an ancestor of another
+   * @param {string|number} ancestorId - The possible ancestor
+   * @param {string|number} entityId - The possible descendant
+   * @returns {boolean}
+   */
+  isAncestorOf(ancestorId, entityId) {
+    ancestorId = this.resolveEntityId(ancestorId);
+    return this.getAncestors(entityId).includes(ancestorId);
+  }
+
   /**
    * Add a component to an entity
    * @param {string} entityId - The entity ID
@@ -147,20 +650,49 @@ class ECSManager {
    * @param {Object} componentData - The component data
    */
   addComponent(entityId, componentType, componentData = {}) {
-    const entity = this.entities.get(entityId);
+    const entity = this.getEntity(entityId);
     if (!entity) {
       this.debugManager.log('error', `Cannot add component to non-existent entity: ${entityId}`);
       return false;
     }
+    entityId = entity.id;
+
+    if (this.storage.hasTag(entity, componentType)) {
+      this.debugManager.log('error', `Cannot add component ${componentType} to entity ${entityId}: it has a tag with that name`);
+      return false;
+    }
+
+    // Undo/redo restores recorded data exactly: defaults and add hooks already shaped it
+    const prepared = this.history.isRestoring()
+      ? componentData
+      : this.runAddHooks(entityId, componentType, this.prepareComponentData(entityId, componentType, componentData));
+    if (!prepared) {
+      return false;
+    }
+
+    const existing = this.storage.get(entity, componentType);
+    this.history.record({
+      op: 'add',
+      entityId,
+      type: componentType,
+      data: this.history.captureData(componentType, prepared),
+      previous: existing ? this.history.captureData(componentType, existing.data) : undefined
+    });
+
+    // Numeric components keep their data in typed-array columns behind an accessor view
+    const typedStore = this.typedStores.get(componentType);
+    const data = typedStore ? typedStore.add(entityId, prepared) : prepared;
 
     const component = {
       type: componentType,
-      data: componentData,
+      data,
       entityId,
-      created: Date.now()
+      created: Date.now(),
+      addedTick: this.changeTick,
+      changedTick: this.changeTick
     };
 
-    entity.components.set(componentType, component);
+    this.storage.set(entity, componentType, component);
 
     // Add to global component index
     if (!this.components.has(componentType)) {
@@ -168,6 +700,10 @@ class ECSManager {
     }
     this.components.get(componentType).set(entityId, component);
 
+    this.updateQueries(entity, componentType);
+    this.updateIndexes(entityId, componentType, data);
+
+    this.runComponentHooks('set', entityId, componentType, data, { component });
     this.eventManager.emit('component:added', {
       entityId,
       type: componentType,
@@ -178,26 +714,162 @@ class ECSManager {
     return true;
   }
 
+  /**
+   * Register a component type with an optional schema and default values
+   * Defaults are deep-merged into component data on add, and the result is validated
+   * against the schema; invalid data is rejected and reported via `component:invalid`.
+   * @param {string} componentType - The component type
+   * @param {Object} definition - { schema, defaults }
+   * @returns {boolean} True if registered
+   */
+  registerComponent(componentType, definition = {}) {
+    if (this.componentRegistry.has(componentType)) {
+      this.debugManager.log('warn', `Replacing component definition: ${componentType}`);
+    }
+
+    try {
+      this.componentRegistry.register(componentType, definition);
+    } catch (error) {
+      this.debugManager.log('error', `Invalid component definition: ${componentType}`, error);
+      return false;
+    }
+
+    this.eventManager.emit('component:registered', { type: componentType });
+    this.debugManager.log('debug', `Registered component type: ${componentType}`);
+    return true;
+  }
+
+  /**
+   * Check whether a component type has been registered
+   * @param {string} componentType - The component type
+   * @returns {boolean}
+   */
+  isComponentRegistered(componentType) {
+    return this.componentRegistry.has(componentType);
+  }
+
+  /**
+   * Apply registered defaults and validate component data before it is stored
+   * @param {string} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} componentData - The component data
+   * @returns {Object|null} Prepared data, or null if the component was rejected
+   */
+  prepareComponentData(entityId, componentType, componentData) {
+    let errors;
+    let data = componentData;
+
+    if (this.componentRegistry.has(componentType)) {
+      ({ data, errors } = this.componentRegistry.prepare(componentType, componentData));
+    } else {
+      errors = this.strictComponents ? [`Unregistered component type: ${componentType}`] : [];
+    }
+
+    if (errors.length === 0) {
+      return data;
+    }
+
+    this.debugManager.log('error', `Invalid component ${componentType} for entity ${entityId}`, errors);
+    this.eventManager.emit('component:invalid', {
+      entityId,
+      type: componentType,
+      data: componentData,
+      errors
+    });
+    return null;
+  }
+
+  /**
+   * Replace the data of a component, adding the component if the entity lacks it
+   * Unlike addComponent on an existing type, the component record is kept and
+   * `component:set` is emitted instead of `component:added`.
+   * @param {string} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} componentData - The new component data
+   * @returns {boolean} True if the data was set
+   */
+  setComponent(entityId, componentType, componentData = {}) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot set component on non-existent entity: ${entityId}`);
+      return false;
+    }
+    entityId = entity.id;
+
+    const component = this.storage.get(entity, componentType);
+    if (!component) {
+      return this.addComponent(entityId, componentType, componentData);
+    }
+
+    const prepared = this.history.isRestoring()
+      ? componentData
+      : this.prepareComponentData(entityId, componentType, componentData);
+    if (!prepared) {
+      return false;
+    }
+
+    const previous = this.history.captureData(componentType, component.data);
+    this.history.record({
+      op: 'set',
+      entityId,
+      type: componentType,
+      data: this.history.captureData(componentType, prepared),
+      previous
+    });
+
+    const typedStore = this.typedStores.get(componentType);
+    if (typedStore) {
+      typedStore.set(entityId, prepared);
+    } else {
+      component.data = prepared;
+    }
+    component.changedTick = this.changeTick;
+    this.updateIndexes(entityId, componentType, component.data);
+
+    this.runComponentHooks('set', entityId, componentType, component.data, { component, previous });
+    this.eventManager.emit('component:set', {
+      entityId,
+      type: componentType,
+      component
+    });
+
+    this.debugManager.log('debug', `Set component ${componentType} on entity ${entityId}`);
+    return true;
+  }
+
   /**
    * Remove a component from an entity
    * @param {string} entityId - The entity ID
    * @param {string} componentType - The component type
    */
   removeComponent(entityId, componentType) {
-    const entity = this.entities.get(entityId);
+    const entity = this.getEntity(entityId);
     if (!entity) {
       this.debugManager.log('error', `Cannot remove component from non-existent entity: ${entityId}`);
       return false;
     }
+    entityId = entity.id;
 
-    const component = entity.components.get(componentType);
+    const component = this.storage.get(entity, componentType);
     if (!component) {
       this.debugManager.log('warn', `Component ${componentType} not found on entity ${entityId}`);
       return false;
     }
 
+    this.runComponentHooks('remove', entityId, componentType, component.data, { component });
+    this.history.record({
+      op: 'remove',
+      entityId,
+      type: componentType,
+      data: this.history.captureData(componentType, component.data)
+    });
+
     // Remove from entity
-    entity.components.delete(componentType);
+    this.removeFromIndexes(entityId, componentType);
+    this.storage.delete(entity, componentType);
+    if (this.typedStores.has(componentType)) {
+      this.typedStores.get(componentType).remove(entityId);
+    }
 
     // Remove from global component index
     if (this.components.has(componentType)) {
@@ -209,6 +881,8 @@ class ECSManager {
       }
     }
 
+    this.updateQueries(entity, componentType);
+
     this.eventManager.emit('component:removed', {
       entityId,
       type: componentType,
@@ -220,63 +894,1109 @@ class ECSManager {
   }
 
   /**
-   * Get a component from an entity
-   * @param {string} entityId - The entity ID
+   * Register a hook that runs before a component of a type is added
+   * The hook receives `(data, { entityId, type, ecs })` and may return false to veto the add,
+   * or new data to store instead. Hooks run by priority (higher first), then registration order.
    * @param {string} componentType - The component type
-   * @returns {Object|null} The component or null if not found
+   * @param {Function} hook - The hook
+   * @param {number} priority - Hook priority
+   * @returns {string|null} Hook ID for removeComponentHook, or null if rejected
    */
-  getComponent(entityId, componentType) {
-    const entity = this.entities.get(entityId);
-    if (!entity) return null;
+  onAdd(componentType, hook, priority = 0) {
+    return this.registerComponentHook('add', componentType, hook, priority);
+  }
 
-    return entity.components.get(componentType) || null;
+  /**
+   * Register a hook that runs after a component's data is stored by addComponent or setComponent
+   * The hook receives `(data, { entityId, type, ecs, component, previous })`; `previous` is only
+   * set when existing data was replaced by setComponent.
+   * @param {string} componentType - The component type
+   * @param {Function} hook - The hook
+   * @param {number} priority - Hook priority
+   * @returns {string|null} Hook ID for removeComponentHook, or null if rejected
+   */
+  onSet(componentType, hook, priority = 0) {
+    return this.registerComponentHook('set', componentType, hook, priority);
   }
 
   /**
-   * Get all entities that have specific components
-   * @param {...string} componentTypes - The component types to match
-   * @returns {Array} Array of entity IDs
+   * Register a hook that runs before a component is removed, including on entity destruction
+   * The hook receives `(data, { entityId, type, ecs, component })`.
+   * @param {string} componentType - The component type
+   * @param {Function} hook - The hook
+   * @param {number} priority - Hook priority
+   * @returns {string|null} Hook ID for removeComponentHook, or null if rejected
    */
-  getEntitiesWith(...componentTypes) {
-    const matchingEntities = [];
+  onRemove(componentType, hook, priority = 0) {
+    return this.registerComponentHook('remove', componentType, hook, priority);
+  }
 
-    for (const [entityId, entity] of this.entities) {
-      if (!entity.active) continue;
+  /**
+   * Remove a hook registered with onAdd, onSet or onRemove
+   * @param {string} hookId - The hook ID
+   * @returns {boolean} True if the hook was removed
+   */
+  removeComponentHook(hookId) {
+    return this.componentHooks.unregister(hookId);
+  }
 
-      const hasAllComponents = componentTypes.every(type => 
-        entity.components.has(type)
-      );
+  /**
+   * Register a component hook, logging invalid registrations
+   * @param {string} phase - 'add', 'set' or 'remove'
+   * @param {string} componentType - The component type
+   * @param {Function} hook - The hook
+   * @param {number} priority - Hook priority
+   * @returns {string|null} Hook ID, or null if rejected
+   */
+  registerComponentHook(phase, componentType, hook, priority) {
+    try {
+      return this.componentHooks.register(phase, componentType, hook, priority);
+    } catch (error) {
+      this.debugManager.log('error', `Cannot register ${phase} hook for ${componentType}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Run add hooks over component data before it is stored
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object|null} data - Prepared component data (null if preparation failed)
+   * @returns {Object|null} The data to store, or null if preparation failed or a hook vetoed
+   */
+  runAddHooks(entityId, componentType, data) {
+    if (!data) return null;
+
+    for (const hook of this.componentHooks.get('add', componentType)) {
+      let result;
+      try {
+        result = hook(data, { entityId, type: componentType, ecs: this });
+      } catch (error) {
+        this.debugManager.log('error', `Add hook for ${componentType} failed on entity ${entityId}`, error);
+        continue;
+      }
 
-      if (hasAllComponents) {
-        matchingEntities.push(entityId);
+      if (result === false) {
+        this.debugManager.log('debug', `Add hook vetoed component ${componentType} on entity ${entityId}`);
+        this.eventManager.emit('component:vetoed', { entityId, type: componentType });
+        return null;
+      }
+      if (result !== undefined) {
+        data = result;
       }
     }
-
-    return matchingEntities;
+    return data;
   }
 
   /**
-   * Register a system
-   * @param {Object} system - The system to register
-   * @param {number} priority - System priority (higher = runs first)
+   * Run set or remove hooks for a component
+   * @param {string} phase - 'set' or 'remove'
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} data - Component data
+   * @param {Object} context - Extra context passed to the hooks
    */
-  registerSystem(system, priority = 0) {
+  runComponentHooks(phase, entityId, componentType, data, context = {}) {
+    for (const hook of this.componentHooks.get(phase, componentType)) {
+      try {
+        hook(data, { entityId, type: componentType, ecs: this, ...context });
+      } catch (error) {
+        this.debugManager.log('error', `${phase} hook for ${componentType} failed on entity ${entityId}`, error);
+      }
+    }
+  }
+
+  /**
+   * Get a component from an entity
+   * @param {string} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @returns {Object|null} The component or null if not found
+   */
+  getComponent(entityId, componentType) {
+    const entity = this.getEntity(entityId);
+    if (!entity) return null;
+
+    return this.storage.get(entity, componentType);
+  }
+
+  /**
+   * Flag a component as changed after mutating its data in place
+   * Needed for `changed` query filters and component indexes to see in-place writes;
+   * setComponent does this itself.
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @returns {boolean} True if the component exists
+   */
+  markChanged(entityId, componentType) {
+    const component = this.getComponent(entityId, componentType);
+    if (!component) return false;
+
+    component.changedTick = this.changeTick;
+    this.updateIndexes(component.entityId, componentType, component.data);
+    return true;
+  }
+
+  /**
+   * Get the change tick that `added`/`changed` filters compare against
+   * Inside a system update this is the tick of that system's previous run; outside system
+   * updates it is 0, so every component counts as added and changed.
+   * @returns {number}
+   */
+  getChangeBaseline() {
+    return this.currentSystem ? this.currentSystem.lastRunTick : 0;
+  }
+
+  /**
+   * Check whether a component was added after a tick
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {number} since - Tick to compare against (default: getChangeBaseline())
+   * @returns {boolean}
+   */
+  isAdded(entityId, componentType, since = this.getChangeBaseline()) {
+    const component = this.getComponent(entityId, componentType);
+    return component !== null && component.addedTick > since;
+  }
+
+  /**
+   * Check whether a component was added or changed after a tick
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {number} since - Tick to compare against (default: getChangeBaseline())
+   * @returns {boolean}
+   */
+  isChanged(entityId, componentType, since = this.getChangeBaseline()) {
+    const component = this.getComponent(entityId, componentType);
+    return component !== null && component.changedTick > since;
+  }
+
+  /**
+   * Add a tag: a data-less marker that queries can match like a component type
+   * Tags share the component type namespace, so an entity cannot have a tag and a component
+   * with the same name. Names shaped like relation pair keys (`Rel(target)`) are reserved.
+   * @param {string|number} entityId - The entity ID
+   * @param {string} tag - The tag
+   * @returns {boolean} True if the tag was added, false if it was already present or rejected
+   */
+  addTag(entityId, tag) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot add tag to non-existent entity: ${entityId}`);
+      return false;
+    }
+    entityId = entity.id;
+
+    if (PAIR_KEY.test(tag)) {
+      this.debugManager.log('error', `Cannot add tag ${tag} to entity ${entityId}: the name is reserved for relation pairs`);
+      return false;
+    }
+    if (this.storage.hasTag(entity, tag)) {
+      return false;
+    }
+    if (this.storage.has(entity, tag)) {
+      this.debugManager.log('error', `Cannot add tag ${tag} to entity ${entityId}: it has a component with that name`);
+      return false;
+    }
+
+    this.history.record({ op: 'tag', entityId, tag, present: true });
+    this.storage.addTag(entity, tag);
+    if (!this.tags.has(tag)) {
+      this.tags.set(tag, new Set());
+    }
+    this.tags.get(tag).add(entityId);
+
+    this.updateQueries(entity, tag);
+    this.eventManager.emit('tag:added', { entityId, tag });
+    return true;
+  }
+
+  /**
+   * Remove a tag from an entity
+   * @param {string|number} entityId - The entity ID
+   * @param {string} tag - The tag
+   * @returns {boolean} True if the tag was removed
+   */
+  removeTag(entityId, tag) {
+    const entity = this.getEntity(entityId);
+    const tagged = this.tags.get(tag);
+    if (!entity || !tagged || !tagged.has(entity.id)) {
+      return false;
+    }
+    entityId = entity.id;
+
+    this.history.record({ op: 'tag', entityId, tag, present: false });
+    this.storage.removeTag(entity, tag);
+    tagged.delete(entityId);
+    if (tagged.size === 0) {
+      this.tags.delete(tag);
+    }
+
+    this.updateQueries(entity, tag);
+    this.eventManager.emit('tag:removed', { entityId, tag });
+    return true;
+  }
+
+  /**
+   * Check whether an entity has a tag
+   * @param {string|number} entityId - The entity ID
+   * @param {string} tag - The tag
+   * @returns {boolean}
+   */
+  hasTag(entityId, tag) {
+    const entity = this.getEntity(entityId);
+    const tagged = this.tags.get(tag);
+    // Storage also holds relation pair keys as tags; only plain tags are tracked here
+    return Boolean(entity && tagged && tagged.has(entity.id));
+  }
+
+  /**
+   * Get an entity's tags
+   * @param {string|number} entityId - The entity ID
+   * @returns {Array<string>} Tags
+   */
+  getTags(entityId) {
+    const entity = this.getEntity(entityId);
+    // Storage also holds relation pair keys as tags; only report plain tags
+    return entity ? this.storage.tags(entity).filter(tag => this.tags.has(tag)) : [];
+  }
+
+  /**
+   * Get all active entities with a tag
+   * @param {string} tag - The tag
+   * @returns {Array} Array of entity IDs
+   */
+  getEntitiesWithTag(tag) {
+    const tagged = this.tags.get(tag);
+    if (!tagged) return [];
+
+    return Array.from(tagged).filter(entityId => this.entities.get(entityId).active);
+  }
+
+  /**
+   * Build the query key for a relation pair, for use in query descriptors
+   * `pair('Targets', player)` matches entities that target the player, and
+   * `pair('Targets')` matches entities that target anything.
+   * @param {string} relation - The relation name
+   * @param {string|number} target - The target entity ID, or '*' for any target
+   * @returns {string} Pair key
+   */
+  static pair(relation, target = '*') {
+    return `${relation}(${target})`;
+  }
+
+  /**
+   * Configure a relation type
+   * @param {string} relation - The relation name (e.g. 'Targets', 'OwnedBy')
+   * @param {Object} options - { onTargetDestroyed: 'remove' (default) | 'destroy', exclusive: false }
+   *   `exclusive` relations allow one target per source: adding a new one replaces the old.
+   * @returns {boolean} True if the relation was defined
+   */
+  defineRelation(relation, options = {}) {
+    const onTargetDestroyed = options.onTargetDestroyed || 'remove';
+    if (onTargetDestroyed !== 'remove' && onTargetDestroyed !== 'destroy') {
+      this.debugManager.log('error', `Invalid cleanup policy for relation ${relation}: ${onTargetDestroyed}`);
+      return false;
+    }
+
+    this.relationDefinitions.set(relation, { onTargetDestroyed, exclusive: options.exclusive === true });
+    return true;
+  }
+
+  /**
+   * Get a relation's configuration, with defaults for relations never defined
+   * @param {string} relation - The relation name
+   * @returns {Object} { onTargetDestroyed, exclusive }
+   */
+  getRelationDefinition(relation) {
+    return this.relationDefinitions.get(relation) || { onTargetDestroyed: 'remove', exclusive: false };
+  }
+
+  /**
+   * Relate an entity to a target entity, e.g. addRelation(enemy, 'Targets', player)
+   * An entity can have many relations of the same type to different targets.
+   * @param {string|number} entityId - The source entity ID
+   * @param {string} relation - The relation name
+   * @param {string|number} targetId - The target entity ID
+   * @returns {boolean} True if the pair was added, false if it already existed or was rejected
+   */
+  addRelation(entityId, relation, targetId) {
+    const entity = this.getEntity(entityId);
+    const target = this.getEntity(targetId);
+    if (!entity || !target) {
+      this.debugManager.log('error', `Cannot add relation ${relation}: unknown entity ${entity ? targetId : entityId}`);
+      return false;
+    }
+    entityId = entity.id;
+    targetId = target.id;
+
+    const targets = entity.relations.get(relation);
+    if (targets && targets.has(targetId)) {
+      return false;
+    }
+    if (targets && this.getRelationDefinition(relation).exclusive) {
+      for (const previousId of Array.from(targets)) {
+        this.removeRelation(entityId, relation, previousId);
+      }
+    }
+
+    this.history.record({ op: 'relation', entityId, relation, target: targetId, present: true });
+    if (!entity.relations.has(relation)) {
+      entity.relations.set(relation, new Set());
+      this.setPairTag(entity, ECSManager.pair(relation), true);
+    }
+    entity.relations.get(relation).add(targetId);
+    this.setTargetPair(entity, ECSManager.pair(relation, targetId), true);
+
+    if (!this.relationIndex.has(targetId)) {
+      this.relationIndex.set(targetId, new Map());
+    }
+    const incoming = this.relationIndex.get(targetId);
+    if (!incoming.has(relation)) {
+      incoming.set(relation, new Set());
+    }
+    incoming.get(relation).add(entityId);
+
+    this.eventManager.emit('relation:added', { entityId, relation, target: targetId });
+    return true;
+  }
+
+  /**
+   * Remove a relation pair
+   * @param {string|number} entityId - The source entity ID
+   * @param {string} relation - The relation name
+   * @param {string|number} targetId - The target entity ID
+   * @returns {boolean} True if the pair was removed
+   */
+  removeRelation(entityId, relation, targetId) {
+    const entity = this.getEntity(entityId);
+    const targets = entity && entity.relations.get(relation);
+    targetId = this.resolveEntityId(targetId);
+    if (!targets || !targets.has(targetId)) {
+      return false;
+    }
+    entityId = entity.id;
+
+    this.history.record({ op: 'relation', entityId, relation, target: targetId, present: false });
+    targets.delete(targetId);
+    this.setTargetPair(entity, ECSManager.pair(relation, targetId), false);
+    if (targets.size === 0) {
+      entity.relations.delete(relation);
+      this.setPairTag(entity, ECSManager.pair(relation), false);
+    }
+
+    const incoming = this.relationIndex.get(targetId);
+    incoming.get(relation).delete(entityId);
+    if (incoming.get(relation).size === 0) {
+      incoming.delete(relation);
+    }
+    if (incoming.size === 0) {
+      this.relationIndex.delete(targetId);
+    }
+
+    this.eventManager.emit('relation:removed', { entityId, relation, target: targetId });
+    return true;
+  }
+
+  /**
+   * Add or remove the storage tag that lets queries match a wildcard relation pair
+   * @param {Object} entity - The entity record
+   * @param {string} key - Wildcard pair key from ECSManager.pair()
+   * @param {boolean} present - Whether the entity should have the pair
+   */
+  setPairTag(entity, key, present) {
+    if (present) {
+      this.storage.addTag(entity, key);
+    } else {
+      this.storage.removeTag(entity, key);
+    }
+    this.updateQueries(entity, key);
+  }
+
+  /**
+   * Add or remove a pair with a specific target
+   * These stay out of storage: as archetype tags, every target would get archetypes of its
+   * own that outlive it.
+   * @param {Object} entity - The entity record
+   * @param {string} key - Pair key from ECSManager.pair()
+   * @param {boolean} present - Whether the entity should have the pair
+   */
+  setTargetPair(entity, key, present) {
+    if (present) {
+      entity.pairs.add(key);
+    } else {
+      entity.pairs.delete(key);
+    }
+    this.updateQueries(entity, key);
+  }
+
+  /**
+   * Check whether an entity has a relation, to a given target or to any target
+   * @param {string|number} entityId - The source entity ID
+   * @param {string} relation - The relation name
+   * @param {string|number} targetId - The target entity ID (omit for any target)
+   * @returns {boolean}
+   */
+  hasRelation(entityId, relation, targetId = undefined) {
+    const entity = this.getEntity(entityId);
+    const targets = entity && entity.relations.get(relation);
+    if (!targets) return false;
+
+    return targetId === undefined || targets.has(this.resolveEntityId(targetId));
+  }
+
+  /**
+   * Get the targets of an entity's relation
+   * @param {string|number} entityId - The source entity ID
+   * @param {string} relation - The relation name
+   * @returns {Array} Target entity IDs
+   */
+  getRelationTargets(entityId, relation) {
+    const entity = this.getEntity(entityId);
+    const targets = entity && entity.relations.get(relation);
+    return targets ? Array.from(targets) : [];
+  }
+
+  /**
+   * Get all active entities that have a relation to a target, e.g. everything that Targets X
+   * @param {string} relation - The relation name
+   * @param {string|number} targetId - The target entity ID
+   * @returns {Array} Source entity IDs
+   */
+  getRelated(relation, targetId) {
+    const incoming = this.relationIndex.get(this.resolveEntityId(targetId));
+    const sources = incoming && incoming.get(relation);
+    if (!sources) return [];
+
+    return Array.from(sources).filter(entityId => this.entities.get(entityId).active);
+  }
+
+  /**
+   * Store a world-wide resource: shared state such as the scene, the camera or game settings
+   * Systems can read resources in setECSManager instead of taking them as constructor
+   * arguments, and listen for `resource:changed` to pick up replacements.
+   * @param {string} key - The resource key
+   * @param {*} value - The resource value
+   * @returns {boolean} True if the resource was stored
+   */
+  setResource(key, value) {
+    if (typeof key !== 'string' || key === '') {
+      this.debugManager.log('error', `Invalid resource key: ${key}`);
+      return false;
+    }
+
+    const previous = this.resources.get(key);
+    const added = !this.resources.has(key);
+    this.resources.set(key, value);
+
+    this.eventManager.emit('resource:changed', { key, value, previous, added });
+    this.debugManager.log('debug', `${added ? 'Added' : 'Updated'} resource: ${key}`);
+    return true;
+  }
+
+  /**
+   * Get a world-wide resource
+   * @param {string} key - The resource key
+   * @returns {*} The resource value, or undefined if it is not set
+   */
+  getResource(key) {
+    return this.resources.get(key);
+  }
+
+  /**
+   * Check whether a resource is set
+   * @param {string} key - The resource key
+   * @returns {boolean}
+   */
+  hasResource(key) {
+    return this.resources.has(key);
+  }
+
+  /**
+   * Remove a world-wide resource
+   * @param {string} key - The resource key
+   * @returns {boolean} True if the resource was removed
+   */
+  removeResource(key) {
+    if (!this.resources.has(key)) {
+      return false;
+    }
+
+    const value = this.resources.get(key);
+    this.resources.delete(key);
+    this.eventManager.emit('resource:removed', { key, value });
+    return true;
+  }
+
+  /**
+   * Declare a numeric component backed by typed-array columns
+   * Component data added afterwards is copied into the columns and exposed through an
+   * accessor view, e.g. `{ position: { x: 'f32', y: 'f32', z: 'f32' } }`.
+   * @param {string} componentType - The component type
+   * @param {Object} schema - Field schema (leaves: 'f32', 'f64', 'i8', 'i16', 'i32', 'u8', 'u16', 'u32')
+   * @param {Object} options - Store options (e.g. { capacity })
+   * @returns {TypedComponentStore|null} The store, or null if the definition was rejected
+   */
+  defineTypedComponent(componentType, schema, options = {}) {
+    if (this.typedStores.has(componentType) || this.components.has(componentType)) {
+      this.debugManager.log('error', `Cannot define typed component ${componentType}: type already in use`);
+      return null;
+    }
+
+    if (!TypedComponentStore.isValidSchema(schema)) {
+      this.debugManager.log('error', `Invalid typed component schema for ${componentType}`, schema);
+      return null;
+    }
+
+    const store = new TypedComponentStore(componentType, schema, options);
+    this.typedStores.set(componentType, store);
+
+    this.debugManager.log('info', `Defined typed component: ${componentType} (${store.fields.length} fields)`);
+    return store;
+  }
+
+  /**
+   * Get the typed-array store for a numeric component type
+   * @param {string} componentType - The component type
+   * @returns {TypedComponentStore|null} The store or null if the type is not typed
+   */
+  getTypedStore(componentType) {
+    return this.typedStores.get(componentType) || null;
+  }
+
+  /**
+   * Define (or replace) a prefab: a reusable set of components and child entities
+   * Component values are default data or factories `(context) => data` called per instance.
+   * Children are `{ prefab, overrides, name }` references or inline `{ components, children }`.
+   * @param {string} name - The prefab name
+   * @param {Object} definition - { extends, components, children }
+   * @returns {boolean} True if defined
+   * @example
+   * ecs.definePrefab('enemy', { components: { health: { value: 10 } } });
+   * ecs.definePrefab('boss', { extends: 'enemy', components: { health: { value: 100 } } });
+   */
+  definePrefab(name, definition = {}) {
+    if (this.prefabs.has(name)) {
+      this.debugManager.log('warn', `Replacing prefab: ${name}`);
+    }
+
+    try {
+      this.prefabs.register(name, definition);
+    } catch (error) {
+      this.debugManager.log('error', `Invalid prefab definition: ${name}`, error);
+      return false;
+    }
+
+    this.eventManager.emit('prefab:defined', { name });
+    this.debugManager.log('debug', `Defined prefab: ${name}`);
+    return true;
+  }
+
+  /**
+   * Create an entity (and its children) from a prefab
+   * Overrides are deep-merged into the prefab's component data; override types the prefab
+   * does not have are added as well. The source prefab is recorded as `entity.prefab`, and
+   * the prefab's children are created and parented to the new entity.
+   * @param {string} name - The prefab name
+   * @param {Object} overrides - Component type -> data to merge over the prefab's
+   * @param {Object} options - { name } entity name (defaults to the prefab name)
+   * @returns {string|number|null} The root entity ID, or null if the prefab could not be resolved
+   */
+  instantiate(name, overrides = {}, options = {}) {
+    let resolved;
+    try {
+      resolved = this.prefabs.resolve(name);
+    } catch (error) {
+      this.debugManager.log('error', `Cannot instantiate prefab ${name}`, error);
+      return null;
+    }
+
+    const entityId = this.instantiateResolved(resolved, overrides, options.name || name);
+    this.debugManager.log('debug', `Instantiated prefab ${name} as ${entityId}`);
+    return entityId;
+  }
+
+  /**
+   * Create the entities for a resolved prefab or inline child definition
+   * @param {Object} resolved - { name, components, children }
+   * @param {Object} overrides - Component overrides
+   * @param {string} entityName - Name for the new entity
+   * @returns {string|number} The new entity ID
+   */
+  instantiateResolved(resolved, overrides, entityName) {
+    const entityId = this.createEntity(entityName);
+    if (resolved.name) {
+      this.entities.get(entityId).prefab = resolved.name;
+    }
+
+    const context = { entityId, prefab: resolved.name, ecs: this };
+    const types = new Set([...Object.keys(resolved.components), ...Object.keys(overrides)]);
+    for (const type of types) {
+      const data = type in resolved.components
+        ? this.prefabs.createComponentData(resolved.components[type], context)
+        : {};
+      this.addComponent(entityId, type, type in overrides ? deepMerge(data, overrides[type]) : data);
+    }
+
+    const children = [];
+    for (const child of resolved.children) {
+      let childId;
+      if (child.prefab) {
+        childId = this.instantiate(child.prefab, child.overrides || {}, { name: child.name });
+      } else {
+        childId = this.instantiateResolved({
+          name: null,
+          components: child.components || {},
+          children: child.children || []
+        }, child.overrides || {}, child.name || null);
+      }
+      if (childId !== null) {
+        this.setParent(childId, entityId);
+        children.push(childId);
+      }
+    }
+
+    this.eventManager.emit('prefab:instantiated', { entityId, prefab: resolved.name, children });
+    return entityId;
+  }
+
+  /**
+   * Rename an entity
+   * @param {string|number} entityId - The entity ID
+   * @param {string} name - The new name
+   * @returns {boolean} True if the entity was renamed
+   */
+  setEntityName(entityId, name) {
+    const entity = this.getEntity(entityId);
+    if (!entity) {
+      this.debugManager.log('error', `Cannot rename non-existent entity: ${entityId}`);
+      return false;
+    }
+
+    const previous = entity.name;
+    if (name === previous) return true;
+
+    this.unindexName(entity);
+    entity.name = name;
+    this.indexName(entity);
+    this.eventManager.emit('entity:renamed', { id: entity.id, name, previous });
+    return true;
+  }
+
+  /**
+   * Add an entity to the name index
+   * @param {Object} entity - The entity record
+   */
+  indexName(entity) {
+    if (!this.entitiesByName.has(entity.name)) {
+      this.entitiesByName.set(entity.name, new Set());
+    }
+    this.entitiesByName.get(entity.name).add(entity.id);
+  }
+
+  /**
+   * Remove an entity from the name index
+   * @param {Object} entity - The entity record
+   */
+  unindexName(entity) {
+    const named = this.entitiesByName.get(entity.name);
+    if (!named) return;
+
+    named.delete(entity.id);
+    if (named.size === 0) {
+      this.entitiesByName.delete(entity.name);
+    }
+  }
+
+  /**
+   * Find an entity by name
+   * Names need not be unique: the entity that took the name first is returned, and
+   * findAllByName lists every match. Inactive entities are included.
+   * @param {string} name - The entity name
+   * @returns {string|number|null} The entity ID, or null if no entity has the name
+   */
+  findByName(name) {
+    const named = this.entitiesByName.get(name);
+    return named ? named.values().next().value : null;
+  }
+
+  /**
+   * Find every entity with a name
+   * @param {string} name - The entity name
+   * @returns {Array} Entity IDs in the order they took the name
+   */
+  findAllByName(name) {
+    const named = this.entitiesByName.get(name);
+    return named ? Array.from(named) : [];
+  }
+
+  /**
+   * Find the first entity matching a predicate (inactive entities are included)
+   * @param {Function} predicate - (entityId, entity) => boolean
+   * @returns {string|number|null} The entity ID, or null if none matches
+   */
+  find(predicate) {
+    for (const [entityId, entity] of this.entities) {
+      if (predicate(entityId, entity)) {
+        return entityId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find every entity matching a predicate (inactive entities are included)
+   * @param {Function} predicate - (entityId, entity) => boolean
+   * @returns {Array} Entity IDs
+   */
+  findAll(predicate) {
+    const matches = [];
+    for (const [entityId, entity] of this.entities) {
+      if (predicate(entityId, entity)) {
+        matches.push(entityId);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Index a component field for lookup()
+   * The index is maintained on addComponent, setComponent, markChanged and removal, so
+   * in-place writes must be followed by markChanged to be seen.
+   * @param {string} componentType - The component type
+   * @param {string} field - Dotted field path within the component data (e.g. 'id')
+   * @returns {boolean} True if the index was created, false if it already existed
+   */
+  createIndex(componentType, field) {
+    if (!this.indexes.has(componentType)) {
+      this.indexes.set(componentType, new Map());
+    }
+    const indexes = this.indexes.get(componentType);
+    if (indexes.has(field)) {
+      return false;
+    }
+
+    const index = new ComponentIndex(componentType, field);
+    for (const [entityId, component] of this.components.get(componentType) || []) {
+      index.update(entityId, component.data);
+    }
+    indexes.set(field, index);
+
+    this.debugManager.log('debug', `Created index on ${componentType}.${field}`);
+    return true;
+  }
+
+  /**
+   * Remove a component field index
+   * @param {string} componentType - The component type
+   * @param {string} field - The indexed field path
+   * @returns {boolean} True if the index was removed
+   */
+  dropIndex(componentType, field) {
+    const indexes = this.indexes.get(componentType);
+    if (!indexes || !indexes.delete(field)) {
+      return false;
+    }
+    if (indexes.size === 0) {
+      this.indexes.delete(componentType);
+    }
+    return true;
+  }
+
+  /**
+   * Find the entities whose component field equals a value (inactive entities are included)
+   * Uses the index from createIndex; without one, every component of the type is scanned.
+   * @param {string} componentType - The component type
+   * @param {string} field - Dotted field path within the component data
+   * @param {*} value - The value to match
+   * @returns {Array} Entity IDs
+   */
+  lookup(componentType, field, value) {
+    const indexes = this.indexes.get(componentType);
+    if (indexes && indexes.has(field)) {
+      return indexes.get(field).lookup(value);
+    }
+
+    this.debugManager.log('debug', `No index on ${componentType}.${field}; scanning components`);
+    const matches = [];
+    for (const [entityId, component] of this.components.get(componentType) || []) {
+      if (readPath(component.data, field) === value) {
+        matches.push(entityId);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Re-index an entity's component after its data changed
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   * @param {Object} data - Component data
+   */
+  updateIndexes(entityId, componentType, data) {
+    const indexes = this.indexes.get(componentType);
+    if (!indexes) return;
+
+    for (const index of indexes.values()) {
+      index.update(entityId, data);
+    }
+  }
+
+  /**
+   * Remove an entity's component from the field indexes
+   * @param {string|number} entityId - The entity ID
+   * @param {string} componentType - The component type
+   */
+  removeFromIndexes(entityId, componentType) {
+    const indexes = this.indexes.get(componentType);
+    if (!indexes) return;
+
+    for (const index of indexes.values()) {
+      index.remove(entityId);
+    }
+  }
+
+  /**
+   * Get all active entities that match a set of components or a query descriptor
+   * Backed by a cached query, so repeated calls only cost the size of the result.
+   * @param {...string|Object} componentTypes - Component types (all-of), or a single
+   *   descriptor { all, none, any, optional, added, changed, predicate }
+   * @returns {Array} Array of entity IDs
+   * @example
+   * ecs.getEntitiesWith('transform', 'mesh');
+   * ecs.getEntitiesWith({ all: ['transform', 'mesh'], none: ['hidden'] });
+   */
+  getEntitiesWith(...componentTypes) {
+    const { descriptor, predicate } = this.parseQueryArgs(componentTypes);
+    const matchingEntities = [];
+
+    for (const entityId of this.query(descriptor)) {
+      if (!this.entities.get(entityId).active) continue;
+      if (predicate && predicate(entityId, this) !== true) continue;
+
+      matchingEntities.push(entityId);
+    }
+
+    return matchingEntities;
+  }
+
+  /**
+   * Get a cached query for entities that match a set of components or a query descriptor
+   * Identical structural queries are shared; results are maintained incrementally as
+   * components are added and removed. A predicate (entityId, ecsManager) => boolean is
+   * applied whenever results are read, through a filtered view of the shared structural
+   * query, so calling this every frame with a new predicate registers nothing new.
+   * @param {...string|Object} componentTypes - Component types (all-of), or a single
+   *   descriptor { all, none, any, optional, added, changed, predicate }
+   * @returns {Query} The cached query, or a filtered view of it
+   * @example
+   * ecs.query({ all: ['transform'], any: ['enemy', 'boss'], optional: ['velocity'] });
+   * ecs.query({ all: ['mesh'], changed: ['transform'] }); // transforms changed since this system last ran
+   */
+  query(...componentTypes) {
+    const { descriptor, predicate } = this.parseQueryArgs(componentTypes);
+    const key = Query.createKey(descriptor);
+    const query = this.queries.get(key) || this.createQuery(key, descriptor);
+    return predicate ? query.filter(entityId => predicate(entityId, this)) : query;
+  }
+
+  /**
+   * Register and populate a new structural query
+   * @param {string} key - The query key
+   * @param {Array<string>|Object} descriptor - Query descriptor without a predicate
+   * @returns {Query} The new query
+   */
+  createQuery(key, descriptor) {
+    const query = new Query(descriptor, null, this, (error, failed) => {
+      this.debugManager.log('error', `Error in callback for query '${failed.key}'`, error);
+    });
+    this.queries.set(key, query);
+    // Archetypes do not carry pairs with specific targets, so those queries use their results
+    if (this.storage.mode === 'archetype' && !query.watchedTypes.some(isTargetPair)) {
+      query.trackArchetypes(this.storage.archetypes.values());
+    }
+    for (const type of query.watchedTypes) {
+      if (!this.queriesByType.has(type)) {
+        this.queriesByType.set(type, new Set());
+      }
+      this.queriesByType.get(type).add(query);
+    }
+
+    // Populate from the current world state
+    for (const entity of this.entities.values()) {
+      if (query.matches(this.getSignature(entity))) {
+        query.entities.add(entity.id);
+      }
+    }
+
+    this.debugManager.log('debug', `Created query: [${query.key}]`);
+    return query;
+  }
+
+  /**
+   * Stop maintaining a query and drop its callbacks
+   * Filtered views (from predicate queries or query.filter()) only lose their own callbacks;
+   * the query they read from stays registered.
+   * @param {Query} query - The query or view to remove
+   * @returns {boolean} True if the query was registered, or the view reads from a registered query
+   */
+  removeQuery(query) {
+    if (query.base) {
+      return this.queries.get(query.base.key) === query.base && query.base.removeView(query);
+    }
+
+    for (const [key, registered] of this.queries) {
+      if (registered !== query) continue;
+
+      this.queries.delete(key);
+      for (const type of query.watchedTypes) {
+        const queries = this.queriesByType.get(type);
+        queries.delete(query);
+        if (queries.size === 0) {
+          this.queriesByType.delete(type);
+        }
+      }
+      query.clear();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Split query arguments into a structural descriptor and an optional predicate
+   * @param {Array} args - Component type strings, or a single array/descriptor
+   * @returns {{descriptor: Object|Array<string>, predicate: Function|null}}
+   */
+  parseQueryArgs(args) {
+    if (args.length === 1 && args[0] !== null && typeof args[0] === 'object') {
+      const [descriptor] = args;
+      if (Array.isArray(descriptor)) {
+        return { descriptor, predicate: null };
+      }
+
+      const { predicate = null, ...structure } = descriptor;
+      return { descriptor: structure, predicate };
+    }
+
+    return { descriptor: args, predicate: null };
+  }
+
+  /**
+   * Re-evaluate cached queries for an entity after a structural change
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The changed component type (all queries if omitted)
+   */
+  updateQueries(entity, componentType = null) {
+    const queries = componentType === null
+      ? this.queries.values()
+      : this.queriesByType.get(componentType);
+    if (!queries) return;
+
+    const signature = this.getSignature(entity);
+    for (const query of queries) {
+      query.evaluate(entity.id, signature);
+    }
+  }
+
+  /**
+   * Get the signature queries match an entity against: its stored components and tags,
+   * plus its pairs with specific targets
+   * @param {Object} entity - The entity record
+   * @returns {{has: Function}} The entity's signature
+   */
+  getSignature(entity) {
+    const signature = this.storage.signature(entity);
+    if (entity.pairs.size === 0) {
+      return signature;
+    }
+    return { has: type => signature.has(type) || entity.pairs.has(type) };
+  }
+
+  /**
+   * Register a system
+   * Systems run stage by stage (see getStages()), and by priority within a stage. The stage
+   * comes from `options.stage` or `system.stage`; without one, fixed systems (`options.fixed`
+   * or `system.fixed === true`) go to 'fixedUpdate' and others to 'update'. In the fixed
+   * loop mode, 'fixedUpdate' systems are updated with the fixed step, possibly several times
+   * per frame; other stages run once per frame.
+   * Within a stage, `before`/`after` constraints (system names, from options or the system)
+   * take precedence over priorities. Constraints may name systems registered later (a warning
+   * is logged when registering); a registration whose constraints form a cycle is rejected.
+   * Systems may declare their queries (`static queries = { name: descriptor }`, or a
+   * `queries` property): cached queries are built here, and update() then receives
+   * (deltaTime, { name: entityIds }, ecsManager) instead of (deltaTime, ecsManager).
+   * Declared component access (`static access = { transform: 'write', mesh: 'read' }`) is
+   * kept for scheduling and tooling; see getSystemAccess().
+   * @param {Object} system - The system to register
+   * @param {number|Object} priority - System priority within its stage (higher = runs first),
+   *   or the options object
+   * @param {Object} options - { stage, fixed, priority, before, after }
+   * @returns {boolean} True if registered
+   */
+  registerSystem(system, priority = 0, options = {}) {
+    if (priority !== null && typeof priority === 'object') {
+      options = priority;
+      priority = options.priority || 0;
+    }
+
     if (!system.update || typeof system.update !== 'function') {
       this.debugManager.log('error', 'System must have an update method');
       return false;
     }
 
+    const fixed = options.fixed !== undefined ? options.fixed === true : system.fixed === true;
+    const stage = options.stage || system.stage || (fixed ? FIXED_STAGE : 'update');
+    if (!this.getStage(stage)) {
+      this.debugManager.log('error', `Unknown system stage: ${stage}`);
+      return false;
+    }
+
+    const access = this.parseSystemAccess(system.constructor.access || system.access);
+    if (access === false) {
+      return false;
+    }
+
     const systemWrapper = {
       instance: system,
       name: system.name || system.constructor.name,
       priority,
+      stage,
+      fixed: stage === FIXED_STAGE,
+      before: toNameList(options.before || system.before),
+      after: toNameList(options.after || system.after),
+      sequence: this.systemSequence++,
+      queries: null, // name -> Query, for systems that declare their queries
+      access,
       enabled: true,
       lastUpdateTime: 0,
-      updateCount: 0
+      updateCount: 0,
+      lastRunTick: 0
     };
 
-    this.systems.push(systemWrapper);
-    this.systems.sort((a, b) => b.priority - a.priority);
+    const ordered = this.sortSystems([...this.systems, systemWrapper]);
+    if (!ordered) {
+      this.debugManager.log('error', `System ${systemWrapper.name} was not registered`);
+      return false;
+    }
+    this.systems = ordered;
+
+    // Constraints on systems that do not exist yet are kept, but flagged in case of typos
+    for (const constraint of ['before', 'after']) {
+      for (const target of systemWrapper[constraint]) {
+        if (!this.systems.some(wrapper => wrapper.name === target)) {
+          this.debugManager.log('warn',
+            `System ${systemWrapper.name} must run ${constraint} unknown system ${target}; the constraint applies once it is registered`);
+        }
+      }
+    }
+
+    const queryDeclarations = system.constructor.queries || system.queries;
+    if (queryDeclarations) {
+      systemWrapper.queries = {};
+      for (const [name, declaration] of Object.entries(queryDeclarations)) {
+        systemWrapper.queries[name] = Array.isArray(declaration) ? this.query(...declaration) : this.query(declaration);
+      }
+    }
 
     // Give system access to ECS manager
     if (system.setECSManager && typeof system.setECSManager === 'function') {
@@ -286,10 +2006,234 @@ class ECSManager {
     this.debugManager.registerSystem(systemWrapper.name, system);
     this.eventManager.emit('system:registered', { name: systemWrapper.name, system });
 
-    this.debugManager.log('info', `Registered system: ${systemWrapper.name} (priority: ${priority})`);
+    this.debugManager.log('info', `Registered system: ${systemWrapper.name} (stage: ${stage}, priority: ${priority})`);
+    return true;
+  }
+
+  /**
+   * Normalize a system's declared component access
+   * @param {Object|undefined} declaration - component type -> 'read' | 'write'
+   * @returns {Object|null|false} { read, write } type lists, null if nothing was declared,
+   *   or false (with an error logged) if the declaration is invalid
+   */
+  parseSystemAccess(declaration) {
+    if (!declaration) {
+      return null;
+    }
+
+    const access = { read: [], write: [] };
+    for (const [type, mode] of Object.entries(declaration)) {
+      if (mode !== 'read' && mode !== 'write') {
+        this.debugManager.log('error', `Invalid access '${mode}' for component ${type}; expected 'read' or 'write'`);
+        return false;
+      }
+      access[mode].push(type);
+    }
+    return access;
+  }
+
+  /**
+   * Get the component access a system declared
+   * @param {string} systemName - The system name
+   * @returns {Object|null} { read, write } component type lists, or null if the system is
+   *   unknown or declared no access (and so may touch any component)
+   */
+  getSystemAccess(systemName) {
+    const systemWrapper = this.systems.find(s => s.name === systemName);
+    if (!systemWrapper || !systemWrapper.access) {
+      return null;
+    }
+    return { read: [...systemWrapper.access.read], write: [...systemWrapper.access.write] };
+  }
+
+  /**
+   * Read the declared queries of a system for its update
+   * @param {Object} systemWrapper - The system wrapper
+   * @returns {Object} query name -> active matching entity IDs
+   */
+  collectSystemQueries(systemWrapper) {
+    const results = {};
+    for (const [name, query] of Object.entries(systemWrapper.queries)) {
+      results[name] = [];
+      for (const entityId of query) {
+        if (this.entities.get(entityId).active) {
+          results[name].push(entityId);
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Order systems by stage, then by before/after constraints, then by priority and
+   * registration order
+   * Constraints naming unregistered systems are skipped until those systems exist.
+   * @param {Array<Object>} systems - System wrappers
+   * @returns {Array<Object>|null} Ordered wrappers, or null (with an error logged) if the
+   *   constraints contradict the stage order or form a cycle
+   */
+  sortSystems(systems) {
+    const byName = new Map(systems.map(wrapper => [wrapper.name, wrapper]));
+    const successors = new Map(systems.map(wrapper => [wrapper, new Set()]));
+    const stageIndex = wrapper => this.stages.findIndex(stage => stage.name === wrapper.stage);
+
+    // Edge first -> second means first must run before second
+    const addEdge = (first, second) => {
+      if (!first || !second || first === second) return true;
+      if (first.stage === second.stage) {
+        successors.get(first).add(second);
+        return true;
+      }
+      if (stageIndex(first) < stageIndex(second)) {
+        return true; // already satisfied by the stage order
+      }
+      this.debugManager.log('error',
+        `System ${first.name} (stage: ${first.stage}) cannot run before ${second.name} (stage: ${second.stage})`);
+      return false;
+    };
+
+    for (const wrapper of systems) {
+      for (const name of wrapper.before) {
+        if (!addEdge(wrapper, byName.get(name))) return null;
+      }
+      for (const name of wrapper.after) {
+        if (!addEdge(byName.get(name), wrapper)) return null;
+      }
+    }
+
+    // Kahn's algorithm, always taking the highest priority system that is free to run
+    const incoming = new Map(systems.map(wrapper => [wrapper, 0]));
+    for (const targets of successors.values()) {
+      for (const target of targets) {
+        incoming.set(target, incoming.get(target) + 1);
+      }
+    }
+
+    const compare = (a, b) =>
+      stageIndex(a) - stageIndex(b) || b.priority - a.priority || a.sequence - b.sequence;
+    const ready = systems.filter(wrapper => incoming.get(wrapper) === 0);
+    const ordered = [];
+    while (ready.length > 0) {
+      ready.sort(compare);
+      const next = ready.shift();
+      ordered.push(next);
+      for (const target of successors.get(next)) {
+        incoming.set(target, incoming.get(target) - 1);
+        if (incoming.get(target) === 0) {
+          ready.push(target);
+        }
+      }
+    }
+
+    if (ordered.length < systems.length) {
+      const cyclic = systems.filter(wrapper => incoming.get(wrapper) > 0).map(wrapper => wrapper.name);
+      this.debugManager.log('error', `System ordering constraints form a cycle between: ${cyclic.join(', ')}`);
+      return null;
+    }
+
+    // Keep stages contiguous; the topological pass only orders systems within a stage
+    return ordered
+      .map((wrapper, index) => ({ wrapper, index }))
+      .sort((a, b) => stageIndex(a.wrapper) - stageIndex(b.wrapper) || a.index - b.index)
+      .map(entry => entry.wrapper);
+  }
+
+  /**
+   * Report before/after constraints that name systems which are not registered
+   * Each one is logged as an error, since after startup it is most likely a typo.
+   * @returns {Array<Object>} { system, constraint: 'before' | 'after', target }
+   */
+  validateSystemConstraints() {
+    const names = new Set(this.systems.map(wrapper => wrapper.name));
+    const unresolved = [];
+    for (const wrapper of this.systems) {
+      for (const constraint of ['before', 'after']) {
+        for (const target of wrapper[constraint]) {
+          if (!names.has(target)) {
+            this.debugManager.log('error', `System ${wrapper.name} must run ${constraint} unknown system ${target}`);
+            unresolved.push({ system: wrapper.name, constraint, target });
+          }
+        }
+      }
+    }
+    return unresolved;
+  }
+
+  /**
+   * Get the resolved system execution order
+   * @returns {Array<Object>} { stage, systems: Array<string> } for every stage, in order
+   */
+  getExecutionOrder() {
+    return this.stages.map(stage => ({
+      stage: stage.name,
+      systems: this.systems.filter(wrapper => wrapper.stage === stage.name).map(wrapper => wrapper.name)
+    }));
+  }
+
+  /**
+   * Log the resolved execution order, with errors for constraints on unknown systems
+   * @returns {string} The order, one stage per line
+   */
+  dumpExecutionOrder() {
+    this.validateSystemConstraints();
+
+    const dump = this.getExecutionOrder()
+      .map(({ stage, systems }) => `${stage}: ${systems.length > 0 ? systems.join(' -> ') : '(empty)'}`)
+      .join('\n');
+    this.debugManager.log('info', `System execution order:\n${dump}`);
+    return dump;
+  }
+
+  /**
+   * Add a system stage
+   * @param {string} name - Stage name
+   * @param {Object} options - { before: stage name } or { after: stage name }; appended
+   *   after the last stage by default
+   * @returns {boolean} True if the stage was added
+   */
+  addStage(name, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      this.debugManager.log('error', 'Stage name must be a non-empty string');
+      return false;
+    }
+    if (this.getStage(name)) {
+      this.debugManager.log('warn', `Stage already exists: ${name}`);
+      return false;
+    }
+
+    let index = this.stages.length;
+    const anchor = options.before || options.after;
+    if (anchor) {
+      const anchorIndex = this.stages.findIndex(stage => stage.name === anchor);
+      if (anchorIndex === -1) {
+        this.debugManager.log('error', `Unknown system stage: ${anchor}`);
+        return false;
+      }
+      index = options.before ? anchorIndex : anchorIndex + 1;
+    }
+
+    this.stages.splice(index, 0, createStage(name));
+    this.eventManager.emit('stage:added', { name, index });
     return true;
   }
 
+  /**
+   * Get the stage names in execution order
+   * @returns {Array<string>} Stage names
+   */
+  getStages() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  /**
+   * Get a stage record by name
+   * @param {string} name - Stage name
+   * @returns {Object|null} Stage record
+   */
+  getStage(name) {
+    return this.stages.find(stage => stage.name === name) || null;
+  }
+
   /**
    * Enable a system by name
    * @param {string} systemName - The name of the system to enable
@@ -330,6 +2274,8 @@ class ECSManager {
 
   /**
    * Start the main update loop
+   * Frames are scheduled by the loop driver; with the manual driver nothing is scheduled
+   * and the world advances only through step().
    */
   start() {
     if (this.running) {
@@ -338,9 +2284,11 @@ class ECSManager {
     }
 
     this.running = true;
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = this.clock();
+
+    this.validateSystemConstraints();
     
-    this.debugManager.log('info', 'ECS Manager started');
+    this.debugManager.log('info', 'ECS Manager started', { driver: this.loopDriver.name });
     this.eventManager.emit('ecs:started');
 
     this.gameLoop();
@@ -351,43 +2299,204 @@ class ECSManager {
    */
   stop() {
     this.running = false;
+    if (this.loopHandle !== null) {
+      this.loopDriver.cancel(this.loopHandle);
+      this.loopHandle = null;
+    }
     this.debugManager.log('info', 'ECS Manager stopped');
     this.eventManager.emit('ecs:stopped');
   }
 
+  /**
+   * Replace the loop driver, rescheduling a running loop with it
+   * @param {string|Object} driver - 'auto', 'animationFrame', 'timeout', 'immediate', 'manual',
+   *   or an object with schedule(callback) and cancel(handle) methods
+   * @returns {boolean} True if the driver was set
+   */
+  setLoopDriver(driver) {
+    const resolved = LoopDriver.resolve(driver);
+    if (!resolved) {
+      this.debugManager.log('error', 'Invalid loop driver', driver);
+      return false;
+    }
+
+    const wasRunning = this.running;
+    if (this.loopHandle !== null) {
+      this.loopDriver.cancel(this.loopHandle);
+      this.loopHandle = null;
+    }
+    this.loopDriver = resolved;
+    if (wasRunning) {
+      this.loopHandle = this.loopDriver.schedule(() => this.gameLoop());
+    }
+    return true;
+  }
+
+  /**
+   * Replace the clock used to measure frame times
+   * @param {Function} clock - () => current time in milliseconds
+   */
+  setClock(clock) {
+    this.clock = typeof clock === 'function' ? clock : defaultClock;
+    this.lastUpdateTime = this.clock();
+  }
+
   /**
    * Main game loop
    */
   gameLoop() {
+    this.loopHandle = null;
     if (!this.running) return;
 
-    const currentTime = performance.now();
+    const currentTime = this.clock();
     const deltaTime = currentTime - this.lastUpdateTime;
     this.lastUpdateTime = currentTime;
 
+    this.step(deltaTime);
+
+    // Continue loop
+    if (this.running) {
+      this.loopHandle = this.loopDriver.schedule(() => this.gameLoop());
+    }
+  }
+
+  /**
+   * Advance the world by one frame: process queued events, then update systems
+   * Works whether or not the loop is running, so servers and tests can drive the world
+   * deterministically without timers.
+   * @param {number} deltaTime - Frame time in milliseconds (defaults to the fixed step)
+   */
+  step(deltaTime = this.fixedStep) {
     // Process queued events first
     this.eventManager.processQueue();
 
     // Update all systems
-    this.updateSystems(deltaTime);
+    this.runFrame(deltaTime);
+    this.frameCount++;
+  }
 
-    // Continue loop
-    requestAnimationFrame(() => this.gameLoop());
+  /**
+   * Advance the world by several frames of equal length
+   * @param {number} count - Number of frames
+   * @param {number} deltaTime - Frame time in milliseconds (defaults to the fixed step)
+   */
+  runFrames(count, deltaTime = this.fixedStep) {
+    for (let i = 0; i < count; i++) {
+      this.step(deltaTime);
+    }
+  }
+
+  /**
+   * Configure the loop timing
+   * @param {Object} options - { mode: 'variable' | 'fixed', fixedStep: ms per fixed step,
+   *   maxSubSteps: most fixed steps per frame before the accumulator is clamped }
+   */
+  configureLoop(options = {}) {
+    if (options.mode === 'fixed' || options.mode === 'variable') {
+      this.loopMode = options.mode;
+    }
+    if (options.fixedStep > 0) {
+      this.fixedStep = options.fixedStep;
+    }
+    if (Number.isInteger(options.maxSubSteps) && options.maxSubSteps > 0) {
+      this.maxSubSteps = options.maxSubSteps;
+    }
+    this.accumulator = 0;
+    this.interpolationAlpha = this.loopMode === 'fixed' ? 0 : 1;
+  }
+
+  /**
+   * Run one frame of the configured loop
+   * In the fixed mode the frame time is added to an accumulator that is drained in fixed
+   * steps of the 'fixedUpdate' stage; at most `maxSubSteps` steps run per frame and the
+   * excess time is dropped (after a backgrounded tab, for example) so the simulation cannot
+   * spiral. The leftover fraction of a step is exposed as the interpolation alpha for the
+   * stages that follow.
+   * @param {number} deltaTime - Time since the previous frame in milliseconds
+   */
+  runFrame(deltaTime) {
+    if (this.loopMode !== 'fixed') {
+      this.updateSystems(deltaTime);
+      return;
+    }
+
+    this.accumulator += deltaTime;
+    const maxAccumulated = this.fixedStep * this.maxSubSteps;
+    if (this.accumulator > maxAccumulated) {
+      const dropped = this.accumulator - maxAccumulated;
+      this.accumulator = maxAccumulated;
+      this.debugManager.log('debug', `Fixed loop fell behind; dropped ${dropped.toFixed(1)}ms`);
+      this.eventManager.emit('loop:clamped', { dropped });
+    }
+
+    for (const stage of this.stages) {
+      stage.time = 0;
+    }
+    for (const stage of this.stages) {
+      if (stage.name !== FIXED_STAGE) {
+        this.runStage(stage, deltaTime);
+        continue;
+      }
+
+      while (this.accumulator >= this.fixedStep) {
+        this.eventManager.emit('loop:fixed_step', { step: this.fixedStep });
+        this.runStage(stage, this.fixedStep);
+        this.accumulator -= this.fixedStep;
+      }
+      this.interpolationAlpha = this.accumulator / this.fixedStep;
+    }
+
+    // End of frame sync point
+    this.commands.flush();
+  }
+
+  /**
+   * Get how far the current frame is between the last two fixed steps (0..1)
+   * Render systems blend the previous and current fixed-step state with it; it is always 1
+   * in the variable loop mode.
+   * @returns {number} Interpolation alpha
+   */
+  getInterpolationAlpha() {
+    return this.interpolationAlpha;
   }
 
   /**
-   * Update all registered systems
+   * Update all enabled systems once, stage by stage
    * @param {number} deltaTime - Time since last update
    */
   updateSystems(deltaTime) {
+    for (const stage of this.stages) {
+      stage.time = 0;
+    }
+    for (const stage of this.stages) {
+      this.runStage(stage, deltaTime);
+    }
+
+    // End of frame sync point
+    this.commands.flush();
+  }
+
+  /**
+   * Update the enabled systems of one stage and record its timing
+   * @param {Object} stage - Stage record
+   * @param {number} deltaTime - Time passed to the systems
+   */
+  runStage(stage, deltaTime) {
+    const startTime = this.clock();
+
     for (const systemWrapper of this.systems) {
-      if (!systemWrapper.enabled) continue;
+      if (!systemWrapper.enabled || systemWrapper.stage !== stage.name) continue;
 
+      this.currentSystem = systemWrapper;
       try {
         this.debugManager.trackPerformance(systemWrapper.name, () => {
-          systemWrapper.instance.update(deltaTime, this);
+          if (systemWrapper.queries) {
+            systemWrapper.instance.update(deltaTime, this.collectSystemQueries(systemWrapper), this);
+          } else {
+            systemWrapper.instance.update(deltaTime, this);
+          }
           systemWrapper.updateCount++;
-          systemWrapper.lastUpdateTime = performance.now();
+          systemWrapper.lastUpdateTime = this.clock();
         });
       } catch (error) {
         this.debugManager.log('error', `System ${systemWrapper.name} update failed`, error);
@@ -397,7 +2506,80 @@ class ECSManager {
           system: systemWrapper.instance 
         });
       }
+
+      // Changes made from here on are "since last run" for this system
+      systemWrapper.lastRunTick = this.changeTick++;
+      this.currentSystem = null;
+
+      // Sync point: apply structural changes requested by this system
+      if (this.commandFlush === 'system') {
+        this.commands.flush();
+      }
+    }
+
+    // Sync point between stages
+    if (this.commandFlush !== 'frame') {
+      this.commands.flush();
+    }
+
+    const elapsed = this.clock() - startTime;
+    stage.time += elapsed;
+    stage.totalTime += elapsed;
+  }
+
+  /**
+   * Save the world state as a versioned JSON-compatible document
+   * Components registered with a `serialize(data, context)` function use it; other
+   * component data is copied as plain JSON.
+   * @param {Object} options - { resources: true (all) | Array of resource keys to include }
+   * @returns {Object} World document
+   */
+  serialize(options = {}) {
+    return this.serializer.serialize(options);
+  }
+
+  /**
+   * Restore a world document produced by serialize()
+   * Entities and components are recreated through the normal API, so lifecycle events fire.
+   * Components registered with a `deserialize(data, context)` function use it.
+   * @param {Object} doc - World document
+   * @param {Object} options - { mode: 'replace' (default) | 'merge' }
+   * @returns {Object|null} { entities, idMap } or null if the document was rejected
+   */
+  deserialize(doc, options = {}) {
+    return this.serializer.deserialize(doc, options);
+  }
+
+  /**
+   * Save the world state in the compact binary snapshot format
+   * Decodes to the same document as JSON.parse(JSON.stringify(serialize(options))).
+   * @param {Object} options - Same options as serialize()
+   * @returns {Uint8Array|null} Binary snapshot, or null if the world could not be encoded
+   */
+  serializeBinary(options = {}) {
+    try {
+      return this.binarySerializer.encode(this.serialize(options));
+    } catch (error) {
+      this.debugManager.log('error', 'Cannot encode binary world snapshot', error);
+      return null;
+    }
+  }
+
+  /**
+   * Restore a binary snapshot produced by serializeBinary()
+   * @param {ArrayBuffer|Uint8Array|Buffer} data - Binary snapshot
+   * @param {Object} options - Same options as deserialize()
+   * @returns {Object|null} { entities, idMap } or null if the snapshot was rejected
+   */
+  deserializeBinary(data, options = {}) {
+    let doc;
+    try {
+      doc = this.binarySerializer.decode(data);
+    } catch (error) {
+      this.debugManager.log('error', 'Cannot decode binary world snapshot', error);
+      return null;
     }
+    return this.deserialize(doc, options);
   }
 
   /**
@@ -410,17 +2592,41 @@ class ECSManager {
       componentStats[type] = components.size;
     }
 
+    const tagStats = {};
+    for (const [tag, entities] of this.tags) {
+      tagStats[tag] = entities.size;
+    }
+
     return {
       entities: this.entities.size,
       systems: this.systems.length,
       componentTypes: this.components.size,
       componentStats,
+      tagTypes: this.tags.size,
+      tagStats,
       running: this.running,
+      stages: this.getStageStats(),
       debug: this.debugManager.getDebugInfo(),
       events: this.eventManager.getStats()
     };
   }
 
+  /**
+   * Get per-stage system counts and timings
+   * @returns {Object} stage name -> { systems, time: ms in the last frame, totalTime }
+   */
+  getStageStats() {
+    const stats = {};
+    for (const stage of this.stages) {
+      stats[stage.name] = {
+        systems: this.systems.filter(wrapper => wrapper.stage === stage.name).length,
+        time: stage.time,
+        totalTime: stage.totalTime
+      };
+    }
+    return stats;
+  }
+
   /**
    * Access to the event manager
    * @returns {EventManager} The event manager instance
@@ -443,7 +2649,45 @@ class ECSManager {
    * @returns {boolean} True if the entity exists, false otherwise
    */
   hasEntity(entityId) {
-    return this.entities.has(entityId);
+    return this.entities.has(this.resolveEntityId(entityId));
+  }
+
+  /**
+   * Check whether an entity handle refers to a live entity
+   * In numeric ID mode stale handles (destroyed entities whose slot may have been
+   * recycled) are rejected by generation.
+   * @param {string|number} handle - The entity ID or handle
+   * @returns {boolean} True if the handle is alive
+   */
+  isAlive(handle) {
+    const id = this.resolveEntityId(handle);
+    if (this.idAllocator) {
+      return this.idAllocator.isAlive(id) && this.entities.has(id);
+    }
+    return this.entities.has(id);
+  }
+
+  /**
+   * Get an entity record
+   * @param {string|number} entityId - The entity ID or handle
+   * @returns {Object|null} The entity record or null if not found
+   */
+  getEntity(entityId) {
+    return this.entities.get(this.resolveEntityId(entityId)) || null;
+  }
+
+  /**
+   * Normalize an entity ID for lookups
+   * In numeric ID mode, decimal strings (e.g. IDs read back from JSON keys or DOM
+   * attributes) are accepted and converted to numeric handles.
+   * @param {string|number} entityId - The entity ID or handle
+   * @returns {string|number} The normalized ID
+   */
+  resolveEntityId(entityId) {
+    if (this.idAllocator && typeof entityId === 'string' && /^\d+$/.test(entityId)) {
+      return Number(entityId);
+    }
+    return entityId;
   }
 }
 
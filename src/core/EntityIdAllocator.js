@@ -0,0 +1,167 @@
+/**
+ * EntityIdAllocator
+ * Allocates numeric generational entity handles for ECSManager's numeric ID mode.
+ * A handle packs a slot index and a generation counter into one positive 31-bit integer.
+ * Destroyed slots go on a free list and are recycled with a bumped generation, so handles
+ * kept after destruction are detected as stale instead of aliasing the new entity.
+ */
+
+const INDEX_BITS = 20;
+const GENERATION_BITS = 11;
+const INDEX_LIMIT = 2 ** INDEX_BITS; // 1,048,576 live slots
+const GENERATION_LIMIT = 2 ** GENERATION_BITS; // generations wrap after 2048 reuses
+
+/**
+ * Generational entity handle allocator with free-list recycling
+ */
+class EntityIdAllocator {
+  constructor() {
+    this.generations = []; // slot index -> current generation
+    this.alive = []; // slot index -> boolean
+    this.freeList = [];
+    this.freeHead = 0;
+    this.liveCount = 0;
+  }
+
+  /**
+   * Pack a slot index and generation into a handle
+   * @param {number} index - Slot index
+   * @param {number} generation - Generation counter
+   * @returns {number} Entity handle
+   */
+  static compose(index, generation) {
+    return generation * INDEX_LIMIT + index;
+  }
+
+  /**
+   * Extract the slot index from a handle
+   * @param {number} handle - Entity handle
+   * @returns {number} Slot index
+   */
+  static indexOf(handle) {
+    return handle % INDEX_LIMIT;
+  }
+
+  /**
+   * Extract the generation from a handle
+   * @param {number} handle - Entity handle
+   * @returns {number} Generation counter
+   */
+  static generationOf(handle) {
+    return Math.floor(handle / INDEX_LIMIT);
+  }
+
+  /**
+   * Check whether a value has the shape of an entity handle
+   * @param {*} handle - Candidate handle
+   * @returns {boolean}
+   */
+  static isHandle(handle) {
+    return Number.isInteger(handle) && handle >= 0 && handle < INDEX_LIMIT * GENERATION_LIMIT;
+  }
+
+  /**
+   * Allocate a handle, recycling the oldest freed slot first
+   * @returns {number} Entity handle
+   */
+  allocate() {
+    let index;
+    if (this.freeHead < this.freeList.length) {
+      index = this.freeList[this.freeHead++];
+      if (this.freeHead === this.freeList.length) {
+        this.freeList.length = 0;
+        this.freeHead = 0;
+      }
+    } else {
+      index = this.generations.length;
+      if (index >= INDEX_LIMIT) {
+        throw new Error(`Entity limit reached (${INDEX_LIMIT} live entities)`);
+      }
+      this.generations.push(0);
+      this.alive.push(false);
+    }
+
+    this.alive[index] = true;
+    this.liveCount++;
+    return EntityIdAllocator.compose(index, this.generations[index]);
+  }
+
+  /**
+   * Check whether a specific handle could be claimed
+   * @param {number} handle - Entity handle
+   * @returns {boolean} True if the handle is valid and its slot is free
+   */
+  canClaim(handle) {
+    return EntityIdAllocator.isHandle(handle)
+      && this.alive[EntityIdAllocator.indexOf(handle)] !== true;
+  }
+
+  /**
+   * Mark a specific handle as alive (used when restoring snapshots or undoing destruction)
+   * @param {number} handle - Entity handle
+   * @returns {boolean} True if claimed, false if invalid or its slot is occupied
+   */
+  claim(handle) {
+    if (!this.canClaim(handle)) return false;
+
+    const index = EntityIdAllocator.indexOf(handle);
+    while (this.generations.length <= index) {
+      this.freeList.push(this.generations.length);
+      this.generations.push(0);
+      this.alive.push(false);
+    }
+
+    const freePosition = this.freeList.indexOf(index, this.freeHead);
+    if (freePosition !== -1) {
+      this.freeList.splice(freePosition, 1);
+    }
+
+    this.generations[index] = EntityIdAllocator.generationOf(handle);
+    this.alive[index] = true;
+    this.liveCount++;
+    return true;
+  }
+
+  /**
+   * Release a live handle and make its slot available for reuse
+   * @param {number} handle - Entity handle
+   * @returns {boolean} True if the handle was alive
+   */
+  release(handle) {
+    if (!this.isAlive(handle)) return false;
+
+    const index = EntityIdAllocator.indexOf(handle);
+    this.alive[index] = false;
+    this.generations[index] = (this.generations[index] + 1) % GENERATION_LIMIT;
+    this.freeList.push(index);
+    this.liveCount--;
+    return true;
+  }
+
+  /**
+   * Check whether a handle refers to a live entity (and is not stale)
+   * @param {number} handle - Entity handle
+   * @returns {boolean}
+   */
+  isAlive(handle) {
+    if (!EntityIdAllocator.isHandle(handle)) return false;
+
+    const index = EntityIdAllocator.indexOf(handle);
+    return this.alive[index] === true
+      && this.generations[index] === EntityIdAllocator.generationOf(handle);
+  }
+
+  /**
+   * Get allocator statistics
+   * @returns {Object} { slots, alive, free }
+   */
+  getStats() {
+    return {
+      slots: this.generations.length,
+      alive: this.liveCount,
+      free: this.freeList.length - this.freeHead
+    };
+  }
+}
+
+export default EntityIdAllocator;
@@ -0,0 +1,84 @@
+/**
+ * LoopDriver
+ * Schedules the frames of ECSManager's update loop. The browser driver uses
+ * requestAnimationFrame; Node servers and workers use setImmediate or setTimeout; the manual
+ * driver schedules nothing, leaving frames to explicit ecs.step() calls (tests, tools,
+ * lockstep servers).
+ */
+
+/**
+ * Frame scheduler wrapping a schedule/cancel function pair
+ */
+class LoopDriver {
+  /**
+   * @param {string} name - Driver name, for logging
+   * @param {Function} schedule - (callback) => handle; runs callback on the next frame
+   * @param {Function} cancel - (handle) => void; cancels a scheduled frame
+   */
+  constructor(name, schedule, cancel) {
+    this.name = name;
+    this.schedule = schedule;
+    this.cancel = cancel;
+  }
+
+  /**
+   * Driver using requestAnimationFrame
+   * @returns {LoopDriver}
+   */
+  static animationFrame() {
+    return new LoopDriver(
+      'animationFrame',
+      callback => requestAnimationFrame(callback),
+      handle => cancelAnimationFrame(handle)
+    );
+  }
+
+  /**
+   * Driver using setTimeout, or setImmediate when no interval is given and it exists
+   * @param {number} interval - Milliseconds between frames (0 = as fast as possible)
+   * @returns {LoopDriver}
+   */
+  static timeout(interval = 0) {
+    if (interval <= 0 && typeof setImmediate === 'function') {
+      return new LoopDriver('immediate', callback => setImmediate(callback), handle => clearImmediate(handle));
+    }
+    return new LoopDriver('timeout', callback => setTimeout(callback, interval), handle => clearTimeout(handle));
+  }
+
+  /**
+   * Driver that never schedules frames; the loop advances only through ecs.step()
+   * @returns {LoopDriver}
+   */
+  static manual() {
+    return new LoopDriver('manual', () => null, () => {});
+  }
+
+  /**
+   * Pick a driver from an ECSManager option
+   * @param {string|Object} driver - 'auto' (default), 'animationFrame', 'timeout', 'manual',
+   *   or an object with schedule(callback) and cancel(handle) methods
+   * @returns {Object|null} Driver, or null if the option is invalid
+   */
+  static resolve(driver = 'auto') {
+    if (driver && typeof driver === 'object') {
+      return typeof driver.schedule === 'function' && typeof driver.cancel === 'function' ? driver : null;
+    }
+
+    switch (driver) {
+    case 'auto':
+      return typeof requestAnimationFrame === 'function' ? LoopDriver.animationFrame() : LoopDriver.timeout(1000 / 60);
+    case 'animationFrame':
+      return LoopDriver.animationFrame();
+    case 'timeout':
+      return LoopDriver.timeout(1000 / 60);
+    case 'immediate':
+      return LoopDriver.timeout(0);
+    case 'manual':
+      return LoopDriver.manual();
+    default:
+      return null;
+    }
+  }
+}
+
+export default LoopDriver;
@@ -0,0 +1,140 @@
+/**
+ * MapStorage
+ * Default component storage for ECSManager: every entity record owns a `components` Map
+ * keyed by component type and a `tags` Set. Simple and flexible; matches the original ECSManager layout.
+ * Shares its interface with ArchetypeStorage so ECSManager can switch storage modes.
+ */
+
+/**
+ * Per-entity Map component storage
+ */
+class MapStorage {
+  constructor() {
+    this.mode = 'map';
+  }
+
+  /**
+   * Prepare a newly created entity record for component storage
+   * @param {Object} entity - The entity record
+   */
+  attach(entity) {
+    entity.components = new Map();
+    entity.tags = new Set();
+  }
+
+  /**
+   * Release storage for a destroyed entity (its components must already be removed)
+   * @param {Object} entity - The entity record
+   */
+  detach(entity) {
+    entity.components.clear();
+    entity.tags.clear();
+  }
+
+  /**
+   * Check whether an entity has a component type
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @returns {boolean}
+   */
+  has(entity, componentType) {
+    return entity.components.has(componentType);
+  }
+
+  /**
+   * Get a component from an entity
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @returns {Object|null} The component or null if not found
+   */
+  get(entity, componentType) {
+    return entity.components.get(componentType) || null;
+  }
+
+  /**
+   * Store a component on an entity, replacing any existing component of the same type
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   * @param {Object} component - The component record
+   */
+  set(entity, componentType, component) {
+    entity.components.set(componentType, component);
+  }
+
+  /**
+   * Remove a component from an entity
+   * @param {Object} entity - The entity record
+   * @param {string} componentType - The component type
+   */
+  delete(entity, componentType) {
+    entity.components.delete(componentType);
+  }
+
+  /**
+   * Get the component types an entity currently has
+   * @param {Object} entity - The entity record
+   * @returns {Array<string>} Component types
+   */
+  types(entity) {
+    return Array.from(entity.components.keys());
+  }
+
+  /**
+   * Add a tag to an entity
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   */
+  addTag(entity, tag) {
+    entity.tags.add(tag);
+  }
+
+  /**
+   * Remove a tag from an entity
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   */
+  removeTag(entity, tag) {
+    entity.tags.delete(tag);
+  }
+
+  /**
+   * Check whether an entity has a tag
+   * @param {Object} entity - The entity record
+   * @param {string} tag - The tag
+   * @returns {boolean}
+   */
+  hasTag(entity, tag) {
+    return entity.tags.has(tag);
+  }
+
+  /**
+   * Get the tags an entity currently has
+   * @param {Object} entity - The entity record
+   * @returns {Array<string>} Tags
+   */
+  tags(entity) {
+    return Array.from(entity.tags);
+  }
+
+  /**
+   * Get an object with a `has(type)` method describing the entity's components and tags
+   * @param {Object} entity - The entity record
+   * @returns {{has: Function}} The entity's signature
+   */
+  signature(entity) {
+    if (entity.tags.size === 0) {
+      return entity.components;
+    }
+    return { has: type => entity.components.has(type) || entity.tags.has(type) };
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Object} Storage statistics
+   */
+  getStats() {
+    return { mode: this.mode };
+  }
+}
+
+export default MapStorage;
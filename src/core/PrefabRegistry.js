@@ -0,0 +1,142 @@
+/**
+ * PrefabRegistry
+ * Registry of entity templates ("prefabs"): a set of components plus optional child entities.
+ * A prefab may extend another prefab; the variant's component data is deep-merged over the
+ * base's. Component values are plain data or factory functions called once per instance
+ * (for values that must not be shared, such as a THREE.Mesh).
+ */
+
+import { deepClone, deepMerge } from './utilities.js';
+
+/**
+ * Prefab definition registry
+ */
+class PrefabRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  /**
+   * Register (or replace) a prefab
+   * @param {string} name - The prefab name
+   * @param {Object} definition - { extends, components, children }
+   * @returns {Object} The stored definition
+   */
+  register(name, definition = {}) {
+    const { extends: base = null, components = {}, children = null } = definition;
+
+    if (base !== null && typeof base !== 'string') {
+      throw new Error(`Prefab ${name}: 'extends' must be a prefab name`);
+    }
+    if (children !== null && !Array.isArray(children)) {
+      throw new Error(`Prefab ${name}: 'children' must be an array`);
+    }
+
+    const stored = {
+      name,
+      extends: base,
+      components: { ...components },
+      children: children ? children.map(child => ({ ...child })) : null
+    };
+    this.definitions.set(name, stored);
+    return stored;
+  }
+
+  /**
+   * Remove a prefab
+   * @param {string} name - The prefab name
+   * @returns {boolean} True if the prefab was registered
+   */
+  unregister(name) {
+    return this.definitions.delete(name);
+  }
+
+  /**
+   * Check whether a prefab is registered
+   * @param {string} name - The prefab name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get a prefab definition as registered (without inheritance applied)
+   * @param {string} name - The prefab name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  /**
+   * Get the names of all registered prefabs
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return Array.from(this.definitions.keys());
+  }
+
+  /**
+   * Flatten a prefab and its bases into a single definition
+   * Component data is deep-merged from the root base down; a factory function on either side
+   * replaces the other value. A variant's `children` replace the base's when given.
+   * @param {string} name - The prefab name
+   * @returns {Object} { name, chain, components, children }
+   * @throws {Error} If the prefab, or one of its bases, is missing or inherits from itself
+   */
+  resolve(name) {
+    const chain = [];
+    for (let current = name; current !== null; current = this.definitions.get(current).extends) {
+      if (chain.includes(current)) {
+        throw new Error(`Prefab inheritance cycle: ${[...chain, current].join(' -> ')}`);
+      }
+      if (!this.definitions.has(current)) {
+        throw new Error(chain.length === 0
+          ? `Unknown prefab: ${current}`
+          : `Prefab ${chain[chain.length - 1]} extends unknown prefab: ${current}`);
+      }
+      chain.push(current);
+    }
+
+    let components = {};
+    let children = [];
+    for (const prefabName of chain.slice().reverse()) {
+      const definition = this.definitions.get(prefabName);
+      components = this.mergeComponents(components, definition.components);
+      if (definition.children) {
+        children = definition.children;
+      }
+    }
+
+    return { name, chain, components, children };
+  }
+
+  /**
+   * Merge a variant's component values over its base's
+   * @param {Object} base - Base component values
+   * @param {Object} overrides - Variant component values
+   * @returns {Object} Merged component values
+   */
+  mergeComponents(base, overrides) {
+    const result = { ...base };
+    for (const [type, value] of Object.entries(overrides)) {
+      result[type] = typeof value === 'function' || typeof result[type] === 'function'
+        ? value
+        : deepMerge(result[type], value);
+    }
+    return result;
+  }
+
+  /**
+   * Produce the data for one component of a new instance
+   * @param {*} value - Plain data or a factory function
+   * @param {Object} context - Passed to factories: { entityId, prefab, ecs }
+   * @returns {*} Component data owned by the instance
+   */
+  createComponentData(value, context) {
+    return typeof value === 'function' ? value(context) : deepClone(value);
+  }
+}
+
+export default PrefabRegistry;
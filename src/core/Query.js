@@ -0,0 +1,398 @@
+/**
+ * Query
+ * Cached, incrementally maintained set of entities that match a query descriptor
+ * `{ all, none, any, optional, added, changed }` of component types, with an optional per-entity
+ * predicate.
+ * ECSManager keeps every query up to date as components are added or removed and entities
+ * are destroyed, so systems can iterate matching entities without scanning the whole world.
+ * Supports onEnter/onExit callbacks fired when an entity starts or stops matching.
+ * With archetype storage the query also tracks matching archetypes and iterates their tables directly.
+ */
+
+/**
+ * Cached entity query
+ * Membership is structural: an entity matches when it has every `all` component, none of the
+ * `none` components and at least one `any` component (if given). `optional` types never affect
+ * matching. The predicate and the `added`/`changed` filters are applied when results are read:
+ * `added`/`changed` types are also required, and only entities whose component was added or
+ * changed since the reading system last ran pass (see ECSManager.isAdded/isChanged).
+ */
+class Query {
+  /**
+   * @param {Array<string>|Object} descriptor - Component types (all-of) or
+   *   { all, none, any, optional, added, changed }
+   * @param {Function} predicate - Optional filter (entityId) => boolean applied when reading results
+   * @param {Object} changeTracker - Provides isAdded/isChanged(entityId, type) for change filters
+   * @param {Function} onError - Reports errors thrown by enter/exit callbacks: (error, query) => void
+   */
+  constructor(descriptor = [], predicate = null, changeTracker = null, onError = null) {
+    const { all, none, any, optional, added, changed } = Query.normalizeDescriptor(descriptor);
+    this.all = all;
+    this.none = none;
+    this.any = any;
+    this.optional = optional;
+    this.added = added;
+    this.changed = changed;
+    this.predicate = predicate;
+    this.changeTracker = added.length > 0 || changed.length > 0 ? changeTracker : null;
+    this.onError = onError;
+    this.key = Query.createKey({ all, none, any, optional, added, changed });
+    this.entities = new Set();
+    this.enterCallbacks = new Set();
+    this.exitCallbacks = new Set();
+    this.archetypes = null; // Array<Archetype> when the world uses archetype storage
+    this.base = null; // for views made by filter(): the query whose results they read
+    this.views = new Set(); // views with enter/exit callbacks
+  }
+
+  /**
+   * Normalize a list of component types or a partial descriptor
+   * Types in `added` and `changed` are also added to `all`.
+   * @param {Array<string>|Object} descriptor - Component types (all-of) or
+   *   { all, none, any, optional, added, changed }
+   * @returns {{all: Array<string>, none: Array<string>, any: Array<string>, optional: Array<string>,
+   *   added: Array<string>, changed: Array<string>}}
+   */
+  static normalizeDescriptor(descriptor = []) {
+    const source = Array.isArray(descriptor) ? { all: descriptor } : descriptor;
+    const normalize = types => [...new Set(types || [])].sort();
+    const added = normalize(source.added);
+    const changed = normalize(source.changed);
+
+    return {
+      all: normalize([...(source.all || []), ...added, ...changed]),
+      none: normalize(source.none),
+      any: normalize(source.any),
+      optional: normalize(source.optional),
+      added,
+      changed
+    };
+  }
+
+  /**
+   * Build the cache key used by ECSManager to share identical queries
+   * All-of queries keep the plain 'a|b' form; other clauses are appended.
+   * @param {Array<string>|Object} descriptor - Component types (all-of) or { all, none, any, optional }
+   * @returns {string} Order-independent query key
+   */
+  static createKey(descriptor) {
+    const { all, none, any, optional, added, changed } = Query.normalizeDescriptor(descriptor);
+    let key = all.join('|');
+
+    if (none.length > 0) key += ` !(${none.join('|')})`;
+    if (any.length > 0) key += ` ~(${any.join('|')})`;
+    if (optional.length > 0) key += ` ?(${optional.join('|')})`;
+    if (added.length > 0) key += ` +(${added.join('|')})`;
+    if (changed.length > 0) key += ` *(${changed.join('|')})`;
+
+    return key;
+  }
+
+  /**
+   * Component types this query must have (the `all` clause)
+   * @returns {Array<string>}
+   */
+  get componentTypes() {
+    return this.all;
+  }
+
+  /**
+   * Component types whose addition or removal can change membership
+   * @returns {Array<string>}
+   */
+  get watchedTypes() {
+    return [...new Set([...this.all, ...this.none, ...this.any])];
+  }
+
+  /**
+   * Check whether a component signature matches this query
+   * @param {{has: Function}} signature - Component set (an entity's components Map or its Archetype)
+   * @returns {boolean} True if the signature satisfies the all/none/any clauses
+   */
+  matches(signature) {
+    return this.all.every(type => signature.has(type))
+      && !this.none.some(type => signature.has(type))
+      && (this.any.length === 0 || this.any.some(type => signature.has(type)));
+  }
+
+  /**
+   * Check whether a matching entity passes the change filters and the predicate
+   * @param {string} entityId - The entity ID
+   * @returns {boolean}
+   */
+  accepts(entityId) {
+    const tracker = this.changeTracker;
+    if (tracker) {
+      if (!this.added.every(type => tracker.isAdded(entityId, type))) return false;
+      if (!this.changed.every(type => tracker.isChanged(entityId, type))) return false;
+    }
+    return !this.predicate || this.predicate(entityId) === true;
+  }
+
+  /**
+   * Re-evaluate an entity after a structural change and update membership
+   * @param {string} entityId - The entity ID
+   * @param {{has: Function}} signature - The entity's current component signature
+   * @returns {boolean} True if membership changed
+   */
+  evaluate(entityId, signature) {
+    if (this.matches(signature)) {
+      return this.add(entityId);
+    }
+    return this.remove(entityId);
+  }
+
+  /**
+   * Start tracking matching archetypes (archetype storage mode)
+   * @param {Iterable<Archetype>} archetypes - Existing archetypes
+   */
+  trackArchetypes(archetypes) {
+    this.archetypes = [];
+    for (const archetype of archetypes) {
+      this.addArchetype(archetype);
+    }
+  }
+
+  /**
+   * Track an archetype if its signature matches this query
+   * @param {Archetype} archetype - The archetype
+   * @returns {boolean} True if the archetype was added
+   */
+  addArchetype(archetype) {
+    if (!this.archetypes || !this.matches(archetype)) return false;
+
+    this.archetypes.push(archetype);
+    return true;
+  }
+
+  /**
+   * Add an entity to the result set, firing enter callbacks if it was not already present
+   * @param {string} entityId - The entity ID
+   * @returns {boolean} True if the entity was added
+   */
+  add(entityId) {
+    if (this.entities.has(entityId)) return false;
+
+    this.entities.add(entityId);
+    this.notify(this.enterCallbacks, entityId);
+    this.notifyViews('enter', entityId);
+    return true;
+  }
+
+  /**
+   * Remove an entity from the result set, firing exit callbacks if it was present
+   * @param {string} entityId - The entity ID
+   * @returns {boolean} True if the entity was removed
+   */
+  remove(entityId) {
+    if (!this.entities.has(entityId)) return false;
+
+    this.entities.delete(entityId);
+    this.notify(this.exitCallbacks, entityId);
+    this.notifyViews('exit', entityId);
+    return true;
+  }
+
+  /**
+   * Subscribe to entities starting to match this query
+   * @param {Function} callback - (entityId, query) => void
+   * @returns {Query} This query for chaining
+   */
+  onEnter(callback) {
+    this.enterCallbacks.add(callback);
+    this.syncView();
+    return this;
+  }
+
+  /**
+   * Unsubscribe from enter notifications
+   * @param {Function} callback
+   */
+  offEnter(callback) {
+    this.enterCallbacks.delete(callback);
+    this.syncView();
+  }
+
+  /**
+   * Subscribe to entities no longer matching this query
+   * @param {Function} callback - (entityId, query) => void
+   * @returns {Query} This query for chaining
+   */
+  onExit(callback) {
+    this.exitCallbacks.add(callback);
+    this.syncView();
+    return this;
+  }
+
+  /**
+   * Unsubscribe from exit notifications
+   * @param {Function} callback
+   */
+  offExit(callback) {
+    this.exitCallbacks.delete(callback);
+    this.syncView();
+  }
+
+  /**
+   * Invoke callbacks for an entity, isolating listener errors
+   * @param {Set<Function>} callbacks - Callbacks to invoke
+   * @param {string} entityId - The entity ID
+   */
+  notify(callbacks, entityId) {
+    for (const callback of callbacks) {
+      try {
+        callback(entityId, this);
+      } catch (error) {
+        if (this.onError) {
+          this.onError(error, this);
+        }
+      }
+    }
+  }
+
+  /**
+   * Invoke the enter or exit callbacks of views whose predicate accepts an entity
+   * Predicate errors are reported like callback errors.
+   * @param {string} event - 'enter' or 'exit'
+   * @param {string} entityId - The entity ID
+   */
+  notifyViews(event, entityId) {
+    for (const view of this.views) {
+      const callbacks = event === 'enter' ? view.enterCallbacks : view.exitCallbacks;
+      if (callbacks.size === 0) continue;
+
+      let accepted = false;
+      try {
+        accepted = view.accepts(entityId);
+      } catch (error) {
+        if (this.onError) {
+          this.onError(error, view);
+        }
+      }
+      if (accepted) {
+        view.notify(callbacks, entityId);
+      }
+    }
+  }
+
+  /**
+   * Create a view of this query that also applies a predicate when results are read
+   * The view shares this query's maintained results but has its own enter/exit callbacks,
+   * which only fire for entities the predicate accepts. Views need no registration: only
+   * those with callbacks are tracked, until their callbacks are removed or
+   * ECSManager.removeQuery(view) drops them.
+   * @param {Function} predicate - Filter (entityId) => boolean
+   * @returns {Query} Filtered view
+   */
+  filter(predicate) {
+    return Object.create(this, {
+      predicate: { value: predicate },
+      base: { value: this.base || this },
+      enterCallbacks: { value: new Set() },
+      exitCallbacks: { value: new Set() }
+    });
+  }
+
+  /**
+   * Track a view on its base query while it has callbacks
+   */
+  syncView() {
+    if (!this.base) return;
+
+    if (this.enterCallbacks.size > 0 || this.exitCallbacks.size > 0) {
+      this.base.views.add(this);
+    } else {
+      this.base.views.delete(this);
+    }
+  }
+
+  /**
+   * Drop a view made by filter() along with its callbacks
+   * @param {Query} view - The view
+   * @returns {boolean} True if the view reads from this query
+   */
+  removeView(view) {
+    if (view.base !== this) return false;
+
+    view.enterCallbacks.clear();
+    view.exitCallbacks.clear();
+    this.views.delete(view);
+    return true;
+  }
+
+  /**
+   * Check whether an entity is currently in the result set
+   * @param {string} entityId - The entity ID
+   * @returns {boolean}
+   */
+  has(entityId) {
+    return this.entities.has(entityId) && this.accepts(entityId);
+  }
+
+  /**
+   * Number of matching entities
+   * @returns {number}
+   */
+  get size() {
+    if (!this.predicate && !this.changeTracker) {
+      return this.entities.size;
+    }
+
+    let size = 0;
+    for (const entityId of this.entities) {
+      if (this.accepts(entityId)) size++;
+    }
+    return size;
+  }
+
+  /**
+   * Get a snapshot of the matching entity IDs
+   * @returns {Array<string>} Array of entity IDs
+   */
+  toArray() {
+    return Array.from(this);
+  }
+
+  /**
+   * Iterate matching entity IDs
+   * Walks archetype tables directly when archetypes are tracked. Their rows are swap-removed
+   * as entities are destroyed or change archetype, so they are copied up front and entities
+   * that left the results since are skipped, matching iteration over the result set.
+   */
+  *[Symbol.iterator]() {
+    if (!this.archetypes) {
+      for (const entityId of this.entities) {
+        if (this.accepts(entityId)) {
+          yield entityId;
+        }
+      }
+      return;
+    }
+
+    const sources = this.archetypes.map(archetype => archetype.entities.slice());
+    for (const source of sources) {
+      for (const entityId of source) {
+        if (this.entities.has(entityId) && this.accepts(entityId)) {
+          yield entityId;
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop all results and callbacks
+   */
+  clear() {
+    this.entities.clear();
+    this.enterCallbacks.clear();
+    this.exitCallbacks.clear();
+    for (const view of Array.from(this.views)) {
+      this.removeView(view);
+    }
+    if (this.archetypes) {
+      this.archetypes.length = 0;
+    }
+  }
+}
+
+export default Query;
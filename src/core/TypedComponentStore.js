@@ -0,0 +1,328 @@
+/**
+ * TypedComponentStore
+ * Structure-of-arrays storage for numeric components. A schema such as
+ * `{ position: { x: 'f32', y: 'f32', z: 'f32' } }` is flattened into one typed-array column
+ * per field ('position.x', ...), with dense rows mapped to entity IDs.
+ * Each entity gets a persistent accessor view whose getters/setters read and write the columns
+ * directly, so systems can use `transform.position.x` without per-frame allocations.
+ * Columns can be copied out for worker transfer or serialized as plain arrays.
+ */
+
+import { readPath } from './utilities.js';
+
+/**
+ * Typed array constructors by schema field type
+ */
+const FIELD_TYPES = {
+  f32: Float32Array,
+  f64: Float64Array,
+  i8: Int8Array,
+  i16: Int16Array,
+  i32: Int32Array,
+  u8: Uint8Array,
+  u16: Uint16Array,
+  u32: Uint32Array
+};
+
+/**
+ * Typed-array component store for a single component type
+ */
+class TypedComponentStore {
+  /**
+   * @param {string} type - Component type stored here
+   * @param {Object} schema - Field schema; leaves are field type names, objects are nested groups
+   * @param {Object} options - Configuration options
+   * @param {number} options.capacity - Initial row capacity (default: 64)
+   */
+  constructor(type, schema, options = {}) {
+    this.type = type;
+    this.schema = schema;
+    this.capacity = Math.max(1, options.capacity || 64);
+    this.size = 0;
+    this.fields = []; // [{ path, type }]
+    this.columns = {}; // field path -> TypedArray
+    this.entities = []; // row -> entityId
+    this.rows = new Map(); // entityId -> row
+    this.accessors = []; // row -> accessor view
+
+    this.root = this.compile(schema, '');
+    for (const field of this.fields) {
+      this.columns[field.path] = new FIELD_TYPES[field.type](this.capacity);
+    }
+  }
+
+  /**
+   * Check whether a value is a numeric component schema
+   * @param {Object} schema - Candidate schema
+   * @returns {boolean} True if every leaf is a known field type
+   */
+  static isValidSchema(schema) {
+    if (!schema || typeof schema !== 'object') return false;
+
+    const entries = Object.entries(schema);
+    return entries.length > 0 && entries.every(([, value]) => (
+      typeof value === 'string'
+        ? Object.prototype.hasOwnProperty.call(FIELD_TYPES, value)
+        : TypedComponentStore.isValidSchema(value)
+    ));
+  }
+
+  /**
+   * Flatten a schema node into columns and build the accessor prototype for it
+   * @param {Object} node - Schema node
+   * @param {string} prefix - Field path prefix
+   * @returns {Object} Compiled node ({ proto, groups })
+   */
+  compile(node, prefix) {
+    const store = this;
+    const compiled = { proto: {}, keys: [], groups: [] };
+
+    for (const [key, value] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      compiled.keys.push(key);
+
+      if (typeof value === 'string') {
+        if (!FIELD_TYPES[value]) {
+          throw new Error(`Unknown field type '${value}' for ${this.type}.${path}`);
+        }
+        this.fields.push({ path, type: value });
+
+        Object.defineProperty(compiled.proto, key, {
+          get() {
+            return store.columns[path][this._root._row];
+          },
+          set(fieldValue) {
+            store.columns[path][this._root._row] = fieldValue;
+          },
+          enumerable: true
+        });
+      } else {
+        compiled.groups.push({ key, node: this.compile(value, path) });
+      }
+    }
+
+    Object.defineProperty(compiled.proto, 'toJSON', {
+      value() {
+        const result = {};
+        for (const key of compiled.keys) {
+          const fieldValue = this[key];
+          result[key] = typeof fieldValue === 'object' ? fieldValue.toJSON() : fieldValue;
+        }
+        return result;
+      }
+    });
+
+    return compiled;
+  }
+
+  /**
+   * Create an accessor view for a compiled node
+   * @param {Object} compiled - Compiled schema node
+   * @param {Object} root - Root accessor (owns the row index)
+   * @returns {Object} Accessor view
+   */
+  createView(compiled, root = null) {
+    const view = Object.create(compiled.proto);
+    Object.defineProperty(view, '_root', { value: root || view });
+    if (!root) {
+      Object.defineProperty(view, '_row', { value: -1, writable: true });
+    }
+
+    for (const group of compiled.groups) {
+      Object.defineProperty(view, group.key, {
+        value: this.createView(group.node, root || view),
+        enumerable: true
+      });
+    }
+
+    return view;
+  }
+
+  /**
+   * Double column capacity until a row count fits
+   * @param {number} required - Required number of rows
+   */
+  ensureCapacity(required) {
+    if (required <= this.capacity) return;
+
+    while (this.capacity < required) {
+      this.capacity *= 2;
+    }
+
+    for (const field of this.fields) {
+      const grown = new FIELD_TYPES[field.type](this.capacity);
+      grown.set(this.columns[field.path]);
+      this.columns[field.path] = grown;
+    }
+  }
+
+  /**
+   * Add a row for an entity
+   * @param {string} entityId - The entity ID
+   * @param {Object} data - Initial values (missing fields default to 0)
+   * @returns {Object} The entity's accessor view
+   */
+  add(entityId, data = {}) {
+    if (this.rows.has(entityId)) {
+      this.set(entityId, data);
+      return this.get(entityId);
+    }
+
+    this.ensureCapacity(this.size + 1);
+    const row = this.size++;
+    const accessor = this.createView(this.root);
+    accessor._row = row;
+
+    this.entities[row] = entityId;
+    this.accessors[row] = accessor;
+    this.rows.set(entityId, row);
+    this.set(entityId, data);
+
+    return accessor;
+  }
+
+  /**
+   * Remove an entity's row, moving the last row into its place
+   * @param {string} entityId - The entity ID
+   * @returns {boolean} True if the entity had a row
+   */
+  remove(entityId) {
+    const row = this.rows.get(entityId);
+    if (row === undefined) return false;
+
+    const lastRow = --this.size;
+    const removedAccessor = this.accessors[row];
+
+    if (row !== lastRow) {
+      for (const field of this.fields) {
+        const column = this.columns[field.path];
+        column[row] = column[lastRow];
+      }
+
+      const movedEntityId = this.entities[lastRow];
+      const movedAccessor = this.accessors[lastRow];
+      movedAccessor._row = row;
+      this.entities[row] = movedEntityId;
+      this.accessors[row] = movedAccessor;
+      this.rows.set(movedEntityId, row);
+    }
+
+    this.entities.length = lastRow;
+    this.accessors.length = lastRow;
+    this.rows.delete(entityId);
+    removedAccessor._row = -1;
+
+    return true;
+  }
+
+  /**
+   * Check whether an entity has a row
+   * @param {string} entityId - The entity ID
+   * @returns {boolean}
+   */
+  has(entityId) {
+    return this.rows.has(entityId);
+  }
+
+  /**
+   * Get the accessor view for an entity
+   * @param {string} entityId - The entity ID
+   * @returns {Object|null} Accessor view or null if not found
+   */
+  get(entityId) {
+    const row = this.rows.get(entityId);
+    return row === undefined ? null : this.accessors[row];
+  }
+
+  /**
+   * Get the row index of an entity (for direct column access)
+   * @param {string} entityId - The entity ID
+   * @returns {number} Row index or -1 if not found
+   */
+  rowOf(entityId) {
+    const row = this.rows.get(entityId);
+    return row === undefined ? -1 : row;
+  }
+
+  /**
+   * Replace all field values of an entity (missing fields are reset to 0)
+   * @param {string} entityId - The entity ID
+   * @param {Object} data - Nested field values
+   * @returns {boolean} True if the entity had a row
+   */
+  set(entityId, data = {}) {
+    const row = this.rows.get(entityId);
+    if (row === undefined) return false;
+
+    for (const field of this.fields) {
+      const value = readPath(data, field.path);
+      this.columns[field.path][row] = typeof value === 'number' ? value : 0;
+    }
+
+    return true;
+  }
+
+  /**
+   * Read a single field value
+   * @param {string} entityId - The entity ID
+   * @param {string} path - Field path (e.g. 'position.x')
+   * @returns {number|undefined} The value or undefined if not found
+   */
+  read(entityId, path) {
+    const row = this.rows.get(entityId);
+    const column = this.columns[path];
+    if (row === undefined || !column) return undefined;
+
+    return column[row];
+  }
+
+  /**
+   * Write a single field value
+   * @param {string} entityId - The entity ID
+   * @param {string} path - Field path (e.g. 'position.x')
+   * @param {number} value - The value
+   * @returns {boolean} True if written
+   */
+  write(entityId, path, value) {
+    const row = this.rows.get(entityId);
+    const column = this.columns[path];
+    if (row === undefined || !column) return false;
+
+    column[row] = value;
+    return true;
+  }
+
+  /**
+   * Copy the used part of every column into standalone typed arrays
+   * The returned buffers can be transferred to a worker with postMessage.
+   * @returns {Object} { type, schema, size, entities, columns }
+   */
+  snapshot() {
+    const columns = {};
+    for (const field of this.fields) {
+      columns[field.path] = this.columns[field.path].slice(0, this.size);
+    }
+
+    return {
+      type: this.type,
+      schema: this.schema,
+      size: this.size,
+      entities: this.entities.slice(0, this.size),
+      columns
+    };
+  }
+
+  /**
+   * Get a JSON-friendly snapshot with plain number arrays
+   * @returns {Object} { type, schema, size, entities, columns }
+   */
+  toJSON() {
+    const snapshot = this.snapshot();
+    for (const path of Object.keys(snapshot.columns)) {
+      snapshot.columns[path] = Array.from(snapshot.columns[path]);
+    }
+    return snapshot;
+  }
+}
+
+export default TypedComponentStore;
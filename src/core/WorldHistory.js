@@ -0,0 +1,377 @@
+/**
+ * WorldHistory
+ * Undo/redo log of world mutations for editor workflows. While a transaction is open
+ * (begin() ... commit()), ECSManager reports every change made through its API: entity
+ * creation and destruction, component adds/removes/sets, tags, relations, parenting and
+ * activation. Each entry holds enough state to be reversed, and entity IDs are restored
+ * exactly (numeric handles are reclaimed through the ID allocator).
+ * Component data mutated in place (bypassing setComponent) is not tracked, but the log keeps
+ * its own copies, so such mutations cannot leak into recorded states. Restored data
+ * skips registry defaults and onAdd hooks, which already shaped it when it was recorded;
+ * onSet/onRemove hooks still run so observers stay in sync.
+ */
+
+import { deepClone } from './utilities.js';
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Transaction log with undo and redo stacks
+ */
+class WorldHistory {
+  /**
+   * @param {ECSManager} ecsManager - The ECS Manager whose changes are recorded
+   * @param {Object} options - { limit: maximum number of undoable transactions (default 100) }
+   */
+  constructor(ecsManager, options = {}) {
+    this.ecsManager = ecsManager;
+    this.limit = Number.isInteger(options.limit) && options.limit >= 0 ? options.limit : DEFAULT_LIMIT;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = null; // { label, entries } while recording
+    this.depth = 0; // nested begin() calls
+    this.applying = false; // true while undoing/redoing, so replayed changes are not recorded
+  }
+
+  /**
+   * Check whether changes are currently being recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.transaction !== null && !this.applying;
+  }
+
+  /**
+   * Check whether an undo, redo or cancel is being applied
+   * ECSManager then stores component data as recorded, without defaults or add hooks.
+   * @returns {boolean}
+   */
+  isRestoring() {
+    return this.applying;
+  }
+
+  /**
+   * Start recording a transaction; nested calls join the outer transaction
+   * @param {string} label - Optional description shown by editor UIs
+   * @returns {boolean} True if a new transaction was started
+   */
+  begin(label = null) {
+    this.depth++;
+    if (this.transaction) {
+      return false;
+    }
+
+    this.transaction = { label, entries: [] };
+    return true;
+  }
+
+  /**
+   * Finish the current transaction and make it undoable
+   * Empty transactions are dropped. Committing clears the redo stack.
+   * @returns {boolean} True if a transaction was added to the undo stack
+   */
+  commit() {
+    if (!this.transaction) {
+      this.ecsManager.debugManager.log('warn', 'History commit without an open transaction');
+      return false;
+    }
+
+    this.depth--;
+    if (this.depth > 0) {
+      return false;
+    }
+
+    const transaction = this.transaction;
+    this.transaction = null;
+    if (transaction.entries.length === 0) {
+      return false;
+    }
+
+    this.undoStack.push(transaction);
+    this.redoStack.length = 0;
+    this.trim();
+    this.emit('history:committed', transaction);
+    return true;
+  }
+
+  /**
+   * Abort the current transaction, reverting the changes it recorded
+   * @returns {boolean} True if a transaction was cancelled
+   */
+  cancel() {
+    if (!this.transaction) {
+      return false;
+    }
+
+    const transaction = this.transaction;
+    this.transaction = null;
+    this.depth = 0;
+    this.revert(transaction);
+    this.emit('history:cancelled', transaction);
+    return true;
+  }
+
+  /**
+   * Undo the most recent committed transaction
+   * @returns {boolean} True if a transaction was undone
+   */
+  undo() {
+    if (this.transaction) {
+      this.ecsManager.debugManager.log('error', 'Cannot undo while a history transaction is open');
+      return false;
+    }
+    if (this.undoStack.length === 0) {
+      return false;
+    }
+
+    const transaction = this.undoStack.pop();
+    this.revert(transaction);
+    this.redoStack.push(transaction);
+    this.emit('history:undone', transaction);
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone transaction
+   * @returns {boolean} True if a transaction was redone
+   */
+  redo() {
+    if (this.transaction) {
+      this.ecsManager.debugManager.log('error', 'Cannot redo while a history transaction is open');
+      return false;
+    }
+    if (this.redoStack.length === 0) {
+      return false;
+    }
+
+    const transaction = this.redoStack.pop();
+    this.replay(transaction);
+    this.undoStack.push(transaction);
+    this.emit('history:redone', transaction);
+    return true;
+  }
+
+  /**
+   * Check whether there is a transaction to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is a transaction to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Change the maximum number of undoable transactions, dropping the oldest ones
+   * @param {number} limit - New limit (0 disables undo)
+   */
+  setLimit(limit) {
+    this.limit = Math.max(0, limit);
+    this.trim();
+  }
+
+  /**
+   * Forget all recorded transactions
+   */
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this.emit('history:cleared', null);
+  }
+
+  /**
+   * Record a change; called by ECSManager before it mutates the world
+   * @param {Object} entry - { op, entityId, ... } with the state needed to reverse the change
+   */
+  record(entry) {
+    if (this.isRecording()) {
+      this.transaction.entries.push(entry);
+    }
+  }
+
+  /**
+   * Copy component data for the log
+   * Typed components expose views over shared columns, so their values are copied out;
+   * other data is deep-cloned, as callers may keep mutating the live object.
+   * Nothing is copied while no transaction is recording.
+   * @param {string} type - The component type
+   * @param {*} data - Component data
+   * @returns {*} Data safe to keep in the log
+   */
+  captureData(type, data) {
+    if (!this.isRecording()) {
+      return data;
+    }
+    return this.ecsManager.typedStores.has(type) ? JSON.parse(JSON.stringify(data)) : deepClone(data);
+  }
+
+  /**
+   * Drop the oldest transactions beyond the limit
+   */
+  trim() {
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+  }
+
+  /**
+   * Reverse a transaction's entries, newest first
+   * @param {Object} transaction - The transaction
+   */
+  revert(transaction) {
+    this.apply(() => {
+      for (let i = transaction.entries.length - 1; i >= 0; i--) {
+        this.revertEntry(transaction.entries[i]);
+      }
+    });
+  }
+
+  /**
+   * Re-apply a transaction's entries in their original order
+   * @param {Object} transaction - The transaction
+   */
+  replay(transaction) {
+    this.apply(() => {
+      for (const entry of transaction.entries) {
+        this.replayEntry(entry);
+      }
+    });
+  }
+
+  /**
+   * Run changes with recording suspended
+   * @param {Function} fn - Changes to make
+   */
+  apply(fn) {
+    const previous = this.applying;
+    this.applying = true;
+    try {
+      fn();
+    } finally {
+      this.applying = previous;
+    }
+  }
+
+  /**
+   * Undo a single entry
+   * @param {Object} entry - The log entry
+   */
+  revertEntry(entry) {
+    const ecs = this.ecsManager;
+
+    switch (entry.op) {
+    case 'create':
+      ecs.destroyEntity(entry.entityId, { cascade: false });
+      break;
+    case 'destroy':
+      if (ecs.createEntityWithId(entry.entityId, entry.name) !== null) {
+        const entity = ecs.getEntity(entry.entityId);
+        if (entry.prefab) {
+          entity.prefab = entry.prefab;
+        }
+        ecs.setEntityActive(entry.entityId, entry.activeSelf);
+      }
+      break;
+    case 'add':
+      if (entry.previous === undefined) {
+        ecs.removeComponent(entry.entityId, entry.type);
+      } else {
+        ecs.setComponent(entry.entityId, entry.type, deepClone(entry.previous));
+      }
+      break;
+    case 'set':
+      ecs.setComponent(entry.entityId, entry.type, deepClone(entry.previous));
+      break;
+    case 'remove':
+      ecs.addComponent(entry.entityId, entry.type, deepClone(entry.data));
+      break;
+    case 'tag':
+      if (entry.present) {
+        ecs.removeTag(entry.entityId, entry.tag);
+      } else {
+        ecs.addTag(entry.entityId, entry.tag);
+      }
+      break;
+    case 'relation':
+      if (entry.present) {
+        ecs.removeRelation(entry.entityId, entry.relation, entry.target);
+      } else {
+        ecs.addRelation(entry.entityId, entry.relation, entry.target);
+      }
+      break;
+    case 'parent':
+      ecs.setParent(entry.entityId, entry.previousParent, { index: entry.previousIndex });
+      break;
+    case 'active':
+      ecs.setEntityActive(entry.entityId, entry.previous);
+      break;
+    }
+  }
+
+  /**
+   * Redo a single entry
+   * @param {Object} entry - The log entry
+   */
+  replayEntry(entry) {
+    const ecs = this.ecsManager;
+
+    switch (entry.op) {
+    case 'create':
+      ecs.createEntityWithId(entry.entityId, entry.name);
+      break;
+    case 'destroy':
+      ecs.destroyEntity(entry.entityId, { cascade: false });
+      break;
+    case 'add':
+      ecs.addComponent(entry.entityId, entry.type, deepClone(entry.data));
+      break;
+    case 'set':
+      ecs.setComponent(entry.entityId, entry.type, deepClone(entry.data));
+      break;
+    case 'remove':
+      ecs.removeComponent(entry.entityId, entry.type);
+      break;
+    case 'tag':
+      if (entry.present) {
+        ecs.addTag(entry.entityId, entry.tag);
+      } else {
+        ecs.removeTag(entry.entityId, entry.tag);
+      }
+      break;
+    case 'relation':
+      if (entry.present) {
+        ecs.addRelation(entry.entityId, entry.relation, entry.target);
+      } else {
+        ecs.removeRelation(entry.entityId, entry.relation, entry.target);
+      }
+      break;
+    case 'parent':
+      ecs.setParent(entry.entityId, entry.parent, { index: entry.index });
+      break;
+    case 'active':
+      ecs.setEntityActive(entry.entityId, entry.active);
+      break;
+    }
+  }
+
+  /**
+   * Emit a history event so editor UIs can refresh
+   * @param {string} eventType - The event type
+   * @param {Object|null} transaction - The affected transaction
+   */
+  emit(eventType, transaction) {
+    this.ecsManager.eventManager.emit(eventType, {
+      label: transaction ? transaction.label : null,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+}
+
+export default WorldHistory;
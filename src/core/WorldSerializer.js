@@ -0,0 +1,312 @@
+/**
+ * WorldSerializer
+ * Saves and restores the state of an ECSManager as a versioned, JSON-compatible document:
+ * entities with their IDs, names, active flags, children, tags, relations and component data,
+ * and optionally the world's resources.
+ * Component types registered with `serialize`/`deserialize` functions (e.g. a `mesh` component
+ * holding a THREE.Mesh) control their own representation; other data is copied as plain JSON.
+ * Restoring goes through the regular ECSManager API, so the usual lifecycle events fire and
+ * systems rebuild their state.
+ */
+
+const WORLD_FORMAT = 'ecs-world';
+const WORLD_VERSION = 1;
+
+/**
+ * JSON world snapshot serializer
+ */
+class WorldSerializer {
+  /**
+   * @param {ECSManager} ecsManager - The ECS Manager to save and restore
+   */
+  constructor(ecsManager) {
+    this.ecsManager = ecsManager;
+  }
+
+  /**
+   * Build a snapshot document of the current world
+   * Resources are only included when asked for, since most (scene, renderer, input manager)
+   * hold live objects rather than state worth saving.
+   * @param {Object} options - { resources: true (all) | Array of resource keys to include }
+   * @returns {Object} Versioned world document
+   */
+  serialize(options = {}) {
+    const ecs = this.ecsManager;
+    const entities = [];
+
+    for (const entity of ecs.entities.values()) {
+      const components = {};
+
+      for (const type of ecs.storage.types(entity)) {
+        const serialized = this.serializeComponent(type, ecs.storage.get(entity, type), entity.id);
+        if (serialized !== undefined) {
+          components[type] = serialized;
+        }
+      }
+
+      const record = {
+        id: entity.id,
+        name: entity.name,
+        active: entity.activeSelf,
+        components
+      };
+      if (entity.prefab) {
+        record.prefab = entity.prefab;
+      }
+      if (entity.children.length > 0) {
+        record.children = entity.children.slice();
+      }
+      const tags = ecs.getTags(entity.id);
+      if (tags.length > 0) {
+        record.tags = tags;
+      }
+      if (entity.relations.size > 0) {
+        record.relations = {};
+        for (const [relation, targets] of entity.relations) {
+          record.relations[relation] = Array.from(targets);
+        }
+      }
+      entities.push(record);
+    }
+
+    const doc = {
+      format: WORLD_FORMAT,
+      version: WORLD_VERSION,
+      idMode: ecs.idAllocator ? 'numeric' : 'string',
+      entityIdCounter: ecs.entityIdCounter,
+      entities
+    };
+    if (options.resources) {
+      doc.resources = this.serializeResources(options.resources);
+    }
+    return doc;
+  }
+
+  /**
+   * Copy resources into a snapshot as plain JSON
+   * @param {boolean|Array<string>} keys - true for every resource, or the keys to include
+   * @returns {Object} Resource key -> JSON data
+   */
+  serializeResources(keys) {
+    const ecs = this.ecsManager;
+    const resources = {};
+
+    for (const key of keys === true ? ecs.resources.keys() : keys) {
+      if (!ecs.hasResource(key)) continue;
+
+      try {
+        const json = JSON.stringify(ecs.getResource(key));
+        if (json !== undefined) {
+          resources[key] = JSON.parse(json);
+        }
+      } catch (error) {
+        ecs.debugManager.log('warn', `Skipping resource ${key}: not serializable`, error);
+      }
+    }
+    return resources;
+  }
+
+  /**
+   * Serialize a single component's data
+   * @param {string} type - The component type
+   * @param {Object} component - The component record
+   * @param {string|number} entityId - The owning entity ID
+   * @returns {*} JSON-compatible data, or undefined if the component cannot be serialized
+   */
+  serializeComponent(type, component, entityId) {
+    const definition = this.ecsManager.componentRegistry.get(type);
+
+    try {
+      if (definition && typeof definition.serialize === 'function') {
+        return definition.serialize(component.data, { entityId, type, ecs: this.ecsManager });
+      }
+      return JSON.parse(JSON.stringify(component.data));
+    } catch (error) {
+      this.ecsManager.debugManager.log('warn', `Skipping component ${type} on ${entityId}: not serializable`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Check that a value is a supported world document
+   * @param {Object} doc - Candidate document
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validate(doc) {
+    if (!doc || typeof doc !== 'object') {
+      return ['Document must be an object'];
+    }
+
+    const errors = [];
+    if (doc.format !== WORLD_FORMAT) {
+      errors.push(`Unknown document format: ${doc.format}`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version > WORLD_VERSION) {
+      errors.push(`Unsupported document version: ${doc.version}`);
+    }
+    if (!Array.isArray(doc.entities)) {
+      errors.push('Document entities must be an array');
+    }
+    return errors;
+  }
+
+  /**
+   * Restore a world document
+   * In 'replace' mode every existing entity is destroyed first. In 'merge' mode entities whose
+   * IDs already exist are updated in place (their other components are kept) and the rest are
+   * created. IDs are preserved when the world can claim them, otherwise they are remapped.
+   * Resources in the document are set on the world; resources it does not mention are kept.
+   * @param {Object} doc - World document produced by serialize()
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Object|null} { entities, idMap } or null if the document was rejected
+   */
+  deserialize(doc, options = {}) {
+    const ecs = this.ecsManager;
+    const mode = options.mode === 'merge' ? 'merge' : 'replace';
+
+    const errors = this.validate(doc);
+    if (errors.length > 0) {
+      ecs.debugManager.log('error', 'Cannot deserialize world', errors);
+      return null;
+    }
+
+    if (mode === 'replace') {
+      for (const entityId of Array.from(ecs.entities.keys())) {
+        if (ecs.hasEntity(entityId)) {
+          ecs.destroyEntity(entityId);
+        }
+      }
+    }
+
+    // Resources first, so component deserializers can use them
+    if (doc.resources && typeof doc.resources === 'object') {
+      for (const [key, value] of Object.entries(doc.resources)) {
+        ecs.setResource(key, value);
+      }
+    }
+
+    // Create or update every entity before linking, so hierarchy links and component data may reference any of them
+    const idMap = new Map();
+    for (const record of doc.entities) {
+      const entityId = this.restoreEntity(record, mode);
+      if (entityId !== null) {
+        idMap.set(record.id, entityId);
+      }
+    }
+
+    for (const record of doc.entities) {
+      const entityId = idMap.get(record.id);
+      if (entityId === undefined || !Array.isArray(record.children)) continue;
+
+      for (const childId of record.children) {
+        if (idMap.has(childId)) {
+          ecs.setParent(idMap.get(childId), entityId);
+        }
+      }
+    }
+
+    for (const record of doc.entities) {
+      if (idMap.has(record.id)) {
+        ecs.setEntityActive(idMap.get(record.id), record.active !== false);
+      }
+    }
+
+    for (const record of doc.entities) {
+      const entityId = idMap.get(record.id);
+      if (entityId === undefined) continue;
+
+      for (const tag of record.tags || []) {
+        ecs.addTag(entityId, tag);
+      }
+      for (const [relation, targets] of Object.entries(record.relations || {})) {
+        for (const targetId of targets) {
+          if (idMap.has(targetId)) {
+            ecs.addRelation(entityId, relation, idMap.get(targetId));
+          }
+        }
+      }
+      for (const [type, data] of Object.entries(record.components || {})) {
+        const restored = this.deserializeComponent(type, data, entityId, idMap);
+        if (restored !== undefined) {
+          ecs.setComponent(entityId, type, restored);
+        }
+      }
+    }
+
+    if (!ecs.idAllocator && Number.isInteger(doc.entityIdCounter)) {
+      ecs.entityIdCounter = Math.max(ecs.entityIdCounter, doc.entityIdCounter);
+    }
+
+    const entities = Array.from(idMap.values());
+    ecs.eventManager.emit('world:deserialized', { mode, entities, idMap });
+    ecs.debugManager.log('info', `Deserialized world (${mode}): ${entities.length} entities`);
+    return { entities, idMap };
+  }
+
+  /**
+   * Create (or, in merge mode, update) the entity for a document record
+   * @param {Object} record - Entity record from the document
+   * @param {string} mode - 'replace' or 'merge'
+   * @returns {string|number|null} The entity ID in this world
+   */
+  restoreEntity(record, mode) {
+    const ecs = this.ecsManager;
+    let entityId = ecs.resolveEntityId(record.id);
+
+    if (!(mode === 'merge' && ecs.hasEntity(entityId))) {
+      if (!this.canClaim(entityId)) {
+        entityId = ecs.reserveEntityId();
+      }
+      entityId = ecs.createEntityWithId(entityId, record.name);
+      if (entityId === null) return null;
+    }
+
+    const entity = ecs.getEntity(entityId);
+    if (record.name) {
+      ecs.setEntityName(entityId, record.name);
+    }
+    if (record.prefab) {
+      entity.prefab = record.prefab;
+    }
+    return entityId;
+  }
+
+  /**
+   * Check whether a document ID can be reused as-is in this world
+   * @param {string|number} entityId - The document entity ID
+   * @returns {boolean}
+   */
+  canClaim(entityId) {
+    const ecs = this.ecsManager;
+    if (ecs.entities.has(entityId)) return false;
+
+    if (ecs.idAllocator) {
+      return ecs.idAllocator.canClaim(entityId);
+    }
+    return typeof entityId === 'string';
+  }
+
+  /**
+   * Deserialize a single component's data
+   * @param {string} type - The component type
+   * @param {*} data - Serialized data
+   * @param {string|number} entityId - The owning entity ID in this world
+   * @param {Map} idMap - Document ID -> world ID
+   * @returns {*} Component data, or undefined if it could not be restored
+   */
+  deserializeComponent(type, data, entityId, idMap) {
+    const definition = this.ecsManager.componentRegistry.get(type);
+
+    try {
+      if (definition && typeof definition.deserialize === 'function') {
+        return definition.deserialize(data, { entityId, type, idMap, ecs: this.ecsManager });
+      }
+      return JSON.parse(JSON.stringify(data));
+    } catch (error) {
+      this.ecsManager.debugManager.log('warn', `Skipping component ${type} on ${entityId}: not deserializable`, error);
+      return undefined;
+    }
+  }
+}
+
+export default WorldSerializer;
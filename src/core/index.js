@@ -8,3 +8,20 @@
 export { default as ECSManager } from './ECSManager.js';
 export { default as EventManager } from './EventManager.js';
 export { default as DebugManager } from './DebugManager.js';
+export { default as Query } from './Query.js';
+export { default as ComponentRegistry } from './ComponentRegistry.js';
+export { default as ComponentHooks } from './ComponentHooks.js';
+export { default as ComponentIndex } from './ComponentIndex.js';
+export { default as EntityIdAllocator } from './EntityIdAllocator.js';
+export { default as CommandBuffer } from './CommandBuffer.js';
+export { default as PrefabRegistry } from './PrefabRegistry.js';
+export { default as WorldSerializer } from './WorldSerializer.js';
+export { default as BinaryWorldSerializer } from './BinaryWorldSerializer.js';
+export { default as WorldHistory } from './WorldHistory.js';
+export { default as LoopDriver } from './LoopDriver.js';
+
+// Component Storage
+export { default as MapStorage } from './MapStorage.js';
+export { default as ArchetypeStorage } from './ArchetypeStorage.js';
+export { default as Archetype } from './Archetype.js';
+export { default as TypedComponentStore } from './TypedComponentStore.js';
@@ -0,0 +1,74 @@
+/**
+ * utilities.js
+ * Shared helpers for the core ECS modules: plain-object detection, deep cloning and
+ * deep merging of component data, and dotted-path reads. Class instances (e.g. THREE.Mesh) are treated as
+ * opaque values and passed through by reference.
+ */
+
+/**
+ * Check whether a value is a plain object literal (not an array or class instance)
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep clone plain objects and arrays; other values are returned as-is
+ * @param {*} value - The value to clone
+ * @returns {*} The cloned value
+ */
+export function deepClone(value) {
+  if (Array.isArray(value)) {
+    return value.map(deepClone);
+  }
+
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = deepClone(entry);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Deep merge plain objects into a new object; arrays and non-plain values replace
+ * @param {Object} base - Base values (not modified)
+ * @param {Object} overrides - Values that take precedence (not modified)
+ * @returns {Object} The merged object
+ */
+export function deepMerge(base, overrides) {
+  if (!isPlainObject(base) || !isPlainObject(overrides)) {
+    return deepClone(overrides === undefined ? base : overrides);
+  }
+
+  const result = deepClone(base);
+  for (const [key, value] of Object.entries(overrides)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : deepClone(value);
+  }
+  return result;
+}
+
+/**
+ * Read a value at a dotted path (e.g. 'position.x')
+ * @param {Object} data - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} The value, or undefined if any step is missing
+ */
+export function readPath(data, path) {
+  let value = data;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
@@ -8,22 +8,52 @@ import { createInputSystem } from './input/index.js';
 // Initialize the ECS Manager with debug enabled
 const ecsManager = new ECSManager({
   debug: true,
-  debugLevel: 'debug'
+  debugLevel: 'debug',
+  loop: 'fixed' // animation runs at a steady 60Hz, rendering interpolates between steps
 });
 
-// Input system variables
-let inputSystem;
+// Transforms are purely numeric, so store them in typed-array columns
+ecsManager.defineTypedComponent('transform', {
+  position: { x: 'f32', y: 'f32', z: 'f32' },
+  rotation: { x: 'f32', y: 'f32', z: 'f32' },
+  scale: { x: 'f32', y: 'f32', z: 'f32' }
+});
 
-// Three.js setup
-let scene, camera, renderer, gui;
+// Meshes hold Three.js objects, so snapshots store only what is needed to rebuild them
+ecsManager.registerComponent('mesh', {
+  serialize: (data) => ({
+    size: data.mesh.geometry.parameters.width,
+    color: data.mesh.material.color.getHex()
+  }),
+  deserialize: (data) => ({ mesh: createCubeMesh(data.size, data.color) })
+});
 
+// Cube game object: random position and colour per instance
+ecsManager.definePrefab('cube', {
+  components: {
+    transform: () => ({
+      position: {
+        x: (Math.random() - 0.5) * 4,
+        y: (Math.random() - 0.5) * 4,
+        z: (Math.random() - 0.5) * 4
+      },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: { x: 1, y: 1, z: 1 }
+    }),
+    mesh: () => ({ mesh: createCubeMesh(0.5, new THREE.Color().setHSL(Math.random(), 0.7, 0.6)) })
+  }
+});
+
+let gui;
+
+// Three.js setup: the scene, camera and renderer are shared with systems as ECS resources
 function initThreeJS() {
   // Scene
-  scene = new THREE.Scene();
+  const scene = new THREE.Scene();
   scene.background = new THREE.Color(0x222222);
 
   // Camera
-  camera = new THREE.PerspectiveCamera(
+  const camera = new THREE.PerspectiveCamera(
     75, 
     window.innerWidth / window.innerHeight, 
     0.1, 
@@ -32,7 +62,7 @@ function initThreeJS() {
   camera.position.z = 5;
 
   // Renderer
-  renderer = new THREE.WebGLRenderer({ antialias: true });
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.shadowMap.enabled = true;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -47,11 +77,17 @@ function initThreeJS() {
   directionalLight.castShadow = true;
   scene.add(directionalLight);
 
+  ecsManager.setResource('scene', scene);
+  ecsManager.setResource('camera', camera);
+  ecsManager.setResource('renderer', renderer);
+
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
 }
 
 function onWindowResize() {
+  const camera = ecsManager.getResource('camera');
+  const renderer = ecsManager.getResource('renderer');
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
@@ -87,6 +123,7 @@ function setupGUI() {
   });
 
   // Input Controls
+  const inputSystem = ecsManager.getResource('input');
   if (inputSystem && inputSystem.inputManager) {
     const inputActions = {
       pushMenuContext: () => {
@@ -132,31 +169,17 @@ function setupGUI() {
   gui.statsObj = statsObj;
 }
 
-function createCubeEntity() {
-  const entityId = ecsManager.createEntity(`Cube_${Date.now()}`);
-
-  // Add transform component
-  ecsManager.addComponent(entityId, 'transform', {
-    position: { 
-      x: (Math.random() - 0.5) * 4, 
-      y: (Math.random() - 0.5) * 4, 
-      z: (Math.random() - 0.5) * 4 
-    },
-    rotation: { x: 0, y: 0, z: 0 },
-    scale: { x: 1, y: 1, z: 1 }
-  });
-
-  // Create Three.js mesh
-  const geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-  const material = new THREE.MeshLambertMaterial({ 
-    color: new THREE.Color().setHSL(Math.random(), 0.7, 0.6)
-  });
+function createCubeMesh(size, color) {
+  const geometry = new THREE.BoxGeometry(size, size, size);
+  const material = new THREE.MeshLambertMaterial({ color });
   const mesh = new THREE.Mesh(geometry, material);
   mesh.castShadow = true;
   mesh.receiveShadow = true;
+  return mesh;
+}
 
-  // Add mesh component
-  ecsManager.addComponent(entityId, 'mesh', { mesh });
+function createCubeEntity() {
+  const entityId = ecsManager.instantiate('cube', {}, { name: `Cube_${Date.now()}` });
 
   // Start rotation animation
   ecsManager.events.emit('animation:start', {
@@ -228,6 +251,7 @@ function updateGUIStats() {
 }
 
 function setupInputHandlers() {
+  const inputSystem = ecsManager.getResource('input');
   if (!inputSystem || !inputSystem.inputManager) {
     console.warn('Input system not available for handler setup');
     return;
@@ -341,7 +365,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Initialize input system
   try {
-    inputSystem = await createInputSystem(
+    const inputSystem = await createInputSystem(
       ecsManager.events, 
       ecsManager.debugManager,
       {
@@ -351,6 +375,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     );
     
+    ecsManager.setResource('input', inputSystem);
     console.log('Input system initialized successfully');
     
     // Set up input event listeners for demo
@@ -361,11 +386,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   // Register systems
-  const renderSystem = new RenderSystem(scene, camera, renderer);
+  const renderSystem = new RenderSystem();
   const animationSystem = new AnimationSystem();
   
-  ecsManager.registerSystem(renderSystem, 100); // High priority for rendering
-  ecsManager.registerSystem(animationSystem, 50);
+  // Each system declares its stage: animation in 'fixedUpdate', rendering in 'render'
+  ecsManager.registerSystem(renderSystem);
+  ecsManager.registerSystem(animationSystem);
   
   // Set up GUI
   setupGUI();
@@ -384,17 +410,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('Animation completed for entity:', event.data.entityId);
   });
   
-  // Start the ECS update loop with input updates
-  const originalUpdate = ecsManager.update.bind(ecsManager);
-  ecsManager.update = function(deltaTime) {
-    // Update input system first
-    if (inputSystem && inputSystem.inputManager) {
-      inputSystem.inputManager.update(deltaTime);
+  // Poll input at the start of every frame, before any other system reads it
+  ecsManager.registerSystem({
+    name: 'InputSystem',
+    stage: 'input',
+    update: (deltaTime, ecs) => {
+      const inputSystem = ecs.getResource('input');
+      if (inputSystem && inputSystem.inputManager) {
+        inputSystem.inputManager.update(deltaTime);
+      }
     }
-    
-    // Then update ECS
-    originalUpdate(deltaTime);
-  };
+  });
   
   ecsManager.start();
   
@@ -5,6 +5,7 @@
 class AnimationSystem {
   constructor() {
     this.name = 'AnimationSystem';
+    this.stage = 'fixedUpdate'; // runs on the fixed step when the ECS uses the fixed loop mode
     this.ecsManager = null;
     this.animations = new Map(); // entityId -> animation data
   }
@@ -101,6 +102,7 @@ class AnimationSystem {
           transform.position.z += animation.velocity.z * deltaTime * 0.001;
           break;
       }
+      ecsManager.markChanged(entityId, 'transform');
 
       // Check if animation is complete
       if (animation.duration > 0 && progress >= 1) {
@@ -1,15 +1,52 @@
 /**
  * Example Render System for Three.js integration
  * Demonstrates how systems work with the event and debug management
+ * The scene, camera and renderer can be passed in, or are read from the `scene`, `camera`
+ * and `renderer` ECS resources when the system is registered.
+ * In the fixed-timestep loop mode, meshes are placed between the previous and current
+ * fixed-step transforms using the ECS interpolation alpha.
+ */
+
+const TRANSFORM_FIELDS = ['position', 'rotation', 'scale'];
+
+/**
+ * Blend two transforms, treating missing axes like syncTransform does
+ * @param {Object} from - Transform at the previous fixed step
+ * @param {Object} to - Current transform
+ * @param {number} alpha - Blend factor (0 = from, 1 = to)
+ * @returns {Object} Blended transform
+ */
+function lerpTransform(from, to, alpha) {
+  const result = {};
+  for (const field of TRANSFORM_FIELDS) {
+    if (!to[field]) continue;
+
+    const fallback = field === 'scale' ? 1 : 0;
+    const start = from[field] || to[field];
+    result[field] = {};
+    for (const axis of ['x', 'y', 'z']) {
+      const a = start[axis] || fallback;
+      const b = to[field][axis] || fallback;
+      result[field][axis] = a + (b - a) * alpha;
+    }
+  }
+  return result;
+}
+
+/**
+ * Syncs mesh components into a Three.js scene and renders it
  */
 class RenderSystem {
-  constructor(scene, camera, renderer) {
+  constructor(scene = null, camera = null, renderer = null) {
     this.name = 'RenderSystem';
+    this.stage = 'render'; // after everything that moves entities this frame
     this.scene = scene;
     this.camera = camera;
     this.renderer = renderer;
     this.ecsManager = null;
     this.meshes = new Map(); // entityId -> THREE.Mesh
+    this.meshParents = new Map(); // entityId -> scene or parent THREE.Mesh the mesh is attached to
+    this.previousTransforms = new Map(); // entityId -> transform copy taken before the last fixed step
   }
 
   /**
@@ -18,23 +55,134 @@ class RenderSystem {
    */
   setECSManager(ecsManager) {
     this.ecsManager = ecsManager;
+
+    // Fetch whatever was not passed to the constructor from resources, and follow replacements
+    this.scene = this.scene || ecsManager.getResource('scene') || null;
+    this.camera = this.camera || ecsManager.getResource('camera') || null;
+    this.renderer = this.renderer || ecsManager.getResource('renderer') || null;
+    ecsManager.events.on('resource:changed', (event) => {
+      const { key, value } = event.data;
+      if (key === 'scene') {
+        this.setScene(value);
+      } else if (key === 'camera' || key === 'renderer') {
+        this[key] = value;
+      }
+    });
     
-    // Listen to component events
-    ecsManager.events.on('component:added', (event) => {
-      if (event.data.type === 'mesh') {
-        this.addMesh(event.data.entityId, event.data.component);
+    // Track mesh components through per-type hooks (also catches replaced mesh data)
+    ecsManager.onSet('mesh', (data, { entityId, component }) => {
+      if (this.meshes.get(entityId) !== data.mesh) {
+        this.addMesh(entityId, component);
       }
     });
+    ecsManager.onRemove('mesh', (data, { entityId }) => {
+      this.removeMesh(entityId);
+    });
 
-    ecsManager.events.on('component:removed', (event) => {
-      if (event.data.type === 'mesh') {
-        this.removeMesh(event.data.entityId);
-      }
+    // Remember where meshes were before each fixed step, to interpolate from
+    ecsManager.events.on('loop:fixed_step', () => {
+      this.capturePreviousTransforms();
     });
 
-    ecsManager.events.on('entity:destroyed', (event) => {
-      this.removeMesh(event.data.id);
+    // Mirror the entity hierarchy into the scene graph
+    ecsManager.events.on('hierarchy:changed', (event) => {
+      this.attachSubtree(event.data.entityId);
     });
+
+    // Hide meshes of inactive entities
+    ecsManager.events.on('entity:activated', (event) => {
+      this.setMeshVisible(event.data.id, true);
+
+      // Transform changes made while inactive were skipped by update()
+      const transformComponent = ecsManager.getComponent(event.data.id, 'transform');
+      if (transformComponent) {
+        this.syncTransform(event.data.id, transformComponent.data);
+      }
+    });
+    ecsManager.events.on('entity:deactivated', (event) => {
+      this.setMeshVisible(event.data.id, false);
+    });
+  }
+
+  /**
+   * Switch to another scene, moving top-level meshes across
+   * @param {Object} scene - THREE.Scene
+   */
+  setScene(scene) {
+    const previous = this.scene;
+    if (scene === previous) return;
+
+    this.scene = scene;
+    for (const [entityId, mesh] of this.meshes) {
+      const parent = this.meshParents.get(entityId);
+      if (parent && parent !== previous) continue;
+
+      if (parent) {
+        parent.remove(mesh);
+        this.meshParents.delete(entityId);
+      }
+      this.attachMesh(entityId);
+    }
+  }
+
+  /**
+   * Show or hide an entity's mesh
+   * @param {string} entityId - Entity ID
+   * @param {boolean} visible - Whether the mesh should be rendered
+   */
+  setMeshVisible(entityId, visible) {
+    const mesh = this.meshes.get(entityId);
+    if (mesh) {
+      mesh.visible = visible;
+    }
+  }
+
+  /**
+   * Find the object an entity's mesh should be attached to: the mesh of its nearest
+   * ancestor that has one, or the scene
+   * @param {string} entityId - Entity ID
+   * @returns {Object|null} Scene or THREE.Mesh (null until a scene is available)
+   */
+  getMeshParent(entityId) {
+    if (this.ecsManager) {
+      for (const ancestorId of this.ecsManager.getAncestors(entityId)) {
+        if (this.meshes.has(ancestorId)) {
+          return this.meshes.get(ancestorId);
+        }
+      }
+    }
+    return this.scene;
+  }
+
+  /**
+   * Attach an entity's mesh to its scene graph parent, moving it if the hierarchy changed
+   * Child transforms are then relative to the parent mesh.
+   * @param {string} entityId - Entity ID
+   */
+  attachMesh(entityId) {
+    const mesh = this.meshes.get(entityId);
+    const current = this.meshParents.get(entityId);
+    const target = this.getMeshParent(entityId);
+    if (!mesh || !target || current === target) return;
+
+    if (current) {
+      current.remove(mesh);
+    }
+    target.add(mesh);
+    this.meshParents.set(entityId, target);
+  }
+
+  /**
+   * Re-attach the meshes of an entity and all its descendants
+   * @param {string} entityId - Entity ID
+   */
+  attachSubtree(entityId) {
+    this.attachMesh(entityId);
+    if (this.ecsManager) {
+      for (const descendantId of this.ecsManager.getDescendants(entityId)) {
+        this.attachMesh(descendantId);
+      }
+    }
   }
 
   /**
@@ -49,8 +197,11 @@ class RenderSystem {
 
     const mesh = meshComponent.data.mesh;
     if (mesh) {
-      this.scene.add(mesh);
       this.meshes.set(entityId, mesh);
+      this.attachSubtree(entityId);
+      if (this.ecsManager) {
+        mesh.visible = this.ecsManager.isEntityActive(entityId);
+      }
       
       if (this.ecsManager) {
         this.ecsManager.debug.log('debug', `Added mesh for entity: ${entityId}`);
@@ -66,8 +217,20 @@ class RenderSystem {
   removeMesh(entityId) {
     const mesh = this.meshes.get(entityId);
     if (mesh) {
-      this.scene.remove(mesh);
+      const parent = this.meshParents.get(entityId);
+      if (parent) {
+        parent.remove(mesh);
+      }
       this.meshes.delete(entityId);
+      this.meshParents.delete(entityId);
+      this.previousTransforms.delete(entityId);
+
+      // Descendant meshes move up to the next ancestor mesh (or the scene)
+      if (this.ecsManager && this.ecsManager.hasEntity(entityId)) {
+        for (const descendantId of this.ecsManager.getDescendants(entityId)) {
+          this.attachMesh(descendantId);
+        }
+      }
       
       if (this.ecsManager) {
         this.ecsManager.debug.log('debug', `Removed mesh for entity: ${entityId}`);
@@ -76,39 +239,88 @@ class RenderSystem {
     }
   }
 
+  /**
+   * Copy an entity's transform onto its mesh
+   * @param {string} entityId - Entity ID
+   * @param {Object} transform - Transform component data
+   */
+  syncTransform(entityId, transform) {
+    const mesh = this.meshes.get(entityId);
+    if (!mesh || !transform) return;
+
+    if (transform.position) {
+      mesh.position.set(transform.position.x || 0, transform.position.y || 0, transform.position.z || 0);
+    }
+
+    if (transform.rotation) {
+      mesh.rotation.set(transform.rotation.x || 0, transform.rotation.y || 0, transform.rotation.z || 0);
+    }
+
+    if (transform.scale) {
+      mesh.scale.set(transform.scale.x || 1, transform.scale.y || 1, transform.scale.z || 1);
+    }
+  }
+
+  /**
+   * Copy the current transforms of all meshed entities
+   */
+  capturePreviousTransforms() {
+    this.previousTransforms.clear();
+    for (const entityId of this.meshes.keys()) {
+      const transformComponent = this.ecsManager.getComponent(entityId, 'transform');
+      if (transformComponent) {
+        // Copy axes explicitly: typed component views expose them as prototype getters
+        const snapshot = {};
+        for (const field of TRANSFORM_FIELDS) {
+          const value = transformComponent.data[field];
+          if (value) {
+            snapshot[field] = { x: value.x, y: value.y, z: value.z };
+          }
+        }
+        this.previousTransforms.set(entityId, snapshot);
+      }
+    }
+  }
+
+  /**
+   * Place meshes between their previous and current fixed-step transforms
+   * @param {ECSManager} ecsManager - ECS Manager instance
+   */
+  interpolateTransforms(ecsManager) {
+    const alpha = ecsManager.getInterpolationAlpha();
+    for (const [entityId, previous] of this.previousTransforms) {
+      const transformComponent = ecsManager.getComponent(entityId, 'transform');
+      if (transformComponent && ecsManager.isEntityActive(entityId)) {
+        this.syncTransform(entityId, lerpTransform(previous, transformComponent.data, alpha));
+      }
+    }
+  }
+
   /**
    * System update method
+   * Only transforms and meshes changed since the previous render are synced; systems that
+   * mutate transforms in place must call `ecsManager.markChanged(entityId, 'transform')`.
    * @param {number} deltaTime - Time since last update
    * @param {ECSManager} ecsManager - ECS Manager instance
    */
   update(deltaTime, ecsManager) {
-    // Get all entities with transform and mesh components
-    const renderableEntities = ecsManager.getEntitiesWith('transform', 'mesh');
+    const changed = new Set([
+      ...ecsManager.getEntitiesWith({ all: ['mesh'], changed: ['transform'] }),
+      ...ecsManager.getEntitiesWith({ all: ['transform'], changed: ['mesh'] })
+    ]);
 
-    for (const entityId of renderableEntities) {
-      const transformComponent = ecsManager.getComponent(entityId, 'transform');
-      const mesh = this.meshes.get(entityId);
-
-      if (transformComponent && mesh) {
-        const transform = transformComponent.data;
-        
-        // Update mesh position, rotation, scale
-        if (transform.position) {
-          mesh.position.set(transform.position.x || 0, transform.position.y || 0, transform.position.z || 0);
-        }
-        
-        if (transform.rotation) {
-          mesh.rotation.set(transform.rotation.x || 0, transform.rotation.y || 0, transform.rotation.z || 0);
-        }
-        
-        if (transform.scale) {
-          mesh.scale.set(transform.scale.x || 1, transform.scale.y || 1, transform.scale.z || 1);
-        }
-      }
+    for (const entityId of changed) {
+      this.syncTransform(entityId, ecsManager.getComponent(entityId, 'transform').data);
     }
 
-    // Render the scene
-    this.renderer.render(this.scene, this.camera);
+    if (ecsManager.loopMode === 'fixed') {
+      this.interpolateTransforms(ecsManager);
+    }
+
+    // Render the scene once everything needed is available
+    if (this.renderer && this.scene && this.camera) {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
 }
 